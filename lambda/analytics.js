@@ -1,25 +1,24 @@
-const { DynamoDBClient, ScanCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
-const { unmarshall } = require('@aws-sdk/util-dynamodb');
+const { DynamoDBClient, QueryCommand, GetItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getTransactionDateRange, getTemplateIndexPartition } = require('./shared/keys');
+const { errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+const { divideCents } = require('./shared/money');
+const {
+    DEFAULT_CURRENCY,
+    getCurrency,
+    getUserSettingsKeys,
+    getExchangeRateQuery,
+    loadConverter,
+    describeUnconverted,
+    formatCurrency
+} = require('./shared/currency');
+const { createQueryAll } = require('./shared/dynamodb');
 
 const dynamoDb = new DynamoDBClient({ region: 'us-east-1' });
+const queryAll = createQueryAll(dynamoDb, QueryCommand, unmarshall);
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 
-const extractUserId = (event) => {
-    // Try X-User-ID header first
-    const userIdHeader = event.headers['X-User-ID'] || event.headers['x-user-id'];
-    if (userIdHeader) {
-        return userIdHeader;
-    }
-    
-    // Try Authorization Bearer token
-    const authHeader = event.headers['Authorization'] || event.headers['authorization'];
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        return authHeader.substring(7);
-    }
-    
-    return null;
-};
-
 exports.handler = async (event) => {
     console.log('Analytics event received:', JSON.stringify(event, null, 2));
     
@@ -27,7 +26,7 @@ exports.handler = async (event) => {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-User-ID'
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
     };
 
     try {
@@ -42,15 +41,8 @@ exports.handler = async (event) => {
             };
         }
 
-        // Extract and validate user ID
-        const userId = extractUserId(event);
-        if (!userId) {
-            return {
-                statusCode: 401,
-                headers,
-                body: JSON.stringify({ error: 'Unauthorized: User ID required' })
-            };
-        }
+        const access = await authorizeRequest(event, getItem);
+        const userId = access.ownerId;
 
         console.log('Processing analytics request for user:', userId);
 
@@ -64,7 +56,7 @@ exports.handler = async (event) => {
         return {
             statusCode: error.statusCode || 500,
             headers,
-            body: JSON.stringify({
+            body: JSON.stringify(error.statusCode ? errorBody(error) : {
                 error: error.message || 'Internal server error'
             })
         };
@@ -78,13 +70,28 @@ async function getAnalyticsInsights(headers, userId) {
     try {
         // Get all transactions from the last 6 months for this user
         const transactionsData = await getRecentTransactions(userId);
-        const transactions = transactionsData.transactions || [];
+        
+        // Insights compare amounts across currencies, so everything is converted to the
+        // user's base currency first (cents, see shared/currency.js). Transactions with no
+        // exchange rate are left out and listed in the summary.
+        const baseCurrency = await getBaseCurrency(userId);
+        const converter = await loadConverter(baseCurrency, transactionsData.transactions || [], queryExchangeRates);
+        const transactions = [];
+        const unconverted = [];
+        (transactionsData.transactions || []).forEach(t => {
+            const cents = converter.toBaseCents(t.amount, getCurrency(t), t.date);
+            if (cents === null) {
+                unconverted.push(describeUnconverted(t));
+            } else {
+                transactions.push({ ...t, base_amount_cents: Math.abs(cents) });
+            }
+        });
         
         // Get budget templates for context for this user
         const budgetTemplates = await getBudgetTemplates(userId);
         
         // Generate comprehensive insights
-        const insights = await generateInsights(transactions, budgetTemplates);
+        const insights = await generateInsights(transactions, budgetTemplates, baseCurrency);
         
         console.log(`Generated ${insights.length} insights from ${transactions.length} transactions for user ${userId}`);
         
@@ -97,6 +104,8 @@ async function getAnalyticsInsights(headers, userId) {
                     insights: insights,
                     summary: {
                         totalTransactions: transactions.length,
+                        currency: baseCurrency,
+                        unconverted: unconverted,
                         analysisDate: new Date().toISOString(),
                         analysisMethod: 'AI-Powered Pattern Recognition'
                     }
@@ -115,22 +124,22 @@ async function getRecentTransactions(userId) {
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
     
+    // Date-ordered index: the last 6 months is a key range, newest first
+    const range = getTransactionDateRange(
+        userId,
+        sixMonthsAgo.toISOString().split('T')[0],
+        new Date().toISOString().split('T')[0]
+    );
     const params = {
         TableName: TABLE_NAME,
-        FilterExpression: 'begins_with(PK, :pk)',
-        ExpressionAttributeValues: {
-            ':pk': { S: `USER#${userId}#TRANSACTION` }
-        }
+        IndexName: range.IndexName,
+        KeyConditionExpression: range.KeyConditionExpression,
+        ExpressionAttributeValues: marshall(range.ExpressionAttributeValues),
+        ScanIndexForward: false
     };
 
     try {
-        const result = await dynamoDb.send(new ScanCommand(params));
-        const transactions = result.Items?.map(item => unmarshall(item)) || [];
-        
-        // Filter to last 6 months and sort by date
-        const recentTransactions = transactions
-            .filter(t => new Date(t.date) >= sixMonthsAgo)
-            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        const recentTransactions = await queryAll(params);
         
         console.log(`Retrieved ${recentTransactions.length} recent transactions for user ${userId}`);
         return { transactions: recentTransactions };
@@ -144,15 +153,17 @@ async function getRecentTransactions(userId) {
 async function getBudgetTemplates(userId) {
     const params = {
         TableName: TABLE_NAME,
-        FilterExpression: 'begins_with(PK, :pk)',
-        ExpressionAttributeValues: {
-            ':pk': { S: `USER#${userId}#BUDGET` }
-        }
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :gsi1pk',
+        ExpressionAttributeValues: marshall({
+            ':gsi1pk': getTemplateIndexPartition(userId)
+        })
     };
 
     try {
-        const result = await dynamoDb.send(new ScanCommand(params));
-        const budgetTemplates = result.Items?.map(item => unmarshall(item)) || [];
+        // One item per template category - keep one entry per template
+        const categories = await queryAll(params);
+        const budgetTemplates = [...new Map(categories.map(item => [item.template_name, item])).values()];
         console.log(`Retrieved ${budgetTemplates.length} budget templates for user ${userId}`);
         return budgetTemplates;
     } catch (error) {
@@ -161,8 +172,27 @@ async function getBudgetTemplates(userId) {
     }
 }
 
+async function getBaseCurrency(userId) {
+    const result = await dynamoDb.send(new GetItemCommand({
+        TableName: TABLE_NAME,
+        Key: marshall(getUserSettingsKeys(userId))
+    }));
+    const settings = result.Item ? unmarshall(result.Item) : {};
+    return settings.base_currency || DEFAULT_CURRENCY;
+}
+
+async function queryExchangeRates(currency) {
+    const query = getExchangeRateQuery(currency);
+    return queryAll({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: query.KeyConditionExpression,
+        ExpressionAttributeValues: marshall(query.ExpressionAttributeValues)
+    });
+}
+
 // Generate AI-powered insights from transaction data
-async function generateInsights(transactions, budgetTemplates) {
+// Amounts in messages are formatted in the base currency
+async function generateInsights(transactions, budgetTemplates, currency) {
     const insights = [];
     
     if (transactions.length === 0) {
@@ -178,10 +208,10 @@ async function generateInsights(transactions, budgetTemplates) {
     }
     
     // 1. Spending trend analysis
-    insights.push(...await analyzeSpendingTrends(transactions));
+    insights.push(...await analyzeSpendingTrends(transactions, currency));
     
     // 2. Category pattern analysis
-    insights.push(...await analyzeCategoryPatterns(transactions));
+    insights.push(...await analyzeCategoryPatterns(transactions, currency));
     
     // 3. Budget performance insights
     if (budgetTemplates.length > 0) {
@@ -189,10 +219,10 @@ async function generateInsights(transactions, budgetTemplates) {
     }
     
     // 4. Anomaly detection
-    insights.push(...await detectSpendingAnomalies(transactions));
+    insights.push(...await detectSpendingAnomalies(transactions, currency));
     
     // 5. Future predictions
-    insights.push(...await generatePredictions(transactions));
+    insights.push(...await generatePredictions(transactions, currency));
     
     // Sort by priority and return top insights
     return insights
@@ -203,15 +233,20 @@ async function generateInsights(transactions, budgetTemplates) {
         .slice(0, 10); // Return top 10 insights
 }
 
+// Spending amounts below are all in cents of the base currency
+function getAmountCents(transaction) {
+    return transaction.base_amount_cents;
+}
+
 // Analyze spending trends over time
-async function analyzeSpendingTrends(transactions) {
+async function analyzeSpendingTrends(transactions, currency) {
     const insights = [];
     
     // Group by month
     const monthlySpending = {};
     transactions.forEach(t => {
         const month = new Date(t.date).toISOString().substring(0, 7); // YYYY-MM
-        monthlySpending[month] = (monthlySpending[month] || 0) + Math.abs(parseFloat(t.amount) || 0);
+        monthlySpending[month] = (monthlySpending[month] || 0) + getAmountCents(t);
     });
     
     const months = Object.keys(monthlySpending).sort();
@@ -225,7 +260,7 @@ async function analyzeSpendingTrends(transactions) {
                 id: 'spending-increase',
                 type: 'warning',
                 title: 'Spending Increased Significantly',
-                message: `Your spending increased by ${change.toFixed(1)}% this month compared to last month ($${recent.toFixed(2)} vs $${previous.toFixed(2)}).`,
+                message: `Your spending increased by ${change.toFixed(1)}% this month compared to last month (${formatCurrency(recent, currency)} vs ${formatCurrency(previous, currency)}).`,
                 priority: 'high',
                 category: 'trends',
                 actionable: true,
@@ -236,7 +271,7 @@ async function analyzeSpendingTrends(transactions) {
                 id: 'spending-decrease',
                 type: 'success',
                 title: 'Great Spending Control',
-                message: `You reduced spending by ${Math.abs(change).toFixed(1)}% this month! You saved $${(previous - recent).toFixed(2)}.`,
+                message: `You reduced spending by ${Math.abs(change).toFixed(1)}% this month! You saved ${formatCurrency(previous - recent, currency)}.`,
                 priority: 'medium',
                 category: 'trends',
                 actionable: false
@@ -248,7 +283,7 @@ async function analyzeSpendingTrends(transactions) {
 }
 
 // Analyze spending patterns by category
-async function analyzeCategoryPatterns(transactions) {
+async function analyzeCategoryPatterns(transactions, currency) {
     const insights = [];
     
     // Group by category
@@ -257,7 +292,7 @@ async function analyzeCategoryPatterns(transactions) {
     
     transactions.forEach(t => {
         const category = t.category || 'Uncategorized';
-        const amount = Math.abs(parseFloat(t.amount) || 0);
+        const amount = getAmountCents(t);
         categorySpending[category] = (categorySpending[category] || 0) + amount;
         categoryCount[category] = (categoryCount[category] || 0) + 1;
     });
@@ -274,7 +309,7 @@ async function analyzeCategoryPatterns(transactions) {
                 id: 'category-dominance',
                 type: 'info',
                 title: `${topCategory} Dominates Your Spending`,
-                message: `${topCategory} accounts for ${percentage.toFixed(1)}% of your total spending ($${categorySpending[topCategory].toFixed(2)}).`,
+                message: `${topCategory} accounts for ${percentage.toFixed(1)}% of your total spending (${formatCurrency(categorySpending[topCategory], currency)}).`,
                 priority: 'medium',
                 category: 'patterns',
                 actionable: true,
@@ -284,14 +319,14 @@ async function analyzeCategoryPatterns(transactions) {
     }
     
     // Find frequent small purchases
-    const smallTransactions = transactions.filter(t => Math.abs(parseFloat(t.amount)) < 20);
+    const smallTransactions = transactions.filter(t => getAmountCents(t) < 2000);
     if (smallTransactions.length > transactions.length * 0.6) {
-        const totalSmall = smallTransactions.reduce((sum, t) => sum + Math.abs(parseFloat(t.amount)), 0);
+        const totalSmall = smallTransactions.reduce((sum, t) => sum + getAmountCents(t), 0);
         insights.push({
             id: 'small-purchases',
             type: 'tip',
             title: 'Many Small Purchases Detected',
-            message: `You made ${smallTransactions.length} small purchases (under $20) totaling $${totalSmall.toFixed(2)}.`,
+            message: `You made ${smallTransactions.length} small purchases (under ${formatCurrency(2000, currency)}) totaling ${formatCurrency(totalSmall, currency)}.`,
             priority: 'low',
             category: 'patterns',
             actionable: true,
@@ -323,24 +358,24 @@ async function analyzeBudgetPerformance(transactions, budgetTemplates) {
 }
 
 // Detect spending anomalies
-async function detectSpendingAnomalies(transactions) {
+async function detectSpendingAnomalies(transactions, currency) {
     const insights = [];
     
     // Find unusually large transactions
-    const amounts = transactions.map(t => Math.abs(parseFloat(t.amount) || 0));
+    const amounts = transactions.map(getAmountCents);
     amounts.sort((a, b) => b - a);
     
     if (amounts.length > 0) {
         const largest = amounts[0];
         const median = amounts[Math.floor(amounts.length / 2)];
         
-        if (largest > median * 5 && largest > 200) {
-            const largeTransaction = transactions.find(t => Math.abs(parseFloat(t.amount)) === largest);
+        if (largest > median * 5 && largest > 20000) {
+            const largeTransaction = transactions.find(t => getAmountCents(t) === largest);
             insights.push({
                 id: 'large-transaction',
                 type: 'info',
                 title: 'Unusually Large Transaction Detected',
-                message: `Your largest transaction was $${largest.toFixed(2)} in ${largeTransaction?.category || 'Unknown'} category.`,
+                message: `Your largest transaction was ${formatCurrency(largest, currency)} in ${largeTransaction?.category || 'Unknown'} category.`,
                 priority: 'medium',
                 category: 'anomalies',
                 actionable: false
@@ -352,18 +387,18 @@ async function detectSpendingAnomalies(transactions) {
 }
 
 // Generate future predictions
-async function generatePredictions(transactions) {
+async function generatePredictions(transactions, currency) {
     const insights = [];
     
     if (transactions.length >= 10) {
-        const monthlyAvg = transactions.reduce((sum, t) => sum + Math.abs(parseFloat(t.amount)), 0) / 
-                          (transactions.length / 30); // Rough monthly average
+        const monthlyAvg = divideCents(transactions.reduce((sum, t) => sum + getAmountCents(t), 0) * 30, 
+                          transactions.length); // Rough monthly average
         
         insights.push({
             id: 'monthly-prediction',
             type: 'prediction',
             title: 'Monthly Spending Prediction',
-            message: `Based on your patterns, you're on track to spend approximately $${monthlyAvg.toFixed(2)} this month.`,
+            message: `Based on your patterns, you're on track to spend approximately ${formatCurrency(monthlyAvg, currency)} this month.`,
             priority: 'medium',
             category: 'predictions',
             actionable: true,
@@ -372,4 +407,12 @@ async function generatePredictions(transactions) {
     }
     
     return insights;
-}
\ No newline at end of file
+}
+
+async function getItem(key) {
+    const result = await dynamoDb.send(new GetItemCommand({
+        TableName: TABLE_NAME,
+        Key: marshall(key)
+    }));
+    return result.Item ? unmarshall(result.Item) : null;
+}
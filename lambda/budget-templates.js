@@ -1,17 +1,121 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, QueryCommand, PutCommand, DeleteCommand, ScanCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, GetCommand, PutCommand, UpdateCommand, DeleteCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+    getTemplateIndexKeys,
+    getTemplateIndexPartition,
+    getTemplateVersionKeys,
+    getTemplateVersionPartition,
+    getEnvelopeTransferPartition,
+    getBudgetMonthPartition
+} = require('./shared/keys');
+const { fields, validate, validationError, parseBody, errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+const { toCents, fromCents } = require('./shared/money');
+const { createQueryAll } = require('./shared/dynamodb');
+
+// Category fields a template stores. sort_order positions the category in listings (lowest
+// first); categories without one sort after the rest, by name. overspend_policy and
+// rollover_cap (null for none) shape what a rollover envelope carries into the next month -
+// see budgets.js.
+const categoryProperties = {
+    category: fields.category,
+    budget_amount: fields.budgetAmount,
+    rollover_enabled: fields.boolean,
+    overspend_policy: fields.overspendPolicy,
+    rollover_cap: { ...fields.budgetAmount, nullable: true },
+    description: { ...fields.text, nullable: true },
+    sort_order: { type: 'integer', minimum: 0, maximum: 9999 }
+};
+
+// Every change records a new template version. effective_from (YYYY-MM) is the first month
+// new envelope budgets take it for; a new template applies to every month unless it says
+// otherwise, and a change defaults to the current month.
+const templateSchema = {
+    type: 'object',
+    required: ['template_name', 'categories'],
+    properties: {
+        template_name: fields.name,
+        effective_from: fields.month,
+        categories: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['category', 'budget_amount'],
+                properties: categoryProperties
+            }
+        }
+    }
+};
+
+// PUT /api/budget-templates/{templateName}: 'replace' makes the list the template's whole
+// category set (in that order); 'merge' updates the listed categories, adds new ones and
+// leaves the rest alone
+const templateUpdateSchema = {
+    type: 'object',
+    required: ['categories'],
+    properties: {
+        mode: { type: 'string', enum: ['replace', 'merge'], ignoreCase: true },
+        effective_from: fields.month,
+        categories: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['category'],
+                properties: categoryProperties
+            }
+        }
+    }
+};
+
+const renameSchema = {
+    type: 'object',
+    required: ['template_name'],
+    properties: {
+        template_name: fields.name
+    }
+};
+
+const categorySchema = {
+    type: 'object',
+    required: ['category', 'budget_amount'],
+    properties: {
+        ...categoryProperties,
+        effective_from: fields.month
+    }
+};
+
+const effectiveFromSchema = {
+    type: 'object',
+    properties: {
+        effective_from: fields.month
+    }
+};
+
+const copySchema = {
+    type: 'object',
+    required: ['new_template_name'],
+    properties: {
+        new_template_name: fields.name
+    }
+};
 
 const client = new DynamoDBClient({});
 const dynamodb = DynamoDBDocumentClient.from(client);
+const queryAll = createQueryAll(dynamodb, QueryCommand);
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 
+// Concurrent changes to one template each take the next free version number
+const MAX_VERSION_ATTEMPTS = 5;
+
 const corsHeaders = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-User-ID'
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
 };
 
 const createResponse = (statusCode, body) => ({
@@ -20,22 +124,6 @@ const createResponse = (statusCode, body) => ({
     body: JSON.stringify(body)
 });
 
-const extractUserId = (event) => {
-    // Try X-User-ID header first
-    const userIdHeader = event.headers['X-User-ID'] || event.headers['x-user-id'];
-    if (userIdHeader) {
-        return userIdHeader;
-    }
-    
-    // Try Authorization Bearer token
-    const authHeader = event.headers['Authorization'] || event.headers['authorization'];
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        return authHeader.substring(7);
-    }
-    
-    return null;
-};
-
 exports.handler = async (event) => {
     console.log('Event:', JSON.stringify(event, null, 2));
     
@@ -44,207 +132,392 @@ exports.handler = async (event) => {
     }
     
     try {
-        const { httpMethod, pathParameters, body } = event;
+        const { httpMethod, resource, pathParameters, queryStringParameters, body } = event;
         
-        // Extract and validate user ID
-        const userId = extractUserId(event);
-        if (!userId) {
-            return createResponse(401, { error: 'Unauthorized: User ID required' });
-        }
+        const access = await authorizeRequest(event, getItem);
+        const userId = access.ownerId;
+        // Recorded on template versions as who made the change
+        const changedBy = access.memberId;
         
         console.log('Processing budget templates request for user:', userId);
         
         const templateName = pathParameters?.templateName;
         
-        switch (httpMethod) {
-            case 'GET':
+        switch (`${httpMethod} ${resource}`) {
+            case 'GET /api/budget-templates':
                 return await getBudgetTemplates(userId);
             
-            case 'POST':
-                if (pathParameters?.action === 'copy') {
-                    return await copyBudgetTemplate(userId, templateName, JSON.parse(body || '{}'));
-                }
-                return await createBudgetTemplate(userId, JSON.parse(body || '{}'));
+            case 'POST /api/budget-templates':
+                return await createBudgetTemplate(userId, parseBody(body), changedBy);
+            
+            case 'GET /api/budget-templates/{templateName}':
+                return await getBudgetTemplate(userId, templateName);
+            
+            case 'PUT /api/budget-templates/{templateName}':
+                return await updateBudgetTemplate(userId, templateName, parseBody(body), changedBy);
+            
+            case 'PATCH /api/budget-templates/{templateName}':
+                return await renameBudgetTemplate(userId, templateName, parseBody(body), changedBy);
             
-            case 'DELETE':
+            case 'DELETE /api/budget-templates/{templateName}':
                 return await deleteBudgetTemplate(userId, templateName);
             
+            case 'POST /api/budget-templates/{templateName}/copy':
+                return await copyBudgetTemplate(userId, templateName, parseBody(body), changedBy);
+            
+            case 'GET /api/budget-templates/{templateName}/versions':
+                return await getTemplateHistory(userId, templateName);
+            
+            case 'POST /api/budget-templates/{templateName}/categories':
+                return await addTemplateCategory(userId, templateName, parseBody(body), changedBy);
+            
+            case 'PUT /api/budget-templates/{templateName}/categories/{category}':
+                return await updateTemplateCategory(userId, templateName, pathParameters.category, parseBody(body), changedBy);
+            
+            case 'DELETE /api/budget-templates/{templateName}/categories/{category}':
+                return await removeTemplateCategory(userId, templateName, pathParameters.category, queryStringParameters || {}, changedBy);
+            
             default:
                 return createResponse(405, { error: 'Method not allowed' });
         }
         
     } catch (error) {
         console.error('Error:', error);
+        if (error.statusCode) {
+            return createResponse(error.statusCode, errorBody(error));
+        }
         return createResponse(500, { error: 'Internal server error', details: error.message });
     }
 };
 
 async function getBudgetTemplates(userId) {
-    const params = {
+    // All of a user's template categories share one GSI1 partition - USER FILTERED
+    const items = await queryAll({
         TableName: TABLE_NAME,
-        FilterExpression: 'begins_with(PK, :pk)',
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :gsi1pk',
         ExpressionAttributeValues: {
-            ':pk': `USER#${userId}#TEMPLATE#`
+            ':gsi1pk': getTemplateIndexPartition(userId)
         }
-    };
-    
-    const result = await dynamodb.send(new ScanCommand(params));
+    });
     
     // Group by template name and calculate summary stats
     const templatesMap = new Map();
     
-    result.Items.forEach((item) => {
+    items.forEach((item) => {
         const templateName = item.template_name;
         if (!templatesMap.has(templateName)) {
             templatesMap.set(templateName, {
                 template_name: templateName,
                 category_count: 0,
                 total_budget: 0,
-                last_updated: item.created_at
+                last_updated: getLastUpdated(item)
             });
         }
         
         const template = templatesMap.get(templateName);
         template.category_count += 1;
-        template.total_budget += item.budget_amount || 0;
+        // Summed in cents, converted back below - see shared/money.js
+        template.total_budget += toCents(item.budget_amount);
         
         // Update last_updated if this item is newer
-        if (item.created_at > template.last_updated) {
-            template.last_updated = item.created_at;
+        if (getLastUpdated(item) > template.last_updated) {
+            template.last_updated = getLastUpdated(item);
         }
     });
     
-    const templates = Array.from(templatesMap.values());
+    const templates = Array.from(templatesMap.values()).map(template => ({
+        ...template,
+        total_budget: fromCents(template.total_budget)
+    }));
     console.log(`Retrieved ${templates.length} budget templates for user ${userId}`);
     return createResponse(200, templates);
 }
 
-async function createBudgetTemplate(userId, data) {
-    const { template_name, categories } = data;
+async function getBudgetTemplate(userId, templateName) {
+    const decodedTemplateName = decodeURIComponent(templateName || '');
+    const items = await getTemplateItems(userId, decodedTemplateName);
     
-    if (!template_name || !categories || !Array.isArray(categories)) {
-        return createResponse(400, { error: 'Missing template_name or categories array' });
+    if (items.length === 0) {
+        return createResponse(404, { error: 'Template not found' });
     }
     
-    const timestamp = new Date().toISOString();
-    const writeRequests = [];
+    const latest = await getLatestVersion(userId, decodedTemplateName);
+    return createResponse(200, {
+        ...formatTemplate(decodedTemplateName, items),
+        version: latest?.version ?? null,
+        effective_from: latest?.effective_from ?? null
+    });
+}
+
+// GET /api/budget-templates/{templateName}/versions - newest first, each with what changed
+// from the version before it
+async function getTemplateHistory(userId, templateName) {
+    const decodedTemplateName = decodeURIComponent(templateName || '');
+    const versions = await queryAll({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: {
+            ':pk': getTemplateVersionPartition(userId, decodedTemplateName)
+        }
+    });
     
-    for (const category of categories) {
-        const { category: categoryName, budget_amount, rollover_enabled = false } = category;
-        
-        if (!categoryName || budget_amount === undefined) {
-            return createResponse(400, { error: 'Each category must have category name and budget_amount' });
+    if (versions.length === 0) {
+        const items = await getTemplateItems(userId, decodedTemplateName);
+        if (items.length === 0) {
+            return createResponse(404, { error: 'Template not found' });
         }
-        
-        const item = {
-            PK: `USER#${userId}#TEMPLATE#${template_name}`,
-            SK: `CATEGORY#${categoryName}`,
-            GSI1PK: `USER#${userId}#TEMPLATE_ALL`,
-            GSI1SK: `${template_name}#${categoryName}`,
-            template_name,
-            category: categoryName,
-            budget_amount: parseFloat(budget_amount),
-            rollover_enabled,
-            is_active: true,
-            created_at: timestamp,
-            user_id: userId
-        };
-        
-        writeRequests.push({
-            PutRequest: { Item: item }
-        });
     }
     
-    // Batch write all categories
-    if (writeRequests.length > 0) {
-        const chunks = [];
-        for (let i = 0; i < writeRequests.length; i += 25) {
-            chunks.push(writeRequests.slice(i, i + 25));
-        }
-        
-        for (const chunk of chunks) {
-            await dynamodb.send(new BatchWriteCommand({
-                RequestItems: {
-                    [`${TABLE_NAME}`]: chunk
-                }
-            }));
-        }
+    const history = versions.map((version, index) => formatVersion(version, versions[index - 1]));
+    
+    return createResponse(200, {
+        template_name: decodedTemplateName,
+        versions: history.reverse()
+    });
+}
+
+async function createBudgetTemplate(userId, data, changedBy) {
+    const { template_name, categories, effective_from = null } = validate(templateSchema, data);
+    checkDuplicateCategories(categories);
+    
+    // Creating over an existing template used to leave its other categories behind; changes
+    // now go through PUT, which removes them
+    const existingItems = await getTemplateItems(userId, template_name);
+    if (existingItems.length > 0) {
+        return createResponse(409, { error: `Template "${template_name}" already exists; use PUT /api/budget-templates/{templateName} to change it` });
     }
     
+    const timestamp = new Date().toISOString();
+    const writeRequests = categories.map((category, index) => ({
+        PutRequest: {
+            Item: createCategoryItem(userId, template_name, { sort_order: index, ...category }, timestamp)
+        }
+    }));
+    
+    await batchWriteItems(writeRequests);
+    
+    const version = await recordTemplateVersion(userId, template_name, {
+        change: 'created',
+        effectiveFrom: effective_from,
+        changedBy
+    });
+    
     console.log(`Created budget template '${template_name}' with ${categories.length} categories for user ${userId}`);
     
     return createResponse(201, {
         template_name,
+        version,
         categories_created: categories.length,
         message: 'Budget template created successfully'
     });
 }
 
-async function copyBudgetTemplate(userId, sourceTemplateName, data) {
-    const { new_template_name } = data;
+async function updateBudgetTemplate(userId, templateName, data, changedBy) {
+    const decodedTemplateName = decodeURIComponent(templateName || '');
+    const { mode = 'replace', categories, effective_from = getCurrentMonth() } = validate(templateUpdateSchema, data);
+    checkDuplicateCategories(categories);
     
-    if (!sourceTemplateName || !new_template_name) {
-        return createResponse(400, { error: 'Missing source template name or new template name' });
+    const existingItems = await getTemplateItems(userId, decodedTemplateName);
+    if (existingItems.length === 0) {
+        return createResponse(404, { error: 'Template not found' });
     }
     
-    // Get source template categories - USER FILTERED
-    const queryParams = {
+    const existingByCategory = new Map(existingItems.map(item => [item.category, item]));
+    const timestamp = new Date().toISOString();
+    
+    // New categories need an amount; listed existing ones keep whatever isn't sent
+    const errors = [];
+    categories.forEach((category, index) => {
+        if (!existingByCategory.has(category.category) && category.budget_amount === undefined) {
+            errors.push({ field: `categories[${index}].budget_amount`, message: 'is required for a new category' });
+        }
+    });
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    
+    // Replace orders categories as listed; merge appends new ones after the current last
+    let nextSortOrder = getNextSortOrder(existingItems);
+    const writeRequests = categories.map((category, index) => {
+        const existing = existingByCategory.get(category.category);
+        const sortOrder = mode === 'replace'
+            ? index
+            : existing?.sort_order ?? nextSortOrder++;
+        return {
+            PutRequest: {
+                Item: existing
+                    ? { ...existing, ...category, sort_order: category.sort_order ?? sortOrder, updated_at: timestamp }
+                    : createCategoryItem(userId, decodedTemplateName, { sort_order: sortOrder, ...category }, timestamp)
+            }
+        };
+    });
+    
+    const listed = new Set(categories.map(category => category.category));
+    const removedItems = mode === 'replace'
+        ? existingItems.filter(item => !listed.has(item.category))
+        : [];
+    removedItems.forEach(item => {
+        writeRequests.push({ DeleteRequest: { Key: { PK: item.PK, SK: item.SK } } });
+    });
+    
+    await batchWriteItems(writeRequests);
+    
+    const version = await recordTemplateVersion(userId, decodedTemplateName, {
+        change: mode === 'replace' ? 'categories replaced' : 'categories merged',
+        effectiveFrom: effective_from,
+        changedBy,
+        previousItems: existingItems
+    });
+    
+    console.log(`Updated budget template '${decodedTemplateName}' (${mode}) for user ${userId}: ${categories.length} written, ${removedItems.length} removed`);
+    
+    const items = await getTemplateItems(userId, decodedTemplateName);
+    return createResponse(200, {
+        ...formatTemplate(decodedTemplateName, items),
+        version,
+        effective_from
+    });
+}
+
+// Template names are part of every key, so renaming moves each category item - and the
+// template's versions, envelope budgets, envelope transfers and month statuses, which would
+// otherwise be left under the old name - to new keys. The categories don't change, so no version is
+// recorded.
+async function renameBudgetTemplate(userId, templateName, data, changedBy) {
+    const decodedTemplateName = decodeURIComponent(templateName || '');
+    const { template_name: newTemplateName } = validate(renameSchema, data);
+    
+    const items = await getTemplateItems(userId, decodedTemplateName);
+    if (items.length === 0) {
+        return createResponse(404, { error: 'Template not found' });
+    }
+    if (newTemplateName === decodedTemplateName) {
+        return createResponse(200, formatTemplate(decodedTemplateName, items));
+    }
+    
+    const targetItems = await getTemplateItems(userId, newTemplateName);
+    if (targetItems.length > 0) {
+        return createResponse(409, { error: `Template "${newTemplateName}" already exists` });
+    }
+    
+    const envelopeItems = await queryAll({
         TableName: TABLE_NAME,
         KeyConditionExpression: 'PK = :pk',
         ExpressionAttributeValues: {
-            ':pk': `USER#${userId}#TEMPLATE#${sourceTemplateName}`
+            ':pk': `USER#${userId}#ENVELOPE#${decodedTemplateName}`
         }
-    };
+    });
+    const versionItems = await getVersionItems(userId, decodedTemplateName);
+    const transferItems = await queryAll({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: {
+            ':pk': getEnvelopeTransferPartition(userId, decodedTemplateName)
+        }
+    });
+    const monthItems = await queryAll({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: {
+            ':pk': getBudgetMonthPartition(userId, decodedTemplateName)
+        }
+    });
     
-    const sourceResult = await dynamodb.send(new QueryCommand(queryParams));
+    const timestamp = new Date().toISOString();
+    const putRequests = [
+        ...items.map(item => ({
+            ...item,
+            PK: `USER#${userId}#TEMPLATE#${newTemplateName}`,
+            ...getTemplateIndexKeys(userId, newTemplateName, item.category),
+            template_name: newTemplateName,
+            updated_at: timestamp
+        })),
+        ...envelopeItems.map(item => ({
+            ...item,
+            PK: `USER#${userId}#ENVELOPE#${newTemplateName}`,
+            ...(item.GSI1SK ? { GSI1SK: `${newTemplateName}#${item.category}` } : {}),
+            template_name: newTemplateName
+        })),
+        ...versionItems.map(item => ({
+            ...item,
+            PK: getTemplateVersionPartition(userId, newTemplateName),
+            template_name: newTemplateName
+        })),
+        ...transferItems.map(item => ({
+            ...item,
+            PK: getEnvelopeTransferPartition(userId, newTemplateName),
+            template_name: newTemplateName
+        })),
+        ...monthItems.map(item => ({
+            ...item,
+            PK: getBudgetMonthPartition(userId, newTemplateName),
+            template_name: newTemplateName
+        }))
+    ].map(item => ({ PutRequest: { Item: item } }));
+    
+    const deleteRequests = [...items, ...envelopeItems, ...versionItems, ...transferItems, ...monthItems].map(item => ({
+        DeleteRequest: { Key: { PK: item.PK, SK: item.SK } }
+    }));
+    
+    // New keys first, so an interrupted rename leaves a copy rather than losing the template
+    await batchWriteItems(putRequests);
+    await batchWriteItems(deleteRequests);
+    
+    console.log(`User ${changedBy} renamed budget template '${decodedTemplateName}' to '${newTemplateName}' (${items.length} categories, ${envelopeItems.length} envelope budgets) for user ${userId}`);
+    
+    const renamedItems = await getTemplateItems(userId, newTemplateName);
+    return createResponse(200, {
+        ...formatTemplate(newTemplateName, renamedItems),
+        previous_template_name: decodedTemplateName,
+        envelope_budgets_moved: envelopeItems.length
+    });
+}
+
+async function copyBudgetTemplate(userId, sourceTemplateName, data, changedBy) {
+    const { new_template_name } = validate(copySchema, data);
+    const decodedSourceName = decodeURIComponent(sourceTemplateName || '');
+    
+    if (!decodedSourceName) {
+        return createResponse(400, { error: 'Missing source template name' });
+    }
     
-    if (!sourceResult.Items || sourceResult.Items.length === 0) {
+    // Get source template categories - USER FILTERED
+    const sourceItems = await getTemplateItems(userId, decodedSourceName);
+    
+    if (sourceItems.length === 0) {
         return createResponse(404, { error: 'Source template not found' });
     }
     
-    const timestamp = new Date().toISOString();
-    const writeRequests = [];
-    
-    for (const sourceItem of sourceResult.Items) {
-        const newItem = {
-            PK: `USER#${userId}#TEMPLATE#${new_template_name}`,
-            SK: sourceItem.SK,
-            GSI1PK: `USER#${userId}#TEMPLATE_ALL`,
-            GSI1SK: `${new_template_name}#${sourceItem.category}`,
-            template_name: new_template_name,
-            category: sourceItem.category,
-            budget_amount: sourceItem.budget_amount,
-            rollover_enabled: sourceItem.rollover_enabled,
-            is_active: true,
-            created_at: timestamp,
-            user_id: userId
-        };
-        
-        writeRequests.push({
-            PutRequest: { Item: newItem }
-        });
+    const targetItems = await getTemplateItems(userId, new_template_name);
+    if (targetItems.length > 0) {
+        return createResponse(409, { error: `Template "${new_template_name}" already exists` });
     }
     
+    const timestamp = new Date().toISOString();
+    const writeRequests = sourceItems.map(sourceItem => ({
+        PutRequest: {
+            Item: createCategoryItem(userId, new_template_name, sourceItem, timestamp)
+        }
+    }));
+    
     // Batch write new template
-    const chunks = [];
-    for (let i = 0; i < writeRequests.length; i += 25) {
-        chunks.push(writeRequests.slice(i, i + 25));
-    }
+    await batchWriteItems(writeRequests);
     
-    for (const chunk of chunks) {
-        await dynamodb.send(new BatchWriteCommand({
-            RequestItems: {
-                [`${TABLE_NAME}`]: chunk
-            }
-        }));
-    }
+    // The copy starts its own history
+    const version = await recordTemplateVersion(userId, new_template_name, {
+        change: `copied from ${decodedSourceName}`,
+        effectiveFrom: null,
+        changedBy
+    });
     
-    console.log(`Copied budget template '${sourceTemplateName}' to '${new_template_name}' for user ${userId}`);
+    console.log(`Copied budget template '${decodedSourceName}' to '${new_template_name}' for user ${userId}`);
     
     return createResponse(201, {
-        source_template: sourceTemplateName,
+        source_template: decodedSourceName,
         new_template: new_template_name,
-        categories_copied: sourceResult.Items.length,
+        version,
+        categories_copied: sourceItems.length,
         message: 'Budget template copied successfully'
     });
 }
@@ -259,52 +532,408 @@ async function deleteBudgetTemplate(userId, templateName) {
     }
     
     // Get all categories for this template - USER FILTERED
-    const queryParams = {
-        TableName: TABLE_NAME,
-        KeyConditionExpression: 'PK = :pk',
-        ExpressionAttributeValues: {
-            ':pk': `USER#${userId}#TEMPLATE#${decodedTemplateName}`
+    const items = await getTemplateItems(userId, decodedTemplateName);
+    
+    if (items.length === 0) {
+        return createResponse(404, { error: 'Template not found' });
+    }
+    
+    // Batch delete all categories, and the template's history with them
+    const versionItems = await getVersionItems(userId, decodedTemplateName);
+    await batchWriteItems([...items, ...versionItems].map(item => ({
+        DeleteRequest: {
+            Key: {
+                PK: item.PK,
+                SK: item.SK
+            }
         }
-    };
+    })));
     
-    const result = await dynamodb.send(new QueryCommand(queryParams));
+    console.log(`Deleted budget template '${decodedTemplateName}' with ${items.length} categories for user ${userId}`);
     
-    if (!result.Items || result.Items.length === 0) {
+    return createResponse(200, {
+        template_name: decodedTemplateName,
+        categories_deleted: items.length,
+        message: 'Budget template deleted successfully'
+    });
+}
+
+async function addTemplateCategory(userId, templateName, data, changedBy) {
+    const decodedTemplateName = decodeURIComponent(templateName || '');
+    const { effective_from = getCurrentMonth(), ...category } = validate(categorySchema, data);
+    
+    const items = await getTemplateItems(userId, decodedTemplateName);
+    if (items.length === 0) {
         return createResponse(404, { error: 'Template not found' });
     }
     
-    const deleteRequests = [];
+    const item = createCategoryItem(userId, decodedTemplateName, {
+        sort_order: getNextSortOrder(items),
+        ...category
+    }, new Date().toISOString());
     
-    for (const item of result.Items) {
-        deleteRequests.push({
-            DeleteRequest: {
-                Key: {
-                    PK: item.PK,
-                    SK: item.SK
-                }
-            }
-        });
+    try {
+        await dynamodb.send(new PutCommand({
+            TableName: TABLE_NAME,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(PK)'
+        }));
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return createResponse(409, { error: `Category "${category.category}" is already in this template` });
+        }
+        throw error;
     }
     
-    // Batch delete all categories
-    const chunks = [];
-    for (let i = 0; i < deleteRequests.length; i += 25) {
-        chunks.push(deleteRequests.slice(i, i + 25));
+    const version = await recordTemplateVersion(userId, decodedTemplateName, {
+        change: `category added: ${category.category}`,
+        effectiveFrom: effective_from,
+        changedBy,
+        previousItems: items
+    });
+    
+    console.log(`Added category '${category.category}' to budget template '${decodedTemplateName}' for user ${userId}`);
+    
+    return createResponse(201, { ...formatCategory(item), version, effective_from });
+}
+
+async function updateTemplateCategory(userId, templateName, categoryName, data, changedBy) {
+    const decodedTemplateName = decodeURIComponent(templateName || '');
+    const decodedCategory = decodeURIComponent(categoryName || '');
+    const { effective_from = getCurrentMonth(), ...changes } = validate(categorySchema, data, { partial: true });
+    // The category itself is named by the path
+    delete changes.category;
+    
+    if (Object.keys(changes).length === 0) {
+        throw validationError([{ field: 'body', message: 'must change at least one of budget_amount, rollover_enabled, overspend_policy, rollover_cap, description or sort_order' }]);
     }
     
-    for (const chunk of chunks) {
-        await dynamodb.send(new BatchWriteCommand({
-            RequestItems: {
-                [`${TABLE_NAME}`]: chunk
-            }
+    const names = {};
+    const values = { ':updatedAt': new Date().toISOString() };
+    const assignments = ['updated_at = :updatedAt'];
+    Object.entries(changes).forEach(([name, value]) => {
+        names[`#${name}`] = name;
+        values[`:${name}`] = value;
+        assignments.push(`#${name} = :${name}`);
+    });
+    
+    const previousItems = await getTemplateItems(userId, decodedTemplateName);
+    
+    let result;
+    try {
+        result = await dynamodb.send(new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: {
+                PK: `USER#${userId}#TEMPLATE#${decodedTemplateName}`,
+                SK: `CATEGORY#${decodedCategory}`
+            },
+            UpdateExpression: `SET ${assignments.join(', ')}`,
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
         }));
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return createResponse(404, { error: 'Category not found in this template' });
+        }
+        throw error;
+    }
+    
+    const version = await recordTemplateVersion(userId, decodedTemplateName, {
+        change: `category updated: ${decodedCategory}`,
+        effectiveFrom: effective_from,
+        changedBy,
+        previousItems
+    });
+    
+    return createResponse(200, { ...formatCategory(result.Attributes), version, effective_from });
+}
+
+async function removeTemplateCategory(userId, templateName, categoryName, query, changedBy) {
+    const decodedTemplateName = decodeURIComponent(templateName || '');
+    const decodedCategory = decodeURIComponent(categoryName || '');
+    const { effective_from = getCurrentMonth() } = validate(effectiveFromSchema, query);
+    
+    const items = await getTemplateItems(userId, decodedTemplateName);
+    const item = items.find(existing => existing.category === decodedCategory);
+    
+    if (!item) {
+        return createResponse(404, { error: 'Category not found in this template' });
+    }
+    // A template is its categories, so removing the last one would delete the template
+    if (items.length === 1) {
+        throw validationError([{ field: 'category', message: 'is the template\'s last category; delete the template instead' }]);
     }
     
-    console.log(`Deleted budget template '${decodedTemplateName}' with ${result.Items.length} categories for user ${userId}`);
+    await dynamodb.send(new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: {
+            PK: item.PK,
+            SK: item.SK
+        }
+    }));
+    
+    const version = await recordTemplateVersion(userId, decodedTemplateName, {
+        change: `category removed: ${decodedCategory}`,
+        effectiveFrom: effective_from,
+        changedBy,
+        previousItems: items
+    });
+    
+    console.log(`Removed category '${decodedCategory}' from budget template '${decodedTemplateName}' for user ${userId}`);
     
     return createResponse(200, {
         template_name: decodedTemplateName,
-        categories_deleted: result.Items.length,
-        message: 'Budget template deleted successfully'
+        category: decodedCategory,
+        version,
+        effective_from,
+        message: 'Category removed from template'
     });
-}
\ No newline at end of file
+}
+
+// A template's category items - USER FILTERED
+async function getTemplateItems(userId, templateName) {
+    return queryAll({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: {
+            ':pk': `USER#${userId}#TEMPLATE#${templateName}`
+        }
+    });
+}
+
+// Records the template's current categories as its next version and returns the number.
+// Templates from before versioning first get a baseline version of their previous
+// categories, effective for every month. The change is already saved by the time this runs,
+// so a number a concurrent change claimed first is retried with the next one instead of
+// failing a request whose categories were written.
+async function recordTemplateVersion(userId, templateName, { change, effectiveFrom, changedBy, previousItems = [] }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await claimNextVersion(userId, templateName, { change, effectiveFrom, changedBy, previousItems });
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException' || attempt >= MAX_VERSION_ATTEMPTS) {
+                throw error;
+            }
+            console.log(`Version of template '${templateName}' taken by a concurrent change; retrying (attempt ${attempt})`);
+        }
+    }
+}
+
+async function claimNextVersion(userId, templateName, { change, effectiveFrom, changedBy, previousItems }) {
+    const latest = await getLatestVersion(userId, templateName);
+    let version = latest ? latest.version + 1 : 1;
+    
+    if (!latest && previousItems.length > 0) {
+        await putVersion(userId, templateName, {
+            version,
+            effective_from: null,
+            change: 'baseline',
+            changed_by: null,
+            created_at: previousItems.reduce((earliest, item) => (item.created_at < earliest ? item.created_at : earliest), previousItems[0].created_at),
+            categories: snapshotCategories(previousItems)
+        });
+        version += 1;
+    }
+    
+    const items = await getTemplateItems(userId, templateName);
+    await putVersion(userId, templateName, {
+        version,
+        effective_from: effectiveFrom,
+        change,
+        changed_by: changedBy,
+        created_at: new Date().toISOString(),
+        categories: snapshotCategories(items)
+    });
+    
+    return version;
+}
+
+// Version numbers are claimed with a conditional put, so two concurrent changes can't both
+// write the same one
+async function putVersion(userId, templateName, version) {
+    await dynamodb.send(new PutCommand({
+        TableName: TABLE_NAME,
+        Item: {
+            ...getTemplateVersionKeys(userId, templateName, version.version),
+            template_name: templateName,
+            ...version,
+            user_id: userId
+        },
+        ConditionExpression: 'attribute_not_exists(PK)'
+    }));
+}
+
+async function getLatestVersion(userId, templateName) {
+    const result = await dynamodb.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: {
+            ':pk': getTemplateVersionPartition(userId, templateName)
+        },
+        ScanIndexForward: false,
+        Limit: 1
+    }));
+    return result.Items?.[0] || null;
+}
+
+// All of a template's versions, oldest first
+async function getVersionItems(userId, templateName) {
+    return queryAll({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: {
+            ':pk': getTemplateVersionPartition(userId, templateName)
+        }
+    });
+}
+
+// Writes/deletes in chunks of 25, retrying whatever DynamoDB leaves unprocessed
+async function batchWriteItems(writeRequests) {
+    for (let i = 0; i < writeRequests.length; i += 25) {
+        let requestItems = { [TABLE_NAME]: writeRequests.slice(i, i + 25) };
+        
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const result = await dynamodb.send(new BatchWriteCommand({
+                RequestItems: requestItems
+            }));
+            requestItems = result.UnprocessedItems;
+        }
+    }
+}
+
+function createCategoryItem(userId, templateName, category, timestamp) {
+    return {
+        PK: `USER#${userId}#TEMPLATE#${templateName}`,
+        SK: `CATEGORY#${category.category}`,
+        ...getTemplateIndexKeys(userId, templateName, category.category),
+        template_name: templateName,
+        category: category.category,
+        budget_amount: category.budget_amount,
+        rollover_enabled: category.rollover_enabled ?? false,
+        overspend_policy: category.overspend_policy || 'absorb',
+        rollover_cap: category.rollover_cap ?? null,
+        description: category.description ?? null,
+        sort_order: category.sort_order ?? null,
+        is_active: true,
+        created_at: timestamp,
+        user_id: userId
+    };
+}
+
+function checkDuplicateCategories(categories) {
+    const seen = new Set();
+    const errors = [];
+    
+    categories.forEach((category, index) => {
+        if (seen.has(category.category)) {
+            errors.push({ field: `categories[${index}].category`, message: `"${category.category}" is listed more than once` });
+        }
+        seen.add(category.category);
+    });
+    
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+}
+
+// YYYY-MM, UTC
+function getCurrentMonth() {
+    return new Date().toISOString().substring(0, 7);
+}
+
+function getNextSortOrder(items) {
+    return items.reduce((next, item) => Math.max(next, (item.sort_order ?? -1) + 1), 0);
+}
+
+function getLastUpdated(item) {
+    return item.updated_at && item.updated_at > item.created_at ? item.updated_at : item.created_at;
+}
+
+// Categories by sort_order, then name; older categories have no sort_order and go last
+function sortCategories(items) {
+    return [...items].sort((a, b) => {
+        const orderA = a.sort_order ?? Number.MAX_SAFE_INTEGER;
+        const orderB = b.sort_order ?? Number.MAX_SAFE_INTEGER;
+        return orderA - orderB || a.category.localeCompare(b.category);
+    });
+}
+
+function formatTemplate(templateName, items) {
+    return {
+        template_name: templateName,
+        category_count: items.length,
+        total_budget: fromCents(items.reduce((total, item) => total + toCents(item.budget_amount), 0)),
+        last_updated: items.reduce((latest, item) => (getLastUpdated(item) > latest ? getLastUpdated(item) : latest), ''),
+        categories: sortCategories(items).map(formatCategory)
+    };
+}
+
+// The category fields a version keeps, in display order
+function snapshotCategories(items) {
+    return sortCategories(items).map(item => ({
+        category: item.category,
+        budget_amount: item.budget_amount,
+        rollover_enabled: item.rollover_enabled ?? false,
+        overspend_policy: item.overspend_policy || 'absorb',
+        rollover_cap: item.rollover_cap ?? null,
+        description: item.description ?? null,
+        sort_order: item.sort_order ?? null
+    }));
+}
+
+function formatVersion(item, previous) {
+    const categories = item.categories || [];
+    const before = new Map((previous?.categories || []).map(category => [category.category, category]));
+    const after = new Set(categories.map(category => category.category));
+    
+    // What changed from the previous version; the first version has nothing to compare with
+    const changes = previous ? {
+        added: categories.filter(category => !before.has(category.category)).map(category => category.category),
+        removed: [...before.keys()].filter(name => !after.has(name)),
+        changed: categories.filter(category => before.has(category.category)).flatMap(category =>
+            ['budget_amount', 'rollover_enabled', 'overspend_policy', 'rollover_cap', 'description', 'sort_order']
+                .filter(field => (before.get(category.category)[field] ?? null) !== (category[field] ?? null))
+                .map(field => ({
+                    category: category.category,
+                    field,
+                    from: before.get(category.category)[field] ?? null,
+                    to: category[field] ?? null
+                }))
+        )
+    } : null;
+    
+    return {
+        version: item.version,
+        effective_from: item.effective_from ?? null,
+        change: item.change,
+        changed_by: item.changed_by ?? null,
+        created_at: item.created_at,
+        total_budget: fromCents(categories.reduce((total, category) => total + toCents(category.budget_amount), 0)),
+        categories,
+        changes
+    };
+}
+
+function formatCategory(item) {
+    return {
+        category: item.category,
+        budget_amount: item.budget_amount,
+        rollover_enabled: item.rollover_enabled ?? false,
+        overspend_policy: item.overspend_policy || 'absorb',
+        rollover_cap: item.rollover_cap ?? null,
+        description: item.description ?? null,
+        sort_order: item.sort_order ?? null,
+        created_at: item.created_at,
+        updated_at: item.updated_at || null
+    };
+}
+
+async function getItem(key) {
+    const result = await dynamodb.send(new GetCommand({
+        TableName: TABLE_NAME,
+        Key: key
+    }));
+    return result.Item || null;
+}
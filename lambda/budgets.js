@@ -3,21 +3,145 @@ const {
   DynamoDBDocumentClient, 
   QueryCommand, 
   PutCommand, 
-  ScanCommand,
   BatchWriteCommand,
   DeleteCommand,
-  UpdateCommand
+  UpdateCommand,
+  GetCommand,
+  TransactWriteCommand
 } = require('@aws-sdk/lib-dynamodb');
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+const { randomUUID } = require('crypto');
+const {
+  getTransactionDateRange,
+  getTemplateIndexKeys,
+  getTemplateIndexPartition,
+  getTemplateVersionKeys,
+  getTemplateVersionPartition,
+  getEnvelopeTransferKeys,
+  getEnvelopeTransferPartition,
+  getBudgetMonthKeys
+} = require('./shared/keys');
+const { fields, validate, validationError, parseBody, errorBody } = require('./shared/validation');
+const { authorizeRequest, hasRole } = require('./shared/households');
+const { toCents, fromCents, roundMoney, roundPercentage } = require('./shared/money');
+const {
+  DEFAULT_CURRENCY,
+  getCurrency,
+  getUserSettingsKeys,
+  getExchangeRateQuery,
+  loadConverter,
+  describeUnconverted
+} = require('./shared/currency');
+const { createQueryAll } = require('./shared/dynamodb');
+
+const pathSchema = {
+  type: 'object',
+  required: ['template', 'month'],
+  properties: {
+    template: fields.name,
+    month: fields.month
+  }
+};
+
+const templatePathSchema = {
+  type: 'object',
+  required: ['template'],
+  properties: {
+    template: fields.name
+  }
+};
+
+// POST /api/budgets/{template}/apply-version. Envelopes changed through updateEnvelopeBudget
+// are left alone unless overwrite_manual is set.
+const applyVersionSchema = {
+  type: 'object',
+  required: ['version', 'from', 'to'],
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    from: fields.month,
+    to: fields.month,
+    overwrite_manual: fields.boolean
+  }
+};
+
+// Longest month range one apply-version request may cover
+const MAX_APPLY_MONTHS = 24;
+
+// GET /api/budget-analysis/{template}?from=&to=; to defaults to the current month and from
+// to January of to's year (year to date)
+const rangeAnalysisQuerySchema = {
+  type: 'object',
+  properties: {
+    from: fields.month,
+    to: fields.month
+  }
+};
+
+// Longest month range one analysis request may cover
+const MAX_ANALYSIS_MONTHS = 24;
+
+// POST /api/budgets/{template}/recompute-rollover; from defaults to the template's first month
+const recomputeRolloverSchema = {
+  type: 'object',
+  properties: {
+    from: fields.month
+  }
+};
+
+// Envelope fields next month's rollover is derived from; a change to any of them (or the
+// envelope going away) sets off a recompute from the stream. rollover_amount is left out:
+// recomputeRollover writes it and has already walked the months after.
+const ROLLOVER_INPUTS = ['budget_amount', 'rollover_enabled', 'overspend_policy', 'rollover_cap'];
+
+// POST /api/budgets/{template}/{month}/transfers. A missing (or null) category is the
+// ready-to-assign pool, which only zero-based mode has.
+const transferSchema = {
+  type: 'object',
+  required: ['amount'],
+  properties: {
+    from_category: { ...fields.category, nullable: true },
+    to_category: { ...fields.category, nullable: true },
+    amount: fields.amount,
+    note: fields.text
+  }
+};
+
+const transferQuerySchema = {
+  type: 'object',
+  properties: {
+    category: fields.category
+  }
+};
+
+const envelopeUpdateSchema = {
+  type: 'object',
+  required: ['budgets'],
+  properties: {
+    budgets: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['category', 'budget_amount'],
+        properties: {
+          category: fields.category,
+          budget_amount: fields.budgetAmount
+        }
+      }
+    }
+  }
+};
 
 const client = new DynamoDBClient({});
 const dynamodb = DynamoDBDocumentClient.from(client);
+const queryAll = createQueryAll(dynamodb, QueryCommand);
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 
 const corsHeaders = {
   'Content-Type': 'application/json',
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-User-ID'
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
 };
 
 const createResponse = (statusCode, body) => ({
@@ -26,22 +150,6 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-const extractUserId = (event) => {
-  // Try X-User-ID header first
-  const userIdHeader = event.headers['X-User-ID'] || event.headers['x-user-id'];
-  if (userIdHeader) {
-    return userIdHeader;
-  }
-  
-  // Try Authorization Bearer token
-  const authHeader = event.headers['Authorization'] || event.headers['authorization'];
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
-  }
-  
-  return null;
-};
-
 // Default template categories to create for new users
 const getDefaultTemplateCategories = () => [
   { category: 'Food', budget_amount: 500, rollover_enabled: true },
@@ -62,17 +170,48 @@ exports.handler = async (event) => {
   try {
     const { httpMethod, pathParameters, resource } = event;
     
-    // Extract and validate user ID
-    const userId = extractUserId(event);
-    if (!userId) {
-      return createResponse(401, { error: 'Unauthorized: User ID required' });
-    }
+    const access = await authorizeRequest(event, getItem);
+    const userId = access.ownerId;
+    // Recorded on envelope transfers as who moved the money
+    const changedBy = access.memberId;
     
     console.log('Processing budgets request for user:', userId);
     
+    if (httpMethod === 'POST' && resource === '/api/budgets/{template}/apply-version') {
+      return await applyTemplateVersion(event, userId);
+    }
+    
+    if (httpMethod === 'POST' && resource === '/api/budgets/{template}/recompute-rollover') {
+      return await handleRecomputeRollover(event, userId);
+    }
+    
+    if (httpMethod === 'POST' && resource === '/api/budgets/{template}/{month}/transfers') {
+      return await createEnvelopeTransfer(event, userId, changedBy);
+    }
+    
+    if (httpMethod === 'GET' && resource === '/api/budgets/{template}/{month}/transfers') {
+      return await listEnvelopeTransfers(event, userId);
+    }
+    
+    if (httpMethod === 'POST' && resource === '/api/budgets/{template}/{month}/open') {
+      return await openBudgetMonth(event, userId, changedBy);
+    }
+    
+    if (httpMethod === 'POST' && resource === '/api/budgets/{template}/{month}/close') {
+      return await setBudgetMonthStatus(event, userId, changedBy, 'closed');
+    }
+    
+    if (httpMethod === 'POST' && resource === '/api/budgets/{template}/{month}/reopen') {
+      // Closing is for editors; undoing it takes a household owner
+      if (!hasRole(access.role, 'owner')) {
+        return createResponse(403, { error: `Requires the owner role in this household (you are ${access.role})` });
+      }
+      return await setBudgetMonthStatus(event, userId, changedBy, 'open');
+    }
+    
     // Handle PUT requests for updating budgets
     if (httpMethod === 'PUT') {
-      return await updateEnvelopeBudget(event, userId);
+      return await updateEnvelopeBudget(event, userId, changedBy);
     }
     
     // Handle DELETE requests for budget templates
@@ -80,6 +219,10 @@ exports.handler = async (event) => {
       return await handleDeleteTemplate(pathParameters, userId);
     }
     
+    if (httpMethod === 'GET' && resource === '/api/budget-analysis/{template}') {
+      return await handleRangeAnalysis(event, userId);
+    }
+    
     // Handle different routes
     if (resource.includes('/budget-analysis/')) {
       return await handleBudgetAnalysis(pathParameters, userId);
@@ -91,54 +234,447 @@ exports.handler = async (event) => {
     
   } catch (error) {
     console.error('Error:', error);
+    if (error.statusCode) {
+      return createResponse(error.statusCode, errorBody(error));
+    }
     return createResponse(500, { error: 'Internal server error', details: error.message });
   }
 };
 
-async function updateEnvelopeBudget(event, userId) {
-  const { template, month } = event.pathParameters;
-  const decodedTemplate = decodeURIComponent(template);
-  const decodedMonth = decodeURIComponent(month);
+// DynamoDB Stream consumer - keeps rollover current when what it's derived from changes: an
+// expense written, edited or deleted (which changes its month's leftover for every template
+// with envelopes that month), or an envelope's amounts or rollover settings edited or the
+// envelope removed. Each template is walked forward once, from the earliest month affected.
+// A chain that fails doesn't stop the others: the records behind it are returned as
+// batchItemFailures, and the stream retries from the earliest of them.
+exports.streamHandler = async (event) => {
+  const starts = new Map();
+  const expenseMonths = new Map();
+  const failed = new Set();
   
-  let requestData;
-  try {
-    requestData = JSON.parse(event.body);
-  } catch (error) {
-    return createResponse(400, { error: 'Invalid JSON in request body' });
+  // Each chain keeps the sequence numbers of the records that started it
+  const addStart = (userId, template, month, sequenceNumbers) => {
+    const key = `${userId}|${template}`;
+    if (!starts.has(key)) {
+      starts.set(key, { userId, template, month, sequenceNumbers: new Set() });
+    }
+    const start = starts.get(key);
+    if (month < start.month) {
+      start.month = month;
+    }
+    sequenceNumbers.forEach(sequenceNumber => start.sequenceNumbers.add(sequenceNumber));
+  };
+  
+  for (const record of event.Records || []) {
+    const keys = unmarshall(record.dynamodb?.Keys || {});
+    const newImage = record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+    const oldImage = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+    const sequenceNumber = record.dynamodb?.SequenceNumber;
+    
+    if (String(keys.SK || '').startsWith('TRANSACTION#')) {
+      // Old image covers deletes and moves to another month
+      [newImage, oldImage].filter(Boolean).forEach(transaction => {
+        if (transaction.user_id && transaction.date && String(transaction.type).toLowerCase() === 'expense') {
+          const month = transaction.date.substring(0, 7);
+          const key = `${transaction.user_id}|${month}`;
+          if (!expenseMonths.has(key)) {
+            expenseMonths.set(key, { userId: transaction.user_id, month, sequenceNumbers: new Set() });
+          }
+          expenseMonths.get(key).sequenceNumbers.add(sequenceNumber);
+        }
+      });
+    } else if (String(keys.PK || '').includes('#ENVELOPE#') && oldImage && changesRollover(oldImage, newImage)) {
+      addStart(oldImage.user_id, oldImage.template_name, getNextMonth(oldImage.month), [sequenceNumber]);
+    }
+  }
+  
+  for (const { userId, month, sequenceNumbers } of expenseMonths.values()) {
+    try {
+      const templates = await getEnvelopeTemplates(month, userId);
+      templates.forEach(template => addStart(userId, template, getNextMonth(month), sequenceNumbers));
+    } catch (error) {
+      console.error(`Failed to list envelope templates for user ${userId} in ${month}:`, error);
+      sequenceNumbers.forEach(sequenceNumber => failed.add(sequenceNumber));
+    }
   }
   
-  const { budgets } = requestData;
+  console.log(`Recomputing rollover for ${starts.size} user/template chains from ${event.Records?.length || 0} stream records`);
+  
+  // Recomputing is idempotent, so retrying records whose chains already succeeded is harmless
+  for (const { userId, template, month, sequenceNumbers } of starts.values()) {
+    try {
+      await recomputeRollover(template, month, userId);
+    } catch (error) {
+      console.error(`Failed to recompute rollover for user ${userId}, template ${template} from ${month}:`, error);
+      sequenceNumbers.forEach(sequenceNumber => failed.add(sequenceNumber));
+    }
+  }
   
-  if (!budgets || !Array.isArray(budgets)) {
-    return createResponse(400, { error: 'Missing budgets array' });
+  return { batchItemFailures: [...failed].map(sequenceNumber => ({ itemIdentifier: sequenceNumber })) };
+};
+
+// Whether an envelope write changed what the next month's rollover is derived from. New
+// envelopes are created with their rollover already worked out, so inserts don't count.
+function changesRollover(oldImage, newImage) {
+  if (!newImage) {
+    return true;
   }
+  return ROLLOVER_INPUTS.some(field => (oldImage[field] ?? null) !== (newImage[field] ?? null));
+}
+
+// Sets envelopes' budget_amount. Each change is logged as an 'adjust' transfer (from the
+// ready-to-assign pool when it grows, back to it when it shrinks), and in zero-based mode
+// the month may not end up assigning more than its income.
+async function updateEnvelopeBudget(event, userId, changedBy) {
+  const { template: decodedTemplate, month: decodedMonth } = parsePathParameters(event.pathParameters);
+  const { budgets } = validate(envelopeUpdateSchema, parseBody(event.body));
+  await assertMonthOpen(decodedTemplate, decodedMonth, userId);
   
-  const updatePromises = [];
+  // Read before the envelopes, so any assignment the pool check below misses changes it
+  const poolVersion = await getPoolVersion(decodedTemplate, decodedMonth, userId);
+  const envelopes = await getEnvelopeItems(decodedTemplate, decodedMonth, userId);
+  const envelopesByCategory = new Map(envelopes.map(item => [item.category, item]));
   
-  for (const budget of budgets) {
-    const updateParams = {
-      TableName: TABLE_NAME,
-      Key: {
-        PK: `USER#${userId}#ENVELOPE#${decodedTemplate}`,
-        SK: `${decodedMonth}#${budget.category}`
-      },
-      UpdateExpression: 'SET budget_amount = :amount',
-      ExpressionAttributeValues: {
-        ':amount': parseFloat(budget.budget_amount)
+  const errors = [];
+  const amounts = new Map();
+  budgets.forEach((budget, index) => {
+    if (!envelopesByCategory.has(budget.category)) {
+      errors.push({ field: `budgets[${index}].category`, message: `has no envelope in ${decodedMonth}` });
+    } else if (amounts.has(budget.category)) {
+      errors.push({ field: `budgets[${index}].category`, message: 'is listed more than once' });
+    }
+    amounts.set(budget.category, budget.budget_amount);
+  });
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  
+  const changes = [...amounts]
+    .map(([category, amount]) => ({ envelope: envelopesByCategory.get(category), amount }))
+    .filter(({ envelope, amount }) => toCents(envelope.budget_amount) !== toCents(amount));
+  
+  let assignsFromPool = false;
+  if (await getBudgetingMode(userId) === 'zero_based') {
+    const assignedBefore = sumAssigned(envelopes);
+    const assignedAfter = assignedBefore + changes.reduce((total, { envelope, amount }) => total + toCents(amount) - toCents(envelope.budget_amount), 0);
+    const income = await getMonthIncome(decodedMonth, userId);
+    
+    // Lowering budgets is always allowed, even while the month is still over-assigned
+    if (assignedAfter > assignedBefore && assignedAfter > income.total) {
+      throw validationError([{
+        field: 'budgets',
+        message: `would assign ${fromCents(assignedAfter)} ${income.currency} but ${decodedMonth} has ${fromCents(income.total)} of income`
+      }]);
+    }
+    assignsFromPool = assignedAfter > assignedBefore;
+  }
+  
+  const timestamp = new Date().toISOString();
+  
+  // Two writes per envelope, plus the pool guard, within DynamoDB's 100-item transaction
+  // limit. Each update is conditional on the amount read above so a concurrent change isn't
+  // logged wrongly.
+  for (let i = 0, chunk = 0; i < changes.length; i += 49, chunk++) {
+    const transactItems = changes.slice(i, i + 49).flatMap(({ envelope, amount }) => {
+      const delta = toCents(amount) - toCents(envelope.budget_amount);
+      const transfer = createTransferItem(decodedTemplate, decodedMonth, userId, {
+        kind: 'adjust',
+        from: delta > 0 ? null : envelope.category,
+        to: delta > 0 ? envelope.category : null,
+        amount: fromCents(Math.abs(delta)),
+        note: `budget set to ${roundMoney(amount)}`,
+        changedBy,
+        timestamp
+      });
+      
+      return [
+        {
+          Update: {
+            TableName: TABLE_NAME,
+            Key: { PK: envelope.PK, SK: envelope.SK },
+            // Marked manual so applying a template version doesn't overwrite the edit
+            UpdateExpression: 'SET budget_amount = :amount, budget_source = :source, updated_at = :updatedAt',
+            ConditionExpression: 'budget_amount = :previous',
+            ExpressionAttributeValues: {
+              ':amount': amount,
+              ':previous': envelope.budget_amount,
+              ':source': 'manual',
+              ':updatedAt': timestamp
+            }
+          }
+        },
+        { Put: { TableName: TABLE_NAME, Item: transfer } }
+      ];
+    });
+    if (assignsFromPool) {
+      transactItems.push(getPoolGuard(decodedTemplate, decodedMonth, userId, poolVersion + chunk, timestamp));
+    }
+    
+    await sendTransaction(transactItems);
+  }
+  
+  console.log(`Updated ${changes.length} budgets for user ${userId}, template ${decodedTemplate}, month ${decodedMonth}`);
+  return createResponse(200, { message: 'Budgets updated successfully', updated: changes.length });
+}
+
+// Moves money from one envelope to another, or between an envelope and the ready-to-assign
+// pool. The envelope updates and the transfer record are written in one transaction.
+async function createEnvelopeTransfer(event, userId, changedBy) {
+  const { template, month } = parsePathParameters(event.pathParameters);
+  const { from_category: from = null, to_category: to = null, amount, note = '' } = validate(transferSchema, parseBody(event.body));
+  
+  if (!from && !to) {
+    throw validationError([{ field: 'from_category', message: 'or to_category is required' }]);
+  }
+  if (from === to) {
+    throw validationError([{ field: 'to_category', message: 'must differ from from_category' }]);
+  }
+  await assertMonthOpen(template, month, userId);
+  
+  const poolVersion = await getPoolVersion(template, month, userId);
+  const envelopes = await getEnvelopeItems(template, month, userId);
+  const envelopesByCategory = new Map(envelopes.map(item => [item.category, item]));
+  
+  const missing = [from, to].find(category => category && !envelopesByCategory.has(category));
+  if (missing) {
+    return createResponse(404, { error: `No "${missing}" envelope in ${template} for ${month}` });
+  }
+  
+  if (!from || !to) {
+    if (await getBudgetingMode(userId) !== 'zero_based') {
+      throw validationError([{
+        field: from ? 'to_category' : 'from_category',
+        message: 'is required; the ready-to-assign pool is only used in zero-based mode (PUT /api/settings)'
+      }]);
+    }
+    if (!from) {
+      const pool = await getReadyToAssign(envelopes, month, userId);
+      if (toCents(amount) > pool.readyToAssign) {
+        throw validationError([{ field: 'amount', message: `is more than the ${fromCents(Math.max(pool.readyToAssign, 0))} ${pool.currency} ready to assign` }]);
       }
-    };
+    }
+  }
+  
+  // The source may not end up with a negative budget_amount, nor with less available
+  // (budget + rollover - spent) than nothing
+  const source = from ? envelopesByCategory.get(from) : null;
+  let required = toCents(amount);
+  if (source) {
+    const spending = await getActualSpending(month, userId);
+    const available = getAvailable(source, spending.byCategory[from] || 0);
+    if (toCents(amount) > toCents(source.budget_amount)) {
+      throw validationError([{ field: 'amount', message: `is more than the ${roundMoney(source.budget_amount)} budgeted for ${from}` }]);
+    }
+    if (toCents(amount) > available) {
+      throw validationError([{ field: 'amount', message: `is more than the ${fromCents(Math.max(available, 0))} ${spending.currency} available in ${from}` }]);
+    }
+    required = Math.max(required, toCents(source.budget_amount) - available + toCents(amount));
+  }
+  
+  const timestamp = new Date().toISOString();
+  const transfer = createTransferItem(template, month, userId, {
+    kind: from && to ? 'transfer' : from ? 'unassign' : 'assign',
+    from,
+    to,
+    amount,
+    note,
+    changedBy,
+    timestamp
+  });
+  
+  const transactItems = [{ Put: { TableName: TABLE_NAME, Item: transfer } }];
+  if (!from) {
+    transactItems.push(getPoolGuard(template, month, userId, poolVersion, timestamp));
+  }
+  if (source) {
+    transactItems.push({
+      Update: {
+        TableName: TABLE_NAME,
+        Key: { PK: source.PK, SK: source.SK },
+        UpdateExpression: 'SET budget_amount = budget_amount - :amount, budget_source = :source, updated_at = :updatedAt',
+        // :required is the amount plus what's already spent beyond the rollover, so a
+        // concurrent edit can't leave the envelope negative; rollover is checked unchanged
+        // since the requirement was worked out from it (a missing rollover counts as 0)
+        ConditionExpression: 'attribute_exists(PK) AND budget_amount >= :required AND (attribute_not_exists(rollover_amount) OR rollover_amount = :rollover)',
+        ExpressionAttributeValues: {
+          ':amount': amount,
+          ':required': fromCents(required),
+          ':rollover': source.rollover_amount ?? 0,
+          ':source': 'manual',
+          ':updatedAt': timestamp
+        }
+      }
+    });
+  }
+  if (to) {
+    const target = envelopesByCategory.get(to);
+    transactItems.push({
+      Update: {
+        TableName: TABLE_NAME,
+        Key: { PK: target.PK, SK: target.SK },
+        UpdateExpression: 'SET budget_amount = budget_amount + :amount, budget_source = :source, updated_at = :updatedAt',
+        ConditionExpression: 'attribute_exists(PK)',
+        ExpressionAttributeValues: {
+          ':amount': amount,
+          ':source': 'manual',
+          ':updatedAt': timestamp
+        }
+      }
+    });
+  }
+  
+  await sendTransaction(transactItems);
+  
+  console.log(`Moved ${amount} from ${from || 'ready to assign'} to ${to || 'ready to assign'} in ${template} ${month} for user ${userId}`);
+  
+  return createResponse(201, formatTransfer(transfer));
+}
+
+// GET /api/budgets/{template}/{month}/transfers[?category=] - the month's transfer log,
+// oldest first
+async function listEnvelopeTransfers(event, userId) {
+  const { template, month } = parsePathParameters(event.pathParameters);
+  const { category } = validate(transferQuerySchema, event.queryStringParameters || {});
+  
+  const transfers = (await getTransferItems(template, month, userId))
+    .filter(item => !category || item.from_category === category || item.to_category === category)
+    .map(formatTransfer);
+  
+  return createResponse(200, {
+    template_name: template,
+    month,
+    transfers
+  });
+}
+
+// Brings months from..to in line with one template version: categories the version has are
+// created or updated, ones it lacks are removed. Envelopes edited by hand are reported in
+// kept_manual and left as they are, unless overwrite_manual is set; closed months aren't
+// touched. Months are done in
+// order so rollover for newly created envelopes sees the month before already applied.
+async function applyTemplateVersion(event, userId) {
+  const { template } = validate(templatePathSchema, {
+    template: decodeURIComponent(event.pathParameters?.template || '')
+  });
+  const { version: versionNumber, from, to, overwrite_manual = false } = validate(applyVersionSchema, parseBody(event.body));
+  
+  const months = listMonths(from, to);
+  if (months.length === 0) {
+    throw validationError([{ field: 'to', message: 'must not be before from' }]);
+  }
+  if (months.length > MAX_APPLY_MONTHS) {
+    throw validationError([{ field: 'to', message: `must be within ${MAX_APPLY_MONTHS} months of from` }]);
+  }
+  
+  const version = await getItem(getTemplateVersionKeys(userId, template, versionNumber));
+  if (!version) {
+    return createResponse(404, { error: `Template "${template}" has no version ${versionNumber}` });
+  }
+  
+  const timestamp = new Date().toISOString();
+  const versionCategories = new Set(version.categories.map(category => category.category));
+  const results = [];
+  
+  for (const month of months) {
+    const result = { month, closed: false, created: [], updated: [], removed: [], kept_manual: [] };
+    
+    // Closed months keep their budgets; they're listed but left alone
+    if (await getMonthStatus(template, month, userId) === 'closed') {
+      results.push({ ...result, closed: true });
+      continue;
+    }
+    
+    const existingItems = await getEnvelopeItems(template, month, userId);
+    const existingByCategory = new Map(existingItems.map(item => [item.category, item]));
+    const isKept = item => item.budget_source === 'manual' && !overwrite_manual;
+    const writeRequests = [];
+    let rolloverAmounts = null;
     
-    updatePromises.push(dynamodb.send(new UpdateCommand(updateParams)));
+    for (const category of version.categories) {
+      const existing = existingByCategory.get(category.category);
+      
+      if (!existing) {
+        rolloverAmounts = rolloverAmounts || await calculateRolloverAmounts(template, getPreviousMonth(month), userId);
+        writeRequests.push({
+          PutRequest: {
+            Item: createEnvelopeItem(template, month, userId, category, {
+              rolloverAmount: rolloverAmounts[category.category] || 0,
+              templateVersion: version.version,
+              timestamp
+            })
+          }
+        });
+        result.created.push(category.category);
+      } else if (isKept(existing)) {
+        result.kept_manual.push(category.category);
+      } else {
+        writeRequests.push({
+          PutRequest: {
+            Item: {
+              ...existing,
+              budget_amount: category.budget_amount,
+              rollover_enabled: category.rollover_enabled,
+              overspend_policy: category.overspend_policy || 'absorb',
+              rollover_cap: category.rollover_cap ?? null,
+              template_version: version.version,
+              budget_source: 'template',
+              updated_at: timestamp
+            }
+          }
+        });
+        result.updated.push(category.category);
+      }
+    }
+    
+    existingItems
+      .filter(item => !versionCategories.has(item.category))
+      .forEach(item => {
+        if (isKept(item)) {
+          result.kept_manual.push(item.category);
+          return;
+        }
+        writeRequests.push({ DeleteRequest: { Key: { PK: item.PK, SK: item.SK } } });
+        result.removed.push(item.category);
+      });
+    
+    await batchWriteItems(writeRequests);
+    results.push(result);
   }
   
-  try {
-    await Promise.all(updatePromises);
-    console.log(`Updated ${budgets.length} budgets for user ${userId}, template ${decodedTemplate}, month ${decodedMonth}`);
-    return createResponse(200, { message: 'Budgets updated successfully' });
-  } catch (error) {
-    console.error('Error updating budgets for user', userId, ':', error);
-    return createResponse(500, { error: 'Failed to update budgets' });
+  console.log(`Applied template '${template}' version ${version.version} to ${from}..${to} for user ${userId}`);
+  
+  return createResponse(200, {
+    template_name: template,
+    version: version.version,
+    from,
+    to,
+    overwrite_manual,
+    months: results
+  });
+}
+
+// POST /api/budgets/{template}/recompute-rollover - rederives rollover_amount from `from`
+// (default: the template's first month) through the last month in an unbroken run
+async function handleRecomputeRollover(event, userId) {
+  const { template } = validate(templatePathSchema, {
+    template: decodeURIComponent(event.pathParameters?.template || '')
+  });
+  const body = validate(recomputeRolloverSchema, parseBody(event.body));
+  
+  const from = body.from || await getFirstEnvelopeMonth(template, userId);
+  if (!from) {
+    return createResponse(404, { error: `Template "${template}" has no envelope budgets` });
   }
+  
+  const months = await recomputeRollover(template, from, userId);
+  
+  console.log(`Recomputed rollover for template '${template}' from ${from} (${months.length} months) for user ${userId}`);
+  
+  return createResponse(200, {
+    template_name: template,
+    from,
+    months
+  });
 }
 
 async function handleDeleteTemplate(pathParameters, userId) {
@@ -193,91 +729,285 @@ async function handleDeleteTemplate(pathParameters, userId) {
 }
 
 async function handleBudgets(pathParameters, userId) {
-  const template = decodeURIComponent(pathParameters?.template || '');
-  const month = decodeURIComponent(pathParameters?.month || '');
+  const { template, month } = parsePathParameters(pathParameters);
   
   console.log('User', userId, '- Decoded template:', template);
   console.log('User', userId, '- Decoded month:', month);
   
-  if (!template || !month) {
-    return createResponse(400, { error: 'Missing template or month parameter' });
-  }
-  
-  // Get or create envelope budgets for this template/month - USER FILTERED
-  const budgets = await getOrCreateEnvelopeBudgets(template, month, userId);
+  // Reads only: a month that hasn't been opened comes back as a preview - USER FILTERED
+  const budgets = await getEnvelopeBudgets(template, month, userId);
   
   return createResponse(200, budgets);
 }
 
 async function handleBudgetAnalysis(pathParameters, userId) {
-  const template = decodeURIComponent(pathParameters?.template || '');
-  const month = decodeURIComponent(pathParameters?.month || '');
+  const { template, month } = parsePathParameters(pathParameters);
   
   console.log('Analysis for user', userId, '- Decoded template:', template);
   console.log('Analysis for user', userId, '- Decoded month:', month);
   
-  if (!template || !month) {
-    return createResponse(400, { error: 'Missing template or month parameter' });
-  }
-  
-  // Get envelope budgets - USER FILTERED
-  const budgets = await getOrCreateEnvelopeBudgets(template, month, userId);
+  // Get envelope budgets, or the preview of a month not yet opened - USER FILTERED
+  const budgets = await getEnvelopeBudgets(template, month, userId);
   
   // Get actual spending for this month - USER FILTERED
   const actualSpending = await getActualSpending(month, userId);
   
   // Calculate analysis
   const analysis = calculateBudgetAnalysis(budgets, actualSpending);
+  const transfers = await getTransferItems(template, month, userId);
+  
+  return createResponse(200, {
+    status: budgets.length > 0 ? budgets[0].status : 'preview',
+    analysis: addTransfers(analysis.categoryAnalysis, transfers),
+    summary: analysis.summary,
+    budgeting: await getBudgetingSummary(budgets, month, userId)
+  });
+}
+
+// A per-category, per-month matrix over from..to, each month analysed by
+// calculateBudgetAnalysis. Only reads: months never opened have no envelopes and show their
+// spending as unbudgeted. In range totals a month's budget counts once - rollover is money
+// an earlier month already budgeted - so their rollover is what the range's first month
+// brought in. Averages are per month of the range.
+async function handleRangeAnalysis(event, userId) {
+  const { template } = validate(templatePathSchema, {
+    template: decodeURIComponent(event.pathParameters?.template || '')
+  });
+  const query = validate(rangeAnalysisQuerySchema, event.queryStringParameters || {});
+  const to = query.to || getCurrentMonth();
+  const from = query.from || `${to.substring(0, 4)}-01`;
+  
+  const months = listMonths(from, to);
+  if (months.length === 0) {
+    throw validationError([{ field: 'to', message: 'must not be before from' }]);
+  }
+  if (months.length > MAX_ANALYSIS_MONTHS) {
+    throw validationError([{ field: 'to', message: `must be within ${MAX_ANALYSIS_MONTHS} months of from` }]);
+  }
+  
+  const monthly = [];
+  for (const month of months) {
+    const budgets = (await getEnvelopeItems(template, month, userId)).map(formatEnvelopeBudget);
+    const analysis = calculateBudgetAnalysis(budgets, await getActualSpending(month, userId));
+    monthly.push({ month, opened: budgets.length > 0, ...analysis });
+  }
+  
+  if (!monthly.some(entry => entry.opened) && !(await templateExists(template, userId))) {
+    return createResponse(404, { error: `Template "${template}" not found` });
+  }
+  
+  // Categories in order of first appearance, each with a cell for every month
+  const categories = new Map();
+  monthly.forEach(({ month, categoryAnalysis }) => {
+    categoryAnalysis.forEach(entry => {
+      if (!categories.has(entry.category)) {
+        categories.set(entry.category, { category: entry.category, cells: new Map() });
+      }
+      categories.get(entry.category).cells.set(month, entry);
+    });
+  });
+  
+  const rangeTotals = { budgeted: 0, actual: 0, rollover: 0, rolloverSum: 0 };
+  const matrix = [...categories.values()].map(({ category, cells }) => {
+    const first = cells.get(months[0]);
+    const totals = { budgeted: 0, actual: 0, rollover: first ? toCents(first.rollover_amount) : 0, rolloverSum: 0 };
+    const cellsByMonth = months.map(month => {
+      const cell = cells.get(month);
+      if (!cell) {
+        return { month, budgeted: 0, actual: 0, remaining: 0, rollover: 0, has_budget: false };
+      }
+      
+      totals.budgeted += toCents(cell.budgeted) - toCents(cell.rollover_amount);
+      totals.actual += toCents(cell.actual);
+      totals.rolloverSum += toCents(cell.rollover_amount);
+      return {
+        month,
+        budgeted: cell.budgeted,
+        actual: cell.actual,
+        remaining: cell.remaining,
+        rollover: cell.rollover_amount,
+        has_budget: cell.has_budget
+      };
+    });
+    
+    Object.keys(rangeTotals).forEach(name => {
+      rangeTotals[name] += totals[name];
+    });
+    
+    return {
+      category,
+      months: cellsByMonth,
+      totals: formatRangeTotals(totals),
+      averages: formatRangeAverages(totals, months.length)
+    };
+  });
   
   return createResponse(200, {
-    analysis: analysis.categoryAnalysis,
-    summary: analysis.summary
+    template_name: template,
+    from,
+    to,
+    currency: await getBaseCurrency(userId),
+    months: monthly.map(({ month, opened, summary }) => ({ month, opened, summary })),
+    categories: matrix,
+    totals: {
+      ...formatRangeTotals(rangeTotals),
+      budget_utilization: roundPercentage(rangeTotals.budgeted > 0 ? (rangeTotals.actual / rangeTotals.budgeted) * 100 : 0)
+    },
+    averages: formatRangeAverages(rangeTotals, months.length)
   });
 }
 
-async function getOrCreateEnvelopeBudgets(template, month, userId) {
-  // First, check if envelope budgets already exist for this template/month - USER FILTERED
-  const existingBudgetsParams = {
+// Totals in cents: { budgeted, actual, rollover (into the first month), rolloverSum }
+function formatRangeTotals(totals) {
+  return {
+    budgeted: fromCents(totals.budgeted),
+    actual: fromCents(totals.actual),
+    remaining: fromCents(totals.budgeted - totals.actual),
+    rollover: fromCents(totals.rollover)
+  };
+}
+
+function formatRangeAverages(totals, monthCount) {
+  const average = cents => fromCents(Math.round(cents / monthCount));
+  return {
+    budgeted: average(totals.budgeted),
+    actual: average(totals.actual),
+    remaining: average(totals.budgeted - totals.actual),
+    rollover: average(totals.rolloverSum)
+  };
+}
+
+// A month's envelope budgets, each with the month's status: 'open' or 'closed' once the
+// month has been opened, otherwise a 'preview' of what opening it would create. Never writes.
+async function getEnvelopeBudgets(template, month, userId) {
+  const existingItems = await getEnvelopeItems(template, month, userId);
+  
+  if (existingItems.length === 0) {
+    console.log('No envelope budgets for user', userId, 'in', month, '- previewing from template');
+    const { items } = await planEnvelopeItems(template, month, userId, null);
+    return items.map(item => ({ ...formatEnvelopeBudget(item), id: null, status: 'preview' }));
+  }
+  
+  const status = await getMonthStatus(template, month, userId);
+  return existingItems.map(item => ({ ...formatEnvelopeBudget(item), status }));
+}
+
+// POST /api/budgets/{template}/{month}/open - creates the month's envelopes (what GET
+// previews) and records the month as open. Opening an opened month changes nothing. A new
+// user's first 'Default' month also creates the default template.
+async function openBudgetMonth(event, userId, changedBy) {
+  const { template, month } = parsePathParameters(event.pathParameters);
+  
+  const existingItems = await getEnvelopeItems(template, month, userId);
+  if (existingItems.length > 0) {
+    const status = await getMonthStatus(template, month, userId);
+    return createResponse(200, {
+      template_name: template,
+      month,
+      status,
+      created: false,
+      budgets: existingItems.map(item => ({ ...formatEnvelopeBudget(item), status }))
+    });
+  }
+  
+  const timestamp = new Date().toISOString();
+  const { items, createsDefaultTemplate } = await planEnvelopeItems(template, month, userId, timestamp);
+  
+  if (createsDefaultTemplate) {
+    await createDefaultTemplate('Default', userId);
+  }
+  await batchWriteItems(items.map(item => ({ PutRequest: { Item: item } })));
+  await dynamodb.send(new PutCommand({
     TableName: TABLE_NAME,
-    FilterExpression: 'begins_with(PK, :pk) AND #month = :month',
+    Item: {
+      ...getBudgetMonthKeys(userId, template, month),
+      template_name: template,
+      month,
+      status: 'open',
+      opened_at: timestamp,
+      opened_by: changedBy,
+      user_id: userId
+    }
+  }));
+  
+  console.log(`Opened ${month} of template '${template}' with ${items.length} envelope budgets for user ${userId}`);
+  
+  return createResponse(201, {
+    template_name: template,
+    month,
+    status: 'open',
+    created: true,
+    budgets: items.map(item => ({ ...formatEnvelopeBudget(item), status: 'open' }))
+  });
+}
+
+// POST .../close and .../reopen. Only opened months before the current one can be closed. A
+// closed month's budgets can't be changed - by PUT, transfers or apply-version - until it's
+// reopened; its rollover still follows its spending.
+async function setBudgetMonthStatus(event, userId, changedBy, status) {
+  const { template, month } = parsePathParameters(event.pathParameters);
+  
+  if (status === 'closed' && month >= getCurrentMonth()) {
+    throw validationError([{ field: 'month', message: 'must be before the current month to be closed' }]);
+  }
+  
+  const envelopes = await getEnvelopeItems(template, month, userId);
+  if (envelopes.length === 0) {
+    return createResponse(404, { error: `${month} of template "${template}" hasn't been opened` });
+  }
+  
+  const timestamp = new Date().toISOString();
+  const result = await dynamodb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: getBudgetMonthKeys(userId, template, month),
+    // Months opened before statuses were recorded have no item yet; their first envelope
+    // says when they were opened
+    UpdateExpression: 'SET template_name = :template, #month = :month, #status = :status, status_changed_at = :timestamp, status_changed_by = :changedBy, opened_at = if_not_exists(opened_at, :openedAt), user_id = :userId',
     ExpressionAttributeNames: {
-      '#month': 'month'
+      '#month': 'month',
+      '#status': 'status'
     },
     ExpressionAttributeValues: {
-      ':pk': `USER#${userId}#ENVELOPE#${template}`,
-      ':month': month
-    }
-  };
+      ':template': template,
+      ':month': month,
+      ':status': status,
+      ':timestamp': timestamp,
+      ':changedBy': changedBy,
+      ':openedAt': envelopes[0].created_at,
+      ':userId': userId
+    },
+    ReturnValues: 'ALL_NEW'
+  }));
   
-  try {
-    const existingResult = await dynamodb.send(new ScanCommand(existingBudgetsParams));
-    
-    if (existingResult.Items && existingResult.Items.length > 0) {
-      console.log('Found existing envelope budgets for user', userId, ':', existingResult.Items.length);
-      // Return existing envelope budgets
-      return existingResult.Items.map(item => ({
-        id: item.id,
-        template_name: item.template_name,
-        category: item.category,
-        budget_amount: item.budget_amount,
-        month: item.month,
-        rollover_enabled: item.rollover_enabled,
-        rollover_amount: item.rollover_amount || 0,
-        is_active: item.is_active,
-        created_at: item.created_at
-      }));
-    }
-    
-    console.log('No existing envelope budgets found for user', userId, ', creating from template');
-    // If no envelope budgets exist, create them from the template
-    return await createEnvelopeBudgetsFromTemplate(template, month, userId);
-    
-  } catch (error) {
-    console.error('Error in getOrCreateEnvelopeBudgets for user', userId, ':', error);
-    throw error;
+  console.log(`User ${changedBy} set ${month} of template '${template}' to ${status} for user ${userId}`);
+  
+  return createResponse(200, formatBudgetMonth(result.Attributes));
+}
+
+// 'closed', or 'open' for any month not closed - callers check the month has envelopes
+async function getMonthStatus(template, month, userId) {
+  const item = await getItem(getBudgetMonthKeys(userId, template, month));
+  return item?.status || 'open';
+}
+
+async function assertMonthOpen(template, month, userId) {
+  if (await getMonthStatus(template, month, userId) === 'closed') {
+    throw Object.assign(new Error(`${month} is closed; reopen it to change its budgets`), { statusCode: 409 });
   }
 }
 
+function formatBudgetMonth(item) {
+  return {
+    template_name: item.template_name,
+    month: item.month,
+    status: item.status,
+    opened_at: item.opened_at ?? null,
+    opened_by: item.opened_by ?? null,
+    status_changed_at: item.status_changed_at ?? null,
+    status_changed_by: item.status_changed_by ?? null
+  };
+}
+
 async function createDefaultTemplate(templateName, userId) {
   console.log(`Creating default "${templateName}" template for new user:`, userId);
   
@@ -286,16 +1016,19 @@ async function createDefaultTemplate(templateName, userId) {
   
   const writeRequests = [];
   
-  for (const categoryData of defaultCategories) {
+  for (const [index, categoryData] of defaultCategories.entries()) {
     const templateItem = {
       PK: `USER#${userId}#TEMPLATE#${templateName}`,
       SK: `CATEGORY#${categoryData.category}`,
-      GSI1PK: `USER#${userId}#TEMPLATE_CATEGORY#${categoryData.category}`,
-      GSI1SK: `${templateName}#${categoryData.category}`,
+      ...getTemplateIndexKeys(userId, templateName, categoryData.category),
       template_name: templateName,
       category: categoryData.category,
       budget_amount: categoryData.budget_amount,
       rollover_enabled: categoryData.rollover_enabled,
+      overspend_policy: 'absorb',
+      rollover_cap: null,
+      description: null,
+      sort_order: index,
       is_active: true,
       created_at: timestamp,
       user_id: userId
@@ -306,6 +1039,29 @@ async function createDefaultTemplate(templateName, userId) {
     });
   }
   
+  // Its first version, as budget-templates.js records for templates it creates
+  writeRequests.push({
+    PutRequest: {
+      Item: {
+        ...getTemplateVersionKeys(userId, templateName, 1),
+        template_name: templateName,
+        version: 1,
+        effective_from: null,
+        change: 'created',
+        changed_by: null,
+        created_at: timestamp,
+        categories: defaultCategories.map((categoryData, index) => ({
+          ...categoryData,
+          overspend_policy: 'absorb',
+          rollover_cap: null,
+          description: null,
+          sort_order: index
+        })),
+        user_id: userId
+      }
+    }
+  });
+  
   // Write the template items in chunks
   const chunks = [];
   for (let i = 0; i < writeRequests.length; i += 25) {
@@ -324,189 +1080,206 @@ async function createDefaultTemplate(templateName, userId) {
   return defaultCategories;
 }
 
-async function createEnvelopeBudgetsFromTemplate(template, month, userId) {
+// The envelope items opening a month would write: the template as it was for the month (see
+// selectTemplateVersion) with rollover from the month before. Reads only. A user without any
+// template gets the default categories for 'Default', with createsDefaultTemplate set so
+// opening the month creates the template too. Throws a 404 for unknown templates.
+async function planEnvelopeItems(template, month, userId, timestamp) {
   console.log('Looking for template for user', userId, ':', template);
   
   // Get template categories - USER FILTERED
-  const templateParams = {
+  const templateItems = await queryAll({
     TableName: TABLE_NAME,
     KeyConditionExpression: 'PK = :pk',
     ExpressionAttributeValues: {
       ':pk': `USER#${userId}#TEMPLATE#${template}`
     }
-  };
+  });
   
-  try {
-    const templateResult = await dynamodb.send(new QueryCommand(templateParams));
-    console.log('Template query result for user', userId, ':', templateResult.Items?.length || 0, 'items found');
-    
-    let templateCategories;
-    
-    if (!templateResult.Items || templateResult.Items.length === 0) {
-      // Check what templates actually exist for this user
-      const allTemplatesParams = {
-        TableName: TABLE_NAME,
-        FilterExpression: 'begins_with(PK, :pk)',
-        ExpressionAttributeValues: {
-          ':pk': `USER#${userId}#TEMPLATE#`
-        }
-      };
-      
-      const allTemplates = await dynamodb.send(new ScanCommand(allTemplatesParams));
-      const templateNames = [...new Set(allTemplates.Items?.map(item => item.template_name) || [])];
-      
-      console.log('Available templates for user', userId, ':', templateNames);
-      
-      // If this is a "Default" template request and no templates exist, create one automatically
-      if (template === 'Default' && templateNames.length === 0) {
-        console.log('No templates found for new user. Creating default template automatically...');
-        const defaultCategories = await createDefaultTemplate('Default', userId);
-        
-        // Convert to template format for envelope creation
-        templateCategories = defaultCategories.map(cat => ({
-          template_name: 'Default',
-          category: cat.category,
-          budget_amount: cat.budget_amount,
-          rollover_enabled: cat.rollover_enabled
-        }));
-      } else {
-        // Template not found and it's not a default template scenario
-        throw new Error(`Template "${template}" not found. Available templates: ${templateNames.join(', ')}`);
+  let templateCategories;
+  let templateVersion = null;
+  let createsDefaultTemplate = false;
+  
+  if (templateItems.length > 0) {
+    // Use the template as it was for this month; templates from before versioning have
+    // only their current categories
+    const version = selectTemplateVersion(await getTemplateVersions(template, userId), month);
+    templateCategories = version ? version.categories : templateItems;
+    templateVersion = version ? version.version : null;
+  } else {
+    // Check what templates actually exist for this user
+    const allTemplates = await queryAll({
+      TableName: TABLE_NAME,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :gsi1pk',
+      ExpressionAttributeValues: {
+        ':gsi1pk': getTemplateIndexPartition(userId)
       }
-    } else {
-      // Use existing template
-      templateCategories = templateResult.Items;
-    }
-    
-    // Calculate rollover amounts from previous month - USER FILTERED
-    const previousMonth = getPreviousMonth(month);
-    const rolloverAmounts = await calculateRolloverAmounts(template, previousMonth, userId);
-    
-    const timestamp = new Date().toISOString();
-    const envelopeBudgets = [];
-    const writeRequests = [];
-    
-    for (const templateItem of templateCategories) {
-      const id = `${template}-${month}-${templateItem.category}-${Date.now()}`;
-      const rolloverAmount = rolloverAmounts[templateItem.category] || 0;
-      
-      const envelopeBudget = {
-        PK: `USER#${userId}#ENVELOPE#${template}`,
-        SK: `${month}#${templateItem.category}`,
-        GSI1PK: `USER#${userId}#ENVELOPE_MONTH#${month}`,
-        GSI1SK: `${template}#${templateItem.category}`,
-        id,
-        template_name: template,
-        category: templateItem.category,
-        budget_amount: templateItem.budget_amount,
-        month,
-        rollover_enabled: templateItem.rollover_enabled,
-        rollover_amount: rolloverAmount,
-        is_active: true,
-        created_at: timestamp,
-        user_id: userId
-      };
-      
-      envelopeBudgets.push({
-        id: envelopeBudget.id,
-        template_name: envelopeBudget.template_name,
-        category: envelopeBudget.category,
-        budget_amount: envelopeBudget.budget_amount,
-        month: envelopeBudget.month,
-        rollover_enabled: envelopeBudget.rollover_enabled,
-        rollover_amount: envelopeBudget.rollover_amount,
-        is_active: envelopeBudget.is_active,
-        created_at: envelopeBudget.created_at
-      });
-      
-      writeRequests.push({
-        PutRequest: { Item: envelopeBudget }
-      });
-    }
+    });
+    const templateNames = [...new Set(allTemplates.map(item => item.template_name))];
     
-    // Batch write envelope budgets
-    if (writeRequests.length > 0) {
-      console.log('Writing', writeRequests.length, 'envelope budgets for user', userId);
-      const chunks = [];
-      for (let i = 0; i < writeRequests.length; i += 25) {
-        chunks.push(writeRequests.slice(i, i + 25));
-      }
-      
-      for (const chunk of chunks) {
-        await dynamodb.send(new BatchWriteCommand({
-          RequestItems: {
-            [TABLE_NAME]: chunk
-          }
-        }));
-      }
+    if (template !== 'Default' || templateNames.length > 0) {
+      throw Object.assign(new Error(`Template "${template}" not found. Available templates: ${templateNames.join(', ')}`), { statusCode: 404 });
     }
     
-    console.log('Successfully created', envelopeBudgets.length, 'envelope budgets for user', userId);
-    return envelopeBudgets;
-    
-  } catch (error) {
-    console.error('Error creating envelope budgets from template for user', userId, ':', error);
-    throw error;
+    // A new user: the default template, as createDefaultTemplate would write it
+    templateCategories = getDefaultTemplateCategories();
+    templateVersion = 1;
+    createsDefaultTemplate = true;
   }
+  
+  // Calculate rollover amounts from previous month - USER FILTERED
+  const rolloverAmounts = await calculateRolloverAmounts(template, getPreviousMonth(month), userId);
+  
+  const items = templateCategories.map(templateItem => createEnvelopeItem(template, month, userId, templateItem, {
+    rolloverAmount: rolloverAmounts[templateItem.category] || 0,
+    templateVersion,
+    timestamp
+  }));
+  
+  return { items, createsDefaultTemplate };
 }
 
+// Zero-based mode's view of the month: income, what the envelopes have assigned, and what's
+// left to assign (negative when over-assigned). Envelope mode has no pool.
+async function getBudgetingSummary(budgets, month, userId) {
+  const mode = await getBudgetingMode(userId);
+  if (mode !== 'zero_based') {
+    return { mode };
+  }
+  
+  const pool = await getReadyToAssign(budgets, month, userId);
+  return {
+    mode,
+    currency: pool.currency,
+    income: fromCents(pool.income.total),
+    income_from_transactions: fromCents(pool.income.fromTransactions),
+    income_from_recurring: fromCents(pool.income.fromRecurring),
+    assigned: fromCents(pool.assigned),
+    ready_to_assign: fromCents(pool.readyToAssign),
+    over_assigned: pool.readyToAssign < 0,
+    unconverted_income: pool.income.unconverted
+  };
+}
+
+// Ready to assign = the month's income - the budget_amount of the template's envelopes
+// (template amounts count as assigned), in cents. A month's pool is its own: unassigned
+// income isn't carried into the next month.
+async function getReadyToAssign(envelopes, month, userId) {
+  const income = await getMonthIncome(month, userId);
+  const assigned = sumAssigned(envelopes);
+  return { currency: income.currency, income, assigned, readyToAssign: income.total - assigned };
+}
+
+function sumAssigned(envelopes) {
+  return envelopes.reduce((total, envelope) => total + toCents(envelope.budget_amount), 0);
+}
+
+// Income for the month in base-currency cents: { total, fromTransactions, fromRecurring,
+// currency, unconverted }. Recurring income counts once the scheduler has posted its
+// occurrence. Income with no exchange rate isn't counted and is listed in `unconverted`.
+async function getMonthIncome(month, userId) {
+  const range = getTransactionDateRange(userId, month, month);
+  const items = await queryAll({
+    TableName: TABLE_NAME,
+    ...range,
+    // Older transactions were stored as 'Income'
+    FilterExpression: '#type IN (:type, :legacyType)',
+    ExpressionAttributeNames: {
+      '#type': 'type'
+    },
+    ExpressionAttributeValues: {
+      ...range.ExpressionAttributeValues,
+      ':type': 'income',
+      ':legacyType': 'Income'
+    }
+  });
+  
+  const baseCurrency = await getBaseCurrency(userId);
+  const converter = await loadConverter(baseCurrency, items, queryExchangeRates);
+  const income = { total: 0, fromTransactions: 0, fromRecurring: 0, currency: baseCurrency, unconverted: [] };
+  
+  items.forEach(item => {
+    const cents = converter.toBaseCents(item.amount, getCurrency(item), item.date);
+    if (cents === null) {
+      income.unconverted.push(describeUnconverted(item));
+      return;
+    }
+    income.total += cents;
+    if (item.recurring_transaction_id) {
+      income.fromRecurring += cents;
+    } else {
+      income.fromTransactions += cents;
+    }
+  });
+  
+  return income;
+}
+
+// Expense totals for the month: { byCategory (cents, base currency), originalByCategory
+// ({ category: { currency: cents } }), currency (the base currency), unconverted (expenses
+// with no exchange rate, left out of byCategory) }
 async function getActualSpending(month, userId) {
-  // Use scan with filter to find transactions for the month - USER FILTERED
+  // Query the user's month range on the transaction index - USER FILTERED
+  const range = getTransactionDateRange(userId, month, month);
   const params = {
     TableName: TABLE_NAME,
-    FilterExpression: 'begins_with(PK, :userPk) AND begins_with(GSI1PK, :monthPrefix) AND #type = :type',
+    ...range,
+    // Older transactions were stored as 'Expense'
+    FilterExpression: '#type IN (:type, :legacyType)',
     ExpressionAttributeNames: {
       '#type': 'type'
     },
     ExpressionAttributeValues: {
-      ':userPk': `USER#${userId}#TRANSACTION`,
-      ':monthPrefix': `MONTH#${month}`,
-      ':type': 'Expense'
+      ...range.ExpressionAttributeValues,
+      ':type': 'expense',
+      ':legacyType': 'Expense'
     }
   };
   
   try {
-    const result = await dynamodb.send(new ScanCommand(params));
+    const items = await queryAll(params);
+    const baseCurrency = await getBaseCurrency(userId);
+    const converter = await loadConverter(baseCurrency, items, queryExchangeRates);
     
+    // Converted to the base currency and summed in cents so totals are exact - see
+    // shared/currency.js and shared/money.js. Per-currency original sums stay visible.
     const spendingByCategory = {};
+    const originalByCategory = {};
+    const unconverted = [];
     
-    if (result.Items) {
-      result.Items.forEach(item => {
-        if (!spendingByCategory[item.category]) {
-          spendingByCategory[item.category] = 0;
-        }
-        spendingByCategory[item.category] += parseFloat(item.amount);
-      });
-    }
+    items.forEach(item => {
+      const currency = getCurrency(item);
+      const cents = converter.toBaseCents(item.amount, currency, item.date);
+      if (cents === null) {
+        unconverted.push(describeUnconverted(item));
+        return;
+      }
+      
+      if (!spendingByCategory[item.category]) {
+        spendingByCategory[item.category] = 0;
+        originalByCategory[item.category] = {};
+      }
+      spendingByCategory[item.category] += cents;
+      originalByCategory[item.category][currency] = (originalByCategory[item.category][currency] || 0) + toCents(item.amount);
+    });
     
-    console.log('Actual spending by category for user', userId, ':', spendingByCategory);
-    return spendingByCategory;
+    console.log('Actual spending by category for user', userId, ':', spendingByCategory, baseCurrency);
+    return { byCategory: spendingByCategory, originalByCategory, currency: baseCurrency, unconverted };
     
   } catch (error) {
     console.error('Error getting actual spending for user', userId, ':', error);
-    return {};
+    return { byCategory: {}, originalByCategory: {}, currency: DEFAULT_CURRENCY, unconverted: [] };
   }
 }
 
 async function calculateRolloverAmounts(template, previousMonth, userId) {
   // Only get existing envelope budgets, don't create them - USER FILTERED
-  const existingBudgetsParams = {
-    TableName: TABLE_NAME,
-    FilterExpression: 'begins_with(PK, :pk) AND #month = :month',
-    ExpressionAttributeNames: {
-      '#month': 'month'
-    },
-    ExpressionAttributeValues: {
-      ':pk': `USER#${userId}#ENVELOPE#${template}`,
-      ':month': previousMonth
-    }
-  };
-  
   try {
-    const existingResult = await dynamodb.send(new ScanCommand(existingBudgetsParams));
+    const previousItems = await getEnvelopeItems(template, previousMonth, userId);
     
     // If no previous budgets exist, return empty rollover amounts
-    if (!existingResult.Items || existingResult.Items.length === 0) {
+    if (previousItems.length === 0) {
       console.log('No previous month budgets found for rollover calculation for user', userId);
       return {};
     }
@@ -516,13 +1289,10 @@ async function calculateRolloverAmounts(template, previousMonth, userId) {
     
     const rolloverAmounts = {};
     
-    existingResult.Items.forEach(budget => {
-      if (budget.rollover_enabled) {
-        const spent = previousSpending[budget.category] || 0;
-        const remaining = budget.budget_amount - spent + (budget.rollover_amount || 0);
-        if (remaining > 0) {
-          rolloverAmounts[budget.category] = remaining;
-        }
+    previousItems.forEach(budget => {
+      const rollover = getNextRollover(budget, previousSpending.byCategory[budget.category] || 0);
+      if (rollover !== 0) {
+        rolloverAmounts[budget.category] = fromCents(rollover);
       }
     });
     
@@ -531,11 +1301,98 @@ async function calculateRolloverAmounts(template, previousMonth, userId) {
     
   } catch (error) {
     console.error('Error calculating rollover amounts for user', userId, ':', error);
+    if (error.statusCode) {
+      throw error;
+    }
     return {};
   }
 }
 
+// Rollover is derived: a month's rollover_amount is what the month before carried into it.
+// Rewrites fromMonth's and each following month's, oldest first so every month sees the one
+// before it already corrected, and stops at the first month without envelopes (after a gap
+// rollover starts from zero again). Returns [{ month, updated: [{ category, from, to }] }].
+async function recomputeRollover(template, fromMonth, userId) {
+  const results = [];
+  let previousMonth = getPreviousMonth(fromMonth);
+  let previousItems = await getEnvelopeItems(template, previousMonth, userId);
+  
+  for (let month = fromMonth; ; month = getNextMonth(month)) {
+    const items = await getEnvelopeItems(template, month, userId);
+    if (items.length === 0) {
+      break;
+    }
+    
+    const previousSpending = previousItems.length > 0 ? await getActualSpending(previousMonth, userId) : null;
+    const previousByCategory = new Map(previousItems.map(item => [item.category, item]));
+    const timestamp = new Date().toISOString();
+    const updated = [];
+    
+    for (const item of items) {
+      const previous = previousByCategory.get(item.category);
+      const rollover = previous ? getNextRollover(previous, previousSpending.byCategory[item.category] || 0) : 0;
+      if (rollover === toCents(item.rollover_amount)) {
+        continue;
+      }
+      
+      try {
+        await dynamodb.send(new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: { PK: item.PK, SK: item.SK },
+          UpdateExpression: 'SET rollover_amount = :rollover, updated_at = :updatedAt',
+          ConditionExpression: 'attribute_exists(PK)',
+          ExpressionAttributeValues: {
+            ':rollover': fromCents(rollover),
+            ':updatedAt': timestamp
+          }
+        }));
+      } catch (error) {
+        // Deleted since it was read; the delete sets off its own recompute
+        if (error.name === 'ConditionalCheckFailedException') {
+          continue;
+        }
+        throw error;
+      }
+      
+      updated.push({ category: item.category, from: roundMoney(item.rollover_amount), to: fromCents(rollover) });
+      item.rollover_amount = fromCents(rollover);
+    }
+    
+    results.push({ month, updated });
+    previousMonth = month;
+    previousItems = items;
+  }
+  
+  return results;
+}
+
+// What an envelope carries into the next month, in cents, given what was spent from it.
+// Only rollover envelopes carry anything. A leftover balance is carried up to rollover_cap;
+// an overspent envelope follows its overspend_policy (see shared/validation.js).
+function getNextRollover(envelope, spentCents) {
+  if (!envelope.rollover_enabled) {
+    return 0;
+  }
+  
+  const balance = getAvailable(envelope, spentCents);
+  const policy = envelope.overspend_policy || 'absorb';
+  
+  if (balance < 0) {
+    return policy === 'carry' ? balance : 0;
+  }
+  if (policy === 'reset' && spentCents > toCents(envelope.budget_amount)) {
+    return 0;
+  }
+  if (envelope.rollover_cap !== null && envelope.rollover_cap !== undefined) {
+    return Math.min(balance, toCents(envelope.rollover_cap));
+  }
+  return balance;
+}
+
+// Amounts are worked in cents (actualSpending already is) and converted back on output.
+// Budgets are in the base currency, the one actualSpending was converted to.
 function calculateBudgetAnalysis(budgets, actualSpending) {
+  const { byCategory, originalByCategory, currency, unconverted } = actualSpending;
   const categoryAnalysis = [];
   let totalBudgeted = 0;
   let totalActual = 0;
@@ -543,8 +1400,8 @@ function calculateBudgetAnalysis(budgets, actualSpending) {
   
   // Analyze each budget category
   budgets.forEach(budget => {
-    const actual = actualSpending[budget.category] || 0;
-    const totalBudgetAmount = budget.budget_amount + budget.rollover_amount;
+    const actual = byCategory[budget.category] || 0;
+    const totalBudgetAmount = toCents(budget.budget_amount) + toCents(budget.rollover_amount);
     const remaining = totalBudgetAmount - actual;
     const percentage = totalBudgetAmount > 0 ? (actual / totalBudgetAmount) * 100 : 0;
     
@@ -557,12 +1414,13 @@ function calculateBudgetAnalysis(budgets, actualSpending) {
     
     categoryAnalysis.push({
       category: budget.category,
-      budgeted: totalBudgetAmount,
-      actual: actual,
-      remaining: remaining,
-      percentage: Math.round(percentage * 100) / 100,
+      budgeted: fromCents(totalBudgetAmount),
+      actual: fromCents(actual),
+      remaining: fromCents(remaining),
+      percentage: roundPercentage(percentage),
       rollover_enabled: budget.rollover_enabled,
-      rollover_amount: budget.rollover_amount,
+      rollover_amount: roundMoney(budget.rollover_amount),
+      original_amounts: formatOriginalAmounts(originalByCategory[budget.category]),
       has_budget: true,
       unbudgeted_spending: false
     });
@@ -570,19 +1428,20 @@ function calculateBudgetAnalysis(budgets, actualSpending) {
   
   // Check for unbudgeted spending
   const budgetedCategories = budgets.map(b => b.category);
-  Object.keys(actualSpending).forEach(category => {
+  Object.keys(byCategory).forEach(category => {
     if (!budgetedCategories.includes(category)) {
-      const actual = actualSpending[category];
+      const actual = byCategory[category];
       totalActual += actual;
       
       categoryAnalysis.push({
         category: category,
         budgeted: 0,
-        actual: actual,
-        remaining: -actual,
+        actual: fromCents(actual),
+        remaining: fromCents(-actual),
         percentage: 0,
         rollover_enabled: false,
         rollover_amount: 0,
+        original_amounts: formatOriginalAmounts(originalByCategory[category]),
         has_budget: false,
         unbudgeted_spending: true
       });
@@ -593,11 +1452,13 @@ function calculateBudgetAnalysis(budgets, actualSpending) {
   const budgetUtilization = totalBudgeted > 0 ? (totalActual / totalBudgeted) * 100 : 0;
   
   const summary = {
-    totalBudgeted: Math.round(totalBudgeted * 100) / 100,
-    totalActual: Math.round(totalActual * 100) / 100,
-    totalRemaining: Math.round(totalRemaining * 100) / 100,
+    currency,
+    unconverted,
+    totalBudgeted: fromCents(totalBudgeted),
+    totalActual: fromCents(totalActual),
+    totalRemaining: fromCents(totalRemaining),
     overBudgetCategories,
-    budgetUtilization: Math.round(budgetUtilization * 100) / 100
+    budgetUtilization: roundPercentage(budgetUtilization)
   };
   
   return {
@@ -606,6 +1467,303 @@ function calculateBudgetAnalysis(budgets, actualSpending) {
   };
 }
 
+// What an envelope has left to spend, in cents: budget + rollover - spent
+function getAvailable(envelope, spentCents) {
+  return toCents(envelope.budget_amount) + toCents(envelope.rollover_amount) - spentCents;
+}
+
+// Each category's share of the month's transfer log: totals moved in and out, and the
+// entries themselves. Pool movements and PUT adjustments count too.
+function addTransfers(categoryAnalysis, transfers) {
+  return categoryAnalysis.map(entry => {
+    const related = transfers.filter(item => item.from_category === entry.category || item.to_category === entry.category);
+    const sum = side => related
+      .filter(item => item[side] === entry.category)
+      .reduce((total, item) => total + toCents(item.amount), 0);
+    const transfersIn = sum('to_category');
+    const transfersOut = sum('from_category');
+    
+    return {
+      ...entry,
+      transfers_in: fromCents(transfersIn),
+      transfers_out: fromCents(transfersOut),
+      transfers_net: fromCents(transfersIn - transfersOut),
+      transfers: related.map(formatTransfer)
+    };
+  });
+}
+
+// [{ currency, amount }] spent per original currency
+function formatOriginalAmounts(centsByCurrency = {}) {
+  return Object.entries(centsByCurrency).map(([currency, cents]) => ({
+    currency,
+    amount: fromCents(cents)
+  }));
+}
+
+async function getBudgetingMode(userId) {
+  const settings = await getItem(getUserSettingsKeys(userId));
+  return settings?.budgeting_mode || 'envelope';
+}
+
+async function getBaseCurrency(userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: getUserSettingsKeys(userId)
+  }));
+  return result.Item?.base_currency || DEFAULT_CURRENCY;
+}
+
+async function queryExchangeRates(currency) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    ...getExchangeRateQuery(currency)
+  });
+}
+
+// Decoded {template}/{month} path parameters, validated
+function parsePathParameters(pathParameters) {
+  return validate(pathSchema, {
+    template: decodeURIComponent(pathParameters?.template || ''),
+    month: decodeURIComponent(pathParameters?.month || '')
+  });
+}
+
+function createEnvelopeItem(template, month, userId, templateCategory, { rolloverAmount, templateVersion, timestamp }) {
+  return {
+    PK: `USER#${userId}#ENVELOPE#${template}`,
+    SK: `${month}#${templateCategory.category}`,
+    GSI1PK: `USER#${userId}#ENVELOPE_MONTH#${month}`,
+    GSI1SK: `${template}#${templateCategory.category}`,
+    id: `${template}-${month}-${templateCategory.category}-${Date.now()}`,
+    template_name: template,
+    category: templateCategory.category,
+    budget_amount: templateCategory.budget_amount,
+    month,
+    rollover_enabled: templateCategory.rollover_enabled,
+    overspend_policy: templateCategory.overspend_policy || 'absorb',
+    rollover_cap: templateCategory.rollover_cap ?? null,
+    rollover_amount: rolloverAmount,
+    // Which template version the amount came from; 'manual' once edited by hand
+    template_version: templateVersion,
+    budget_source: 'template',
+    is_active: true,
+    created_at: timestamp,
+    user_id: userId
+  };
+}
+
+// kind: 'transfer' (envelope to envelope), 'assign' (pool to envelope), 'unassign'
+// (envelope to pool) or 'adjust' (a PUT edit); from/to null is the pool
+function createTransferItem(template, month, userId, { kind, from, to, amount, note, changedBy, timestamp }) {
+  const transfer = {
+    id: randomUUID(),
+    month,
+    created_at: timestamp
+  };
+  
+  return {
+    ...getEnvelopeTransferKeys(userId, template, transfer),
+    ...transfer,
+    template_name: template,
+    kind,
+    from_category: from,
+    to_category: to,
+    amount: roundMoney(amount),
+    note: note || '',
+    created_by: changedBy,
+    user_id: userId
+  };
+}
+
+function formatTransfer(item) {
+  return {
+    id: item.id,
+    template_name: item.template_name,
+    month: item.month,
+    kind: item.kind,
+    from_category: item.from_category,
+    to_category: item.to_category,
+    amount: roundMoney(item.amount),
+    note: item.note,
+    created_by: item.created_by,
+    created_at: item.created_at
+  };
+}
+
+// Transfer log items for one template/month, oldest first: SK is <month>#<created_at>#<id>
+// - USER FILTERED
+async function getTransferItems(template, month, userId) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :month)',
+    ExpressionAttributeValues: {
+      ':pk': getEnvelopeTransferPartition(userId, template),
+      ':month': `${month}#`
+    }
+  });
+}
+
+// Zero-based mode's guard on a month's ready-to-assign pool. The pool is checked against
+// envelopes read beforehand, so every write that assigns from it also moves the month
+// item's pool_version on from the version read before that check; of two concurrent
+// assigns, the second fails its condition instead of spending the same income twice.
+async function getPoolVersion(template, month, userId) {
+  const item = await getItem(getBudgetMonthKeys(userId, template, month));
+  return item?.pool_version || 0;
+}
+
+function getPoolGuard(template, month, userId, poolVersion, timestamp) {
+  return {
+    Update: {
+      TableName: TABLE_NAME,
+      Key: getBudgetMonthKeys(userId, template, month),
+      // Months opened before statuses were recorded have no item yet
+      UpdateExpression: 'SET pool_version = :next, pool_changed_at = :timestamp, template_name = :template, #month = :month, user_id = :userId',
+      ConditionExpression: poolVersion === 0 ? 'attribute_not_exists(pool_version)' : 'pool_version = :version',
+      ExpressionAttributeNames: {
+        '#month': 'month'
+      },
+      ExpressionAttributeValues: {
+        ...(poolVersion === 0 ? {} : { ':version': poolVersion }),
+        ':next': poolVersion + 1,
+        ':timestamp': timestamp,
+        ':template': template,
+        ':month': month,
+        ':userId': userId
+      }
+    }
+  };
+}
+
+// A failed condition means an envelope (or the pool) changed, or went missing, after it
+// was read
+async function sendTransaction(transactItems) {
+  try {
+    await dynamodb.send(new TransactWriteCommand({ TransactItems: transactItems }));
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      throw Object.assign(new Error('The envelopes changed while saving; reload and try again'), { statusCode: 409 });
+    }
+    throw error;
+  }
+}
+
+function formatEnvelopeBudget(item) {
+  return {
+    id: item.id,
+    template_name: item.template_name,
+    category: item.category,
+    budget_amount: roundMoney(item.budget_amount),
+    month: item.month,
+    rollover_enabled: item.rollover_enabled,
+    rollover_amount: roundMoney(item.rollover_amount),
+    overspend_policy: item.overspend_policy || 'absorb',
+    rollover_cap: item.rollover_cap ?? null,
+    template_version: item.template_version ?? null,
+    budget_source: item.budget_source || 'template',
+    is_active: item.is_active,
+    created_at: item.created_at
+  };
+}
+
+// A template's versions, oldest first (see budget-templates.js) - USER FILTERED
+async function getTemplateVersions(template, userId) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk',
+    ExpressionAttributeValues: {
+      ':pk': getTemplateVersionPartition(userId, template)
+    }
+  });
+}
+
+// The version a month is planned with: the newest one whose effective_from is on or before
+// it (no effective_from means every month). Months before any of them take the first.
+function selectTemplateVersion(versions, month) {
+  const inEffect = versions.filter(version => !version.effective_from || version.effective_from <= month);
+  return inEffect.length > 0 ? inEffect[inEffect.length - 1] : versions[0] || null;
+}
+
+// Envelope items for one template/month: SK is <month>#<category> - USER FILTERED
+async function getEnvelopeItems(template, month, userId) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :month)',
+    ExpressionAttributeValues: {
+      ':pk': `USER#${userId}#ENVELOPE#${template}`,
+      ':month': `${month}#`
+    }
+  });
+}
+
+async function templateExists(template, userId) {
+  const result = await dynamodb.send(new QueryCommand({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk',
+    ExpressionAttributeValues: {
+      ':pk': `USER#${userId}#TEMPLATE#${template}`
+    },
+    Limit: 1
+  }));
+  return (result.Items?.length || 0) > 0;
+}
+
+// The first month a template has envelopes for, or null - USER FILTERED
+async function getFirstEnvelopeMonth(template, userId) {
+  const result = await dynamodb.send(new QueryCommand({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk',
+    ExpressionAttributeValues: {
+      ':pk': `USER#${userId}#ENVELOPE#${template}`
+    },
+    Limit: 1
+  }));
+  return result.Items?.[0]?.month || null;
+}
+
+// Names of the templates with envelopes in a month - USER FILTERED
+async function getEnvelopeTemplates(month, userId) {
+  const items = await queryAll({
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk',
+    ExpressionAttributeValues: {
+      ':gsi1pk': `USER#${userId}#ENVELOPE_MONTH#${month}`
+    }
+  });
+  return [...new Set(items.map(item => item.template_name))];
+}
+
+// Writes/deletes in chunks of 25, retrying whatever DynamoDB leaves unprocessed
+async function batchWriteItems(writeRequests) {
+  for (let i = 0; i < writeRequests.length; i += 25) {
+    let requestItems = { [TABLE_NAME]: writeRequests.slice(i, i + 25) };
+    
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamodb.send(new BatchWriteCommand({ RequestItems: requestItems }));
+      requestItems = result.UnprocessedItems;
+    }
+  }
+}
+
+// YYYY-MM months from..to inclusive; empty when to is before from
+function listMonths(from, to) {
+  const months = [];
+  let [year, month] = from.split('-').map(Number);
+  
+  for (let current = from; current <= to; current = `${year}-${String(month).padStart(2, '0')}`) {
+    months.push(current);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  
+  return months;
+}
+
 function getPreviousMonth(monthStr) {
   const [year, month] = monthStr.split('-').map(Number);
   const date = new Date(year, month - 1, 1);
@@ -615,4 +1773,22 @@ function getPreviousMonth(monthStr) {
   const prevMonth = String(date.getMonth() + 1).padStart(2, '0');
   
   return `${prevYear}-${prevMonth}`;
-}
\ No newline at end of file
+}
+
+// YYYY-MM, UTC
+function getCurrentMonth() {
+  return new Date().toISOString().substring(0, 7);
+}
+
+function getNextMonth(monthStr) {
+  const [year, month] = monthStr.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+async function getItem(key) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: key
+  }));
+  return result.Item || null;
+}
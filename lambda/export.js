@@ -0,0 +1,652 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, GetCommand, PutCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { randomUUID } = require('crypto');
+
+const {
+  getTransactionIndexKeys,
+  getTransactionDateRange,
+  getTemplateIndexKeys,
+  getTemplateIndexPartition,
+  getRecurringIndexKeys
+} = require('./shared/keys');
+const { fields, validate, validationError, parseBody, errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+const {
+  DEFAULT_CURRENCY,
+  getCurrency,
+  getUserSettingsKeys,
+  getExchangeRateQuery,
+  requireExchangeRate
+} = require('./shared/currency');
+const { createQueryAll } = require('./shared/dynamodb');
+
+// The JSON export is also the backup format POST /api/import restores
+const EXPORT_FORMAT = 'spendsmart-export';
+const EXPORT_VERSION = 1;
+const EXPORT_FILE_FORMATS = ['json', 'csv', 'ofx'];
+
+// Presigned download links stay valid this long; the bucket deletes exports after a day
+const DOWNLOAD_URL_EXPIRY_SECONDS = 15 * 60;
+
+// A restore has to finish inside one API Gateway request; larger backups can be exported
+// (and restored) in date ranges
+const MAX_RESTORE_ITEMS = 10000;
+
+// Stored attributes that are rebuilt for the restoring user rather than exported
+const KEY_ATTRIBUTES = ['PK', 'SK', 'GSI1PK', 'GSI1SK', 'user_id'];
+
+const RECURRING_STATUSES = ['active', 'paused', 'completed'];
+const RECURRING_USERS_PK = 'SYSTEM#RECURRING_USERS';
+
+const exportQuerySchema = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: EXPORT_FILE_FORMATS, ignoreCase: true },
+    from: fields.date,
+    to: fields.date
+  }
+};
+
+const idField = { type: 'string', minLength: 1, maxLength: 128 };
+
+const restoreSchema = {
+  type: 'object',
+  required: ['format', 'version'],
+  properties: {
+    format: { type: 'string', enum: [EXPORT_FORMAT] },
+    version: { type: 'integer', minimum: 1, maximum: EXPORT_VERSION },
+    settings: {
+      type: 'object',
+      properties: {
+        base_currency: { ...fields.currency, nullable: true },
+        budgeting_mode: { ...fields.budgetingMode, nullable: true }
+      }
+    },
+    transactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'category', 'amount', 'date'],
+        properties: {
+          id: idField,
+          type: fields.transactionType,
+          category: fields.category,
+          amount: fields.amount,
+          currency: fields.currency,
+          note: fields.text,
+          date: fields.date
+        }
+      }
+    },
+    recurring_transactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'type', 'category', 'amount', 'start_date'],
+        properties: {
+          id: idField,
+          name: fields.name,
+          type: fields.transactionType,
+          category: fields.category,
+          amount: fields.amount,
+          currency: fields.currency,
+          start_date: fields.date,
+          end_date: { ...fields.date, nullable: true },
+          next_execution: { ...fields.date, nullable: true },
+          status: { type: 'string', enum: RECURRING_STATUSES },
+          is_active: fields.boolean
+        }
+      }
+    },
+    budget_templates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['template_name', 'category', 'budget_amount'],
+        properties: {
+          template_name: fields.name,
+          category: fields.category,
+          budget_amount: fields.budgetAmount,
+          rollover_enabled: fields.boolean,
+          overspend_policy: fields.overspendPolicy,
+          rollover_cap: { ...fields.budgetAmount, nullable: true }
+        }
+      }
+    },
+    envelope_budgets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['template_name', 'month', 'category', 'budget_amount'],
+        properties: {
+          template_name: fields.name,
+          month: fields.month,
+          category: fields.category,
+          budget_amount: fields.budgetAmount,
+          rollover_amount: { type: 'number', decimals: 2 },
+          rollover_enabled: fields.boolean,
+          overspend_policy: fields.overspendPolicy,
+          rollover_cap: { ...fields.budgetAmount, nullable: true }
+        }
+      }
+    },
+    alert_rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'type', 'condition', 'threshold'],
+        properties: {
+          id: idField,
+          name: fields.name,
+          type: { type: 'string', minLength: 1, maxLength: 32 },
+          condition: { type: 'string', minLength: 1, maxLength: 32 },
+          threshold: fields.amount,
+          isActive: fields.boolean
+        }
+      }
+    }
+  }
+};
+
+const client = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(client);
+const queryAll = createQueryAll(dynamodb, QueryCommand);
+const s3 = new S3Client({});
+const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+const EXPORT_BUCKET_NAME = process.env.EXPORT_BUCKET_NAME;
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
+};
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: corsHeaders,
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event) => {
+  console.log('Event:', JSON.stringify({ ...event, body: event.body ? `(${event.body.length} characters)` : event.body }, null, 2));
+
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, {});
+  }
+
+  try {
+    const { httpMethod, resource, body } = event;
+
+    const access = await authorizeRequest(event, getItem);
+    const userId = access.ownerId;
+
+    console.log('Processing export request for user:', userId);
+
+    if (resource === '/api/export' && httpMethod === 'GET') {
+      return await exportData(event.queryStringParameters || {}, userId);
+    }
+
+    if (resource === '/api/import' && httpMethod === 'POST') {
+      return await restoreData(parseBody(body), userId);
+    }
+
+    return createResponse(404, { error: 'Route not found' });
+
+  } catch (error) {
+    console.error('Error:', error);
+    if (error.statusCode) {
+      return createResponse(error.statusCode, errorBody(error));
+    }
+    return createResponse(500, { error: 'Internal server error', details: error.message });
+  }
+};
+
+// GET /api/export?format=json|csv|ofx&from=YYYY-MM-DD&to=YYYY-MM-DD - USER FILTERED
+// Writes the file to the export bucket and returns a short-lived download link. from/to
+// limit transactions by date and envelope budgets by month; recurring transactions,
+// templates and alert rules are always exported in full. OFX only has room for
+// transactions.
+async function exportData(query, userId) {
+  const { format = 'json', from, to } = validate(exportQuerySchema, query);
+
+  if (from && to && from > to) {
+    throw validationError([{ field: 'from', message: 'cannot be after to' }]);
+  }
+
+  const data = await collectUserData(userId, from, to);
+  const exportedAt = new Date().toISOString();
+  const fileName = `spendsmart-export-${exportedAt.split('T')[0]}.${format}`;
+
+  let content;
+  let contentType;
+  if (format === 'csv') {
+    content = buildCsv(data);
+    contentType = 'text/csv';
+  } else if (format === 'ofx') {
+    content = buildOfx(data.transactions, from, to, exportedAt);
+    contentType = 'application/x-ofx';
+  } else {
+    content = JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: exportedAt,
+      range: { from: from || null, to: to || null },
+      ...data
+    }, null, 2);
+    contentType = 'application/json';
+  }
+
+  // Random keys: the presigned link is the only way to reach an export
+  const key = `exports/${randomUUID()}/${fileName}`;
+
+  await s3.send(new PutObjectCommand({
+    Bucket: EXPORT_BUCKET_NAME,
+    Key: key,
+    Body: content,
+    ContentType: contentType,
+    ContentDisposition: `attachment; filename="${fileName}"`
+  }));
+
+  const url = await getSignedUrl(
+    s3,
+    new GetObjectCommand({ Bucket: EXPORT_BUCKET_NAME, Key: key }),
+    { expiresIn: DOWNLOAD_URL_EXPIRY_SECONDS }
+  );
+
+  const counts = {
+    transactions: data.transactions.length,
+    recurring_transactions: data.recurring_transactions.length,
+    budget_templates: data.budget_templates.length,
+    envelope_budgets: data.envelope_budgets.length,
+    alert_rules: data.alert_rules.length
+  };
+
+  console.log(`Exported ${format} for user ${userId}:`, JSON.stringify(counts));
+
+  return createResponse(200, {
+    format,
+    file_name: fileName,
+    url,
+    expires_at: new Date(Date.now() + DOWNLOAD_URL_EXPIRY_SECONDS * 1000).toISOString(),
+    counts
+  });
+}
+
+// POST /api/import - USER SCOPED
+// Body: a JSON export. Every item is written under the calling user, so a backup can be
+// restored into the same account or moved to a new one. Items with the same id (template
+// categories and envelopes: same template/month/category) are overwritten; nothing the
+// backup doesn't mention is deleted.
+async function restoreData(data, userId) {
+  const backup = validate(restoreSchema, data);
+  const sections = {
+    transactions: mergeRaw(backup.transactions, data.transactions),
+    recurring_transactions: mergeRaw(backup.recurring_transactions, data.recurring_transactions),
+    budget_templates: mergeRaw(backup.budget_templates, data.budget_templates),
+    envelope_budgets: mergeRaw(backup.envelope_budgets, data.envelope_budgets),
+    alert_rules: mergeRaw(backup.alert_rules, data.alert_rules)
+  };
+
+  const total = Object.values(sections).reduce((sum, items) => sum + items.length, 0);
+  if (total > MAX_RESTORE_ITEMS) {
+    throw validationError([{ field: 'body', message: `must contain at most ${MAX_RESTORE_ITEMS} items; export and restore smaller date ranges` }]);
+  }
+
+  const errors = [];
+  sections.recurring_transactions.forEach((item, index) => {
+    if (getRecurringStatus(item) === 'active' && !item.next_execution) {
+      errors.push({ field: `recurring_transactions[${index}].next_execution`, message: 'is required for active items' });
+    }
+  });
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  // Amounts must be convertible to the base currency the restore leaves in place
+  const baseCurrency = backup.settings?.base_currency || await getBaseCurrency(userId);
+  const checkedCurrencies = new Set([baseCurrency]);
+  for (const section of ['transactions', 'recurring_transactions']) {
+    for (const [index, item] of sections[section].entries()) {
+      const currency = getCurrency(item);
+      if (!checkedCurrencies.has(currency)) {
+        checkedCurrencies.add(currency);
+        await requireExchangeRate(currency, baseCurrency, queryExchangeRates, `${section}[${index}].currency`);
+      }
+    }
+  }
+
+  const timestamp = new Date().toISOString();
+  const items = [
+    ...sections.transactions.map(item => ({
+      ...item,
+      PK: `USER#${userId}#TRANSACTION`,
+      SK: 'TRANSACTION#' + item.id,
+      ...getTransactionIndexKeys(userId, item)
+    })),
+    ...sections.recurring_transactions.map(item => ({
+      ...item,
+      PK: `USER#${userId}#RECURRING#${item.id}`,
+      SK: 'METADATA',
+      ...getRecurringIndexKeys(userId, { ...item, status: getRecurringStatus(item) })
+    })),
+    ...sections.budget_templates.map(item => ({
+      ...item,
+      PK: `USER#${userId}#TEMPLATE#${item.template_name}`,
+      SK: `CATEGORY#${item.category}`,
+      ...getTemplateIndexKeys(userId, item.template_name, item.category)
+    })),
+    ...sections.envelope_budgets.map(item => ({
+      ...item,
+      rollover_amount: item.rollover_amount ?? 0,
+      PK: `USER#${userId}#ENVELOPE#${item.template_name}`,
+      SK: `${item.month}#${item.category}`,
+      GSI1PK: `USER#${userId}#ENVELOPE_MONTH#${item.month}`,
+      GSI1SK: `${item.template_name}#${item.category}`
+    })),
+    ...sections.alert_rules.map(item => ({
+      ...item,
+      PK: `USER#${userId}#ALERT#${item.id}`,
+      SK: `ALERT#${item.id}`,
+      GSI1PK: `USER#${userId}#ALERTS`,
+      GSI1SK: item.createdAt || timestamp
+    }))
+  ].map(item => ({ ...item, user_id: userId }));
+
+  await batchWriteItems(items);
+
+  if (backup.settings && (backup.settings.base_currency || backup.settings.budgeting_mode)) {
+    await dynamodb.send(new PutCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        ...getUserSettingsKeys(userId),
+        ...(backup.settings.base_currency ? { base_currency: backup.settings.base_currency } : {}),
+        ...(backup.settings.budgeting_mode ? { budgeting_mode: backup.settings.budgeting_mode } : {}),
+        user_id: userId,
+        created_at: timestamp,
+        updated_at: timestamp
+      }
+    }));
+  }
+
+  // The daily scheduler only visits registered users
+  if (sections.recurring_transactions.length > 0) {
+    await dynamodb.send(new PutCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        PK: RECURRING_USERS_PK,
+        SK: `USER#${userId}`,
+        user_id: userId,
+        updated_at: timestamp
+      }
+    }));
+  }
+
+  const restored = Object.fromEntries(Object.entries(sections).map(([name, sectionItems]) => [name, sectionItems.length]));
+
+  console.log(`Restored backup for user ${userId}:`, JSON.stringify(restored));
+
+  return createResponse(200, {
+    message: 'Backup restored successfully',
+    restored
+  });
+}
+
+async function collectUserData(userId, from, to) {
+  const [transactions, recurring, templateCategories, alertRules, settings] = await Promise.all([
+    queryAll({
+      TableName: TABLE_NAME,
+      ...getTransactionDateRange(userId, from || '0000-00-00', to || '9999-12-31')
+    }),
+    queryAll({
+      TableName: TABLE_NAME,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :gsi1pk',
+      ExpressionAttributeValues: { ':gsi1pk': `USER#${userId}#RECURRING_ACTIVE` }
+    }),
+    queryAll({
+      TableName: TABLE_NAME,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :gsi1pk',
+      ExpressionAttributeValues: { ':gsi1pk': getTemplateIndexPartition(userId) }
+    }),
+    queryAll({
+      TableName: TABLE_NAME,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :gsi1pk',
+      ExpressionAttributeValues: { ':gsi1pk': `USER#${userId}#ALERTS` }
+    }),
+    dynamodb.send(new GetCommand({ TableName: TABLE_NAME, Key: getUserSettingsKeys(userId) }))
+  ]);
+
+  // Envelopes are stored per template, so they're read for the templates the user has
+  const templateNames = [...new Set(templateCategories.map(item => item.template_name))];
+  const envelopes = (await Promise.all(
+    templateNames.map(templateName => queryAll({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'PK = :pk AND SK BETWEEN :fromKey AND :toKey',
+      ExpressionAttributeValues: {
+        ':pk': `USER#${userId}#ENVELOPE#${templateName}`,
+        ':fromKey': from ? from.substring(0, 7) : '0000-00',
+        ':toKey': `${to ? to.substring(0, 7) : '9999-12'}\uffff`
+      }
+    }))
+  )).flat();
+
+  return {
+    settings: {
+      base_currency: settings.Item?.base_currency || null,
+      budgeting_mode: settings.Item?.budgeting_mode || null
+    },
+    transactions: transactions.map(stripKeys),
+    recurring_transactions: recurring.map(stripKeys),
+    budget_templates: templateCategories.map(stripKeys),
+    envelope_budgets: envelopes.map(stripKeys),
+    alert_rules: alertRules.map(stripKeys)
+  };
+}
+
+// One sheet for everything: a record_type column plus the union of the fields each type has
+const CSV_COLUMNS = [
+  'record_type', 'id', 'date', 'month', 'name', 'template_name', 'category', 'type', 'amount',
+  'currency', 'budget_amount', 'rollover_amount', 'rollover_enabled', 'frequency', 'start_date',
+  'end_date', 'next_execution', 'status', 'condition', 'threshold', 'is_active', 'description'
+];
+
+function buildCsv(data) {
+  const rows = [
+    ...data.transactions.map(item => ({
+      record_type: 'transaction',
+      id: item.id,
+      date: item.date,
+      category: item.category,
+      type: item.type,
+      amount: item.amount,
+      currency: getCurrency(item),
+      description: item.note
+    })),
+    ...data.recurring_transactions.map(item => ({
+      record_type: 'recurring_transaction',
+      id: item.id,
+      name: item.name,
+      category: item.category,
+      type: item.type,
+      amount: item.amount,
+      currency: getCurrency(item),
+      frequency: item.frequency,
+      start_date: item.start_date,
+      end_date: item.end_date,
+      next_execution: item.next_execution,
+      status: getRecurringStatus(item),
+      description: item.description
+    })),
+    ...data.budget_templates.map(item => ({
+      record_type: 'budget_template',
+      template_name: item.template_name,
+      category: item.category,
+      budget_amount: item.budget_amount,
+      rollover_enabled: item.rollover_enabled,
+      is_active: item.is_active
+    })),
+    ...data.envelope_budgets.map(item => ({
+      record_type: 'envelope_budget',
+      id: item.id,
+      month: item.month,
+      template_name: item.template_name,
+      category: item.category,
+      budget_amount: item.budget_amount,
+      rollover_amount: item.rollover_amount,
+      rollover_enabled: item.rollover_enabled
+    })),
+    ...data.alert_rules.map(item => ({
+      record_type: 'alert_rule',
+      id: item.id,
+      name: item.name,
+      template_name: item.budgetTemplate,
+      category: item.category,
+      type: item.type,
+      condition: item.condition,
+      threshold: item.threshold,
+      is_active: item.isActive,
+      description: item.description
+    }))
+  ];
+
+  return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+    .map(values => values.map(formatCsvValue).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// OFX 2 bank statement, one per currency since a statement has a single CURDEF
+function buildOfx(transactions, from, to, exportedAt) {
+  const byCurrency = new Map();
+  transactions.forEach(item => {
+    const currency = getCurrency(item);
+    if (!byCurrency.has(currency)) {
+      byCurrency.set(currency, []);
+    }
+    byCurrency.get(currency).push(item);
+  });
+
+  const dates = transactions.map(item => item.date).sort();
+  const start = from || dates[0] || exportedAt.split('T')[0];
+  const end = to || dates[dates.length - 1] || exportedAt.split('T')[0];
+
+  const statements = [...byCurrency.entries()].map(([currency, items], index) => [
+    '<STMTTRNRS>',
+    `<TRNUID>${index + 1}</TRNUID>`,
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${currency}</CURDEF>`,
+    `<BANKACCTFROM><BANKID>SPENDSMART</BANKID><ACCTID>SPENDSMART-${currency}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+    '<BANKTRANLIST>',
+    `<DTSTART>${formatOfxDate(start)}</DTSTART>`,
+    `<DTEND>${formatOfxDate(end)}</DTEND>`,
+    ...items.map(item => {
+      const income = String(item.type).toLowerCase() === 'income';
+      return [
+        '<STMTTRN>',
+        `<TRNTYPE>${income ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+        `<DTPOSTED>${formatOfxDate(item.date)}</DTPOSTED>`,
+        `<TRNAMT>${income ? '' : '-'}${Number(item.amount).toFixed(2)}</TRNAMT>`,
+        `<FITID>${escapeXml(item.id)}</FITID>`,
+        `<NAME>${escapeXml(String(item.category || '').substring(0, 32))}</NAME>`,
+        item.note ? `<MEMO>${escapeXml(item.note.substring(0, 255))}</MEMO>` : null,
+        '</STMTTRN>'
+      ].filter(Boolean).join('\n');
+    }),
+    '</BANKTRANLIST>',
+    '</STMTRS>',
+    '</STMTTRNRS>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${exportedAt.replace(/[-:T]/g, '').substring(0, 14)}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    ...statements,
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+}
+
+function formatOfxDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function stripKeys(item) {
+  const copy = { ...item };
+  KEY_ATTRIBUTES.forEach(attribute => delete copy[attribute]);
+  return copy;
+}
+
+// Validated fields over the backup's own attributes, so fields the schema doesn't cover
+// (recurrence rules, skipped dates, timestamps) survive the round trip
+function mergeRaw(validatedItems, rawItems) {
+  return (validatedItems || []).map((item, index) => ({ ...stripKeys(rawItems[index]), ...item }));
+}
+
+// Items written before status existed only carry is_active
+function getRecurringStatus(item) {
+  return item.status || (item.is_active ? 'active' : 'paused');
+}
+
+async function getBaseCurrency(userId) {
+  const settings = await getItem(getUserSettingsKeys(userId));
+  return settings?.base_currency || DEFAULT_CURRENCY;
+}
+
+async function queryExchangeRates(currency) {
+  return queryAll({ TableName: TABLE_NAME, ...getExchangeRateQuery(currency) });
+}
+
+async function batchWriteItems(items) {
+  const writeRequests = items.map(item => ({ PutRequest: { Item: item } }));
+
+  // Batch write in chunks of 25 (DynamoDB limit)
+  for (let i = 0; i < writeRequests.length; i += 25) {
+    let requestItems = { [TABLE_NAME]: writeRequests.slice(i, i + 25) };
+
+    // Retry whatever DynamoDB didn't process
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamodb.send(new BatchWriteCommand({ RequestItems: requestItems }));
+      requestItems = result.UnprocessedItems;
+    }
+  }
+}
+
+async function getItem(key) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: key
+  }));
+  return result.Item || null;
+}
@@ -0,0 +1,292 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+
+const { expandItemOccurrences, addDays } = require('./shared/recurrence');
+const { validate, errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+const { toCents, fromCents, sumCents, divideCents } = require('./shared/money');
+const {
+  DEFAULT_CURRENCY,
+  getCurrency,
+  getUserSettingsKeys,
+  getExchangeRateQuery,
+  loadConverter,
+  describeUnconverted
+} = require('./shared/currency');
+const { createQueryAll } = require('./shared/dynamodb');
+
+const client = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(client);
+const queryAll = createQueryAll(dynamodb, QueryCommand);
+const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+
+const DEFAULT_FORECAST_DAYS = 90;
+const MAX_FORECAST_DAYS = 365;
+
+// Same history window the analytics insights use
+const BASELINE_HISTORY_MONTHS = 6;
+
+const forecastQuerySchema = {
+  type: 'object',
+  properties: {
+    days: { type: 'integer', minimum: 1, maximum: MAX_FORECAST_DAYS }
+  }
+};
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
+};
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: corsHeaders,
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event) => {
+  console.log('Event:', JSON.stringify(event, null, 2));
+
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, {});
+  }
+
+  try {
+    const { httpMethod, resource, queryStringParameters } = event;
+
+    const access = await authorizeRequest(event, getItem);
+    const userId = access.ownerId;
+
+    console.log('Processing forecast request for user:', userId);
+
+    if (resource === '/api/forecast' && httpMethod === 'GET') {
+      const { days = DEFAULT_FORECAST_DAYS } = validate(forecastQuerySchema, queryStringParameters || {});
+      return await getForecast(days, userId);
+    }
+
+    return createResponse(404, { error: 'Route not found' });
+
+  } catch (error) {
+    console.error('Error:', error);
+    if (error.statusCode) {
+      return createResponse(error.statusCode, errorBody(error));
+    }
+    return createResponse(500, { error: 'Internal server error', details: error.message });
+  }
+};
+
+// GET /api/forecast?days=90 - projected daily balance - USER FILTERED
+// balance(today) = income - expenses posted so far. Each following day adds the recurring
+// occurrences scheduled on it and subtracts a discretionary spending baseline. The running
+// balance is kept in cents of the user's base currency (see shared/money.js and
+// shared/currency.js); future occurrences use the latest loaded exchange rate.
+async function getForecast(days, userId) {
+  const today = new Date().toISOString().split('T')[0];
+  const endDate = addDays(today, days);
+
+  const [allTransactions, allRecurringItems] = await Promise.all([
+    getTransactions(userId),
+    getActiveRecurringTransactions(userId)
+  ]);
+
+  const baseCurrency = await getBaseCurrency(userId);
+  const converter = await loadConverter(baseCurrency, [...allTransactions, ...allRecurringItems], queryExchangeRates);
+
+  // Items with no exchange rate can't be projected in the base currency; they're left out
+  // and listed in the response
+  const unconverted = [];
+  const convertible = items => items.filter(item => {
+    if (converter.toBaseCents(item.amount, getCurrency(item), item.date || today) !== null) {
+      return true;
+    }
+    unconverted.push(describeUnconverted(item));
+    return false;
+  });
+  const transactions = convertible(allTransactions);
+  const recurringItems = convertible(allRecurringItems);
+
+  const startingBalance = calculateBalance(transactions, today, converter);
+  const baseline = calculateDiscretionaryBaseline(transactions, today, converter);
+  const scheduled = expandRecurring(recurringItems, endDate, converter);
+
+  const daily = [];
+  let balance = startingBalance;
+  let firstNegativeDate = null;
+  let lowest = null;
+
+  for (let offset = 0; offset <= days; offset++) {
+    const date = addDays(today, offset);
+
+    // Overdue occurrences the scheduler hasn't posted yet land on today
+    const events = offset === 0
+      ? [...scheduled.entries()].filter(([occurrenceDate]) => occurrenceDate <= today).flatMap(([, list]) => list)
+      : scheduled.get(date) || [];
+
+    const income = sumCents(events.filter(e => e.type === 'income'), e => e.amount);
+    const expenses = sumCents(events.filter(e => e.type === 'expense'), e => e.amount);
+
+    // Today's discretionary spending is already in the posted transactions
+    const discretionary = offset === 0 ? 0 : toCents(baseline.daily_amount);
+
+    balance += income - expenses - discretionary;
+
+    if (firstNegativeDate === null && balance < 0) {
+      firstNegativeDate = date;
+    }
+    if (!lowest || fromCents(balance) < lowest.balance) {
+      lowest = { date, balance: fromCents(balance) };
+    }
+
+    daily.push({
+      date,
+      balance: fromCents(balance),
+      income: fromCents(income),
+      expenses: fromCents(expenses),
+      discretionary: fromCents(discretionary),
+      events
+    });
+  }
+
+  console.log(`Forecast ${today}..${endDate} for user ${userId}: first negative ${firstNegativeDate || 'none'}`);
+
+  return createResponse(200, {
+    start_date: today,
+    end_date: endDate,
+    days,
+    currency: baseCurrency,
+    starting_balance: fromCents(startingBalance),
+    ending_balance: fromCents(balance),
+    lowest_balance: lowest,
+    first_negative_date: firstNegativeDate,
+    goes_negative: firstNegativeDate !== null,
+    discretionary_baseline: baseline,
+    recurring_occurrences: [...scheduled.values()].reduce((count, list) => count + list.length, 0),
+    unconverted,
+    daily
+  });
+}
+
+// All transactions for the user - USER FILTERED
+async function getTransactions(userId) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk',
+    ExpressionAttributeValues: {
+      ':pk': `USER#${userId}#TRANSACTION`
+    }
+  });
+}
+
+// Active recurring transactions, read from the RECURRING_ACTIVE index - USER FILTERED
+async function getActiveRecurringTransactions(userId) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk',
+    FilterExpression: 'is_active = :active',
+    ExpressionAttributeValues: {
+      ':gsi1pk': `USER#${userId}#RECURRING_ACTIVE`,
+      ':active': true
+    }
+  });
+}
+
+async function getBaseCurrency(userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: getUserSettingsKeys(userId)
+  }));
+  return result.Item?.base_currency || DEFAULT_CURRENCY;
+}
+
+async function queryExchangeRates(currency) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    ...getExchangeRateQuery(currency)
+  });
+}
+
+// Income minus expenses for everything posted up to and including today, in base cents
+function calculateBalance(transactions, today, converter) {
+  return transactions
+    .filter(t => !t.date || t.date <= today)
+    .reduce((balance, t) => {
+      const amount = Math.abs(converter.toBaseCents(t.amount, getCurrency(t), t.date || today));
+      return getType(t) === 'income' ? balance + amount : balance - amount;
+    }, 0);
+}
+
+// Average daily non-recurring spending over the analytics history window. Recurring
+// expenses are excluded because the forecast adds their scheduled occurrences itself.
+function calculateDiscretionaryBaseline(transactions, today, converter) {
+  const windowStart = new Date(`${today}T00:00:00Z`);
+  windowStart.setUTCMonth(windowStart.getUTCMonth() - BASELINE_HISTORY_MONTHS);
+  let from = windowStart.toISOString().split('T')[0];
+
+  const expenses = transactions.filter(t =>
+    getType(t) === 'expense' && !t.recurring_transaction_id && t.date && t.date >= from && t.date <= today
+  );
+
+  // A newer user's history starts at their first transaction, not six months back
+  const earliest = expenses.reduce((min, t) => (t.date < min ? t.date : min), today);
+  if (earliest > from) {
+    from = earliest;
+  }
+
+  const total = expenses.reduce((sum, t) => sum + Math.abs(converter.toBaseCents(t.amount, getCurrency(t), t.date)), 0);
+  const windowDays = Math.round((new Date(today) - new Date(from)) / (1000 * 60 * 60 * 24)) + 1;
+
+  return {
+    daily_amount: expenses.length > 0 ? fromCents(divideCents(total, windowDays)) : 0,
+    history_from: from,
+    history_to: today,
+    history_days: windowDays,
+    history_total: fromCents(total),
+    transaction_count: expenses.length
+  };
+}
+
+// date -> [{ recurring_transaction_id, name, type, category, amount, original_amount,
+// original_currency }]; amount is in the base currency
+function expandRecurring(items, endDate, converter) {
+  const scheduled = new Map();
+
+  for (const item of items) {
+    const type = getType(item);
+    if (type !== 'income' && type !== 'expense') {
+      continue;
+    }
+
+    expandItemOccurrences(item, { to: endDate }).forEach(date => {
+      if (!scheduled.has(date)) {
+        scheduled.set(date, []);
+      }
+      scheduled.get(date).push({
+        recurring_transaction_id: item.id,
+        name: item.name,
+        type,
+        category: item.category,
+        amount: fromCents(Math.abs(converter.toBaseCents(item.amount, getCurrency(item), date))),
+        original_amount: fromCents(Math.abs(toCents(item.amount))),
+        original_currency: getCurrency(item)
+      });
+    });
+  }
+
+  return scheduled;
+}
+
+// Transactions are written as both "Expense" and "expense"
+function getType(item) {
+  return (item.type || '').toLowerCase();
+}
+
+async function getItem(key) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: key
+  }));
+  return result.Item || null;
+}
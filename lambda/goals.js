@@ -0,0 +1,587 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  QueryCommand,
+  PutCommand,
+  UpdateCommand,
+  BatchWriteCommand,
+  TransactWriteCommand,
+  GetCommand
+} = require('@aws-sdk/lib-dynamodb');
+
+const { fields, validate, parseBody, errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+const { toCents, fromCents, roundMoney, divideCents, roundPercentage } = require('./shared/money');
+const { createQueryAll } = require('./shared/dynamodb');
+
+const goalSchema = {
+  type: 'object',
+  required: ['name', 'target_amount', 'target_date'],
+  properties: {
+    name: fields.name,
+    target_amount: fields.amount,
+    target_date: fields.date,
+    category: fields.category,
+    description: fields.text,
+    initial_amount: fields.budgetAmount
+  }
+};
+
+const contributionSchema = {
+  type: 'object',
+  required: ['amount'],
+  properties: {
+    amount: fields.amount,
+    date: fields.date,
+    note: fields.text
+  }
+};
+
+const client = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(client);
+const queryAll = createQueryAll(dynamodb, QueryCommand);
+const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
+};
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: corsHeaders,
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event) => {
+  console.log('Event:', JSON.stringify(event, null, 2));
+
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, {});
+  }
+
+  try {
+    const { httpMethod, pathParameters, resource } = event;
+
+    const access = await authorizeRequest(event, getItem);
+    const userId = access.ownerId;
+
+    console.log('Processing goals request for user:', userId);
+
+    // Route handling for goals
+    if (resource === '/api/goals') {
+      if (httpMethod === 'GET') {
+        return await getAllGoals(userId);
+      } else if (httpMethod === 'POST') {
+        return await createGoal(validate(goalSchema, parseBody(event.body)), userId);
+      }
+    }
+
+    // Static contributions routes take precedence over /api/goals/{id}
+    if (resource === '/api/goals/contributions') {
+      if (httpMethod === 'GET') {
+        return await getAllContributions(userId);
+      }
+    }
+
+    if (resource === '/api/goals/contributions/{contributionId}') {
+      const { contributionId } = pathParameters;
+      if (httpMethod === 'DELETE') {
+        return await deleteContribution(contributionId, userId);
+      }
+    }
+
+    if (resource === '/api/goals/{id}') {
+      const { id } = pathParameters;
+      if (httpMethod === 'GET') {
+        return await getGoal(id, userId);
+      } else if (httpMethod === 'PUT') {
+        return await updateGoal(id, validate(goalSchema, parseBody(event.body), { partial: true }), userId);
+      } else if (httpMethod === 'DELETE') {
+        return await deleteGoal(id, userId);
+      }
+    }
+
+    if (resource === '/api/goals/{id}/contributions') {
+      const { id } = pathParameters;
+      if (httpMethod === 'GET') {
+        return await getGoalContributions(id, userId);
+      } else if (httpMethod === 'POST') {
+        return await addContribution(id, validate(contributionSchema, parseBody(event.body)), userId);
+      }
+    }
+
+    return createResponse(404, { error: 'Route not found' });
+
+  } catch (error) {
+    console.error('Error:', error);
+    if (error.statusCode) {
+      return createResponse(error.statusCode, errorBody(error));
+    }
+    return createResponse(500, { error: 'Internal server error', details: error.message });
+  }
+};
+
+// Get all goals - USER FILTERED
+async function getAllGoals(userId) {
+  const params = {
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk',
+    ExpressionAttributeValues: {
+      ':gsi1pk': `USER#${userId}#GOALS`
+    }
+  };
+
+  const items = await queryAll(params);
+
+  const goals = items.map(formatGoal);
+
+  console.log(`Retrieved ${goals.length} goals for user ${userId}`);
+  return createResponse(200, goals);
+}
+
+// Create new goal - USER SCOPED
+async function createGoal(data, userId) {
+  const {
+    name,
+    target_amount,
+    target_date,
+    category = 'General',
+    description = '',
+    initial_amount = 0
+  } = data;
+
+  const id = `goal-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const timestamp = new Date().toISOString();
+
+  const goal = {
+    PK: `USER#${userId}#GOAL#${id}`,
+    SK: 'METADATA',
+    GSI1PK: `USER#${userId}#GOALS`,
+    GSI1SK: `${target_date}#${id}`,
+    id,
+    name,
+    target_amount,
+    current_amount: initial_amount,
+    target_date,
+    category,
+    description,
+    contribution_count: 0,
+    created_at: timestamp,
+    updated_at: timestamp,
+    user_id: userId
+  };
+
+  await dynamodb.send(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: goal
+  }));
+
+  console.log(`Created goal ${id} for user ${userId}`);
+
+  return createResponse(201, {
+    message: 'Goal created successfully',
+    goal: formatGoal(goal)
+  });
+}
+
+// Get specific goal - USER FILTERED
+async function getGoal(id, userId) {
+  const goal = await getGoalItem(id, userId);
+
+  if (!goal) {
+    return createResponse(404, { error: 'Goal not found' });
+  }
+
+  console.log(`Retrieved goal ${id} for user ${userId}`);
+  return createResponse(200, formatGoal(goal));
+}
+
+// Update goal - USER FILTERED
+async function updateGoal(id, data, userId) {
+  const existing = await getGoalItem(id, userId);
+
+  if (!existing) {
+    return createResponse(404, { error: 'Goal not found' });
+  }
+
+  const timestamp = new Date().toISOString();
+
+  // Build update expression dynamically
+  let updateExpression = 'SET updated_at = :timestamp';
+  let expressionAttributeValues = {
+    ':timestamp': timestamp
+  };
+  let expressionAttributeNames = {}; // Only add names when needed
+
+  if (data.name !== undefined) {
+    updateExpression += ', #name = :name';
+    expressionAttributeNames['#name'] = 'name';
+    expressionAttributeValues[':name'] = data.name;
+  }
+
+  if (data.target_amount !== undefined) {
+    updateExpression += ', target_amount = :target_amount';
+    expressionAttributeValues[':target_amount'] = data.target_amount;
+  }
+
+  if (data.target_date !== undefined) {
+    // Keep the GSI1 sort key in step so goals stay ordered by target date
+    updateExpression += ', target_date = :target_date, GSI1SK = :gsi1sk';
+    expressionAttributeValues[':target_date'] = data.target_date;
+    expressionAttributeValues[':gsi1sk'] = `${data.target_date}#${id}`;
+  }
+
+  if (data.category !== undefined) {
+    updateExpression += ', category = :category';
+    expressionAttributeValues[':category'] = data.category;
+  }
+
+  if (data.description !== undefined) {
+    updateExpression += ', description = :description';
+    expressionAttributeValues[':description'] = data.description;
+  }
+
+  const params = {
+    TableName: TABLE_NAME,
+    Key: {
+      PK: `USER#${userId}#GOAL#${id}`,
+      SK: 'METADATA'
+    },
+    UpdateExpression: updateExpression,
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW'
+  };
+
+  // Only add ExpressionAttributeNames if we have any
+  if (Object.keys(expressionAttributeNames).length > 0) {
+    params.ExpressionAttributeNames = expressionAttributeNames;
+  }
+
+  const result = await dynamodb.send(new UpdateCommand(params));
+
+  console.log(`Updated goal ${id} for user ${userId}`);
+
+  return createResponse(200, {
+    message: 'Goal updated successfully',
+    goal: formatGoal(result.Attributes)
+  });
+}
+
+// Delete goal and all of its contributions - USER FILTERED
+async function deleteGoal(id, userId) {
+  const params = {
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk',
+    ExpressionAttributeValues: {
+      ':pk': `USER#${userId}#GOAL#${id}`
+    }
+  };
+
+  // Every page, so no contribution is left behind
+  const items = await queryAll(params);
+
+  if (items.length === 0) {
+    return createResponse(404, { error: 'Goal not found' });
+  }
+
+  const deleteRequests = items.map(item => ({
+    DeleteRequest: {
+      Key: {
+        PK: item.PK,
+        SK: item.SK
+      }
+    }
+  }));
+
+  // Batch delete goal metadata and contributions
+  const chunks = [];
+  for (let i = 0; i < deleteRequests.length; i += 25) {
+    chunks.push(deleteRequests.slice(i, i + 25));
+  }
+
+  for (const chunk of chunks) {
+    let requestItems = { [TABLE_NAME]: chunk };
+
+    // Retry whatever DynamoDB didn't process
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamodb.send(new BatchWriteCommand({ RequestItems: requestItems }));
+      requestItems = result.UnprocessedItems;
+    }
+  }
+
+  console.log(`Deleted goal ${id} with ${items.length - 1} contributions for user ${userId}`);
+  return createResponse(200, {
+    message: 'Goal deleted successfully',
+    contributions_deleted: items.length - 1
+  });
+}
+
+// Get contributions for a goal - USER FILTERED
+async function getGoalContributions(goalId, userId) {
+  const goal = await getGoalItem(goalId, userId);
+
+  if (!goal) {
+    return createResponse(404, { error: 'Goal not found' });
+  }
+
+  const params = {
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+    ExpressionAttributeValues: {
+      ':pk': `USER#${userId}#GOAL#${goalId}`,
+      ':sk': 'CONTRIBUTION#'
+    },
+    ScanIndexForward: false
+  };
+
+  const items = await queryAll(params);
+
+  const contributions = items.map(formatContribution);
+
+  console.log(`Retrieved ${contributions.length} contributions for goal ${goalId} for user ${userId}`);
+  return createResponse(200, contributions);
+}
+
+// Get all contributions across goals - USER FILTERED
+async function getAllContributions(userId) {
+  const params = {
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk',
+    ExpressionAttributeValues: {
+      ':gsi1pk': `USER#${userId}#GOAL_CONTRIBUTIONS`
+    }
+  };
+
+  const items = await queryAll(params);
+
+  const contributions = items.map(formatContribution);
+
+  // Newest contributions first
+  contributions.sort((a, b) => b.date.localeCompare(a.date) || b.created_at.localeCompare(a.created_at));
+
+  console.log(`Retrieved ${contributions.length} contributions for user ${userId}`);
+  return createResponse(200, contributions);
+}
+
+// Add contribution to goal - USER SCOPED
+async function addContribution(goalId, data, userId) {
+  const { amount: contributionAmount, date, note = '' } = data;
+
+  const contributionDate = date || new Date().toISOString().split('T')[0];
+
+  const goal = await getGoalItem(goalId, userId);
+
+  if (!goal) {
+    return createResponse(404, { error: 'Goal not found' });
+  }
+
+  const contributionId = `contrib-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const timestamp = new Date().toISOString();
+
+  const contribution = {
+    PK: `USER#${userId}#GOAL#${goalId}`,
+    SK: `CONTRIBUTION#${contributionDate}#${contributionId}`,
+    GSI1PK: `USER#${userId}#GOAL_CONTRIBUTIONS`,
+    GSI1SK: contributionId,
+    id: contributionId,
+    goal_id: goalId,
+    goal_name: goal.name,
+    amount: contributionAmount,
+    date: contributionDate,
+    note,
+    created_at: timestamp,
+    user_id: userId
+  };
+
+  // Write the contribution and bump the saved total together
+  await dynamodb.send(new TransactWriteCommand({
+    TransactItems: [
+      {
+        Put: {
+          TableName: TABLE_NAME,
+          Item: contribution
+        }
+      },
+      {
+        Update: {
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}#GOAL#${goalId}`,
+            SK: 'METADATA'
+          },
+          UpdateExpression: 'SET current_amount = current_amount + :amount, contribution_count = contribution_count + :one, updated_at = :timestamp',
+          ConditionExpression: 'attribute_exists(PK)',
+          ExpressionAttributeValues: {
+            ':amount': contributionAmount,
+            ':one': 1,
+            ':timestamp': timestamp
+          }
+        }
+      }
+    ]
+  }));
+
+  const updatedGoal = await getGoalItem(goalId, userId);
+
+  console.log(`Added contribution ${contributionId} of ${contributionAmount} to goal ${goalId} for user ${userId}`);
+
+  return createResponse(201, {
+    message: 'Contribution added successfully',
+    contribution: formatContribution(contribution),
+    goal: formatGoal(updatedGoal)
+  });
+}
+
+// Delete contribution and reverse it from the goal total - USER FILTERED
+async function deleteContribution(contributionId, userId) {
+  const params = {
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk AND GSI1SK = :gsi1sk',
+    ExpressionAttributeValues: {
+      ':gsi1pk': `USER#${userId}#GOAL_CONTRIBUTIONS`,
+      ':gsi1sk': contributionId
+    }
+  };
+
+  const result = await dynamodb.send(new QueryCommand(params));
+
+  if (!result.Items || result.Items.length === 0) {
+    return createResponse(404, { error: 'Contribution not found' });
+  }
+
+  const contribution = result.Items[0];
+  const timestamp = new Date().toISOString();
+
+  await dynamodb.send(new TransactWriteCommand({
+    TransactItems: [
+      {
+        Delete: {
+          TableName: TABLE_NAME,
+          Key: {
+            PK: contribution.PK,
+            SK: contribution.SK
+          },
+          ConditionExpression: 'attribute_exists(PK)'
+        }
+      },
+      {
+        Update: {
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}#GOAL#${contribution.goal_id}`,
+            SK: 'METADATA'
+          },
+          UpdateExpression: 'SET current_amount = current_amount - :amount, contribution_count = contribution_count - :one, updated_at = :timestamp',
+          ConditionExpression: 'attribute_exists(PK)',
+          ExpressionAttributeValues: {
+            ':amount': contribution.amount,
+            ':one': 1,
+            ':timestamp': timestamp
+          }
+        }
+      }
+    ]
+  }));
+
+  console.log(`Deleted contribution ${contributionId} from goal ${contribution.goal_id} for user ${userId}`);
+
+  return createResponse(200, {
+    message: 'Contribution deleted successfully',
+    goal_id: contribution.goal_id
+  });
+}
+
+// Helper Functions
+async function getGoalItem(id, userId) {
+  const params = {
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk AND SK = :sk',
+    ExpressionAttributeValues: {
+      ':pk': `USER#${userId}#GOAL#${id}`,
+      ':sk': 'METADATA'
+    }
+  };
+
+  const result = await dynamodb.send(new QueryCommand(params));
+  return result.Items && result.Items.length > 0 ? result.Items[0] : null;
+}
+
+function formatGoal(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    target_amount: roundMoney(item.target_amount),
+    current_amount: roundMoney(item.current_amount),
+    target_date: item.target_date,
+    category: item.category,
+    description: item.description,
+    contribution_count: item.contribution_count,
+    progress: calculateGoalProgress(item),
+    created_at: item.created_at,
+    updated_at: item.updated_at
+  };
+}
+
+function formatContribution(item) {
+  return {
+    id: item.id,
+    goal_id: item.goal_id,
+    goal_name: item.goal_name,
+    amount: roundMoney(item.amount),
+    date: item.date,
+    note: item.note,
+    created_at: item.created_at
+  };
+}
+
+// Amounts are compared in cents - see shared/money.js
+function calculateGoalProgress(goal, today = new Date()) {
+  const targetAmount = toCents(goal.target_amount);
+  const currentAmount = toCents(goal.current_amount);
+  const remaining = Math.max(targetAmount - currentAmount, 0);
+  const percentComplete = targetAmount > 0 ? Math.min((currentAmount / targetAmount) * 100, 100) : 0;
+
+  const todayStr = today.toISOString().split('T')[0];
+  const daysRemaining = Math.ceil((new Date(goal.target_date) - new Date(todayStr)) / (1000 * 60 * 60 * 24));
+  const monthsRemaining = countMonthsUntil(todayStr, goal.target_date);
+
+  // Past the target date the whole remainder is due now
+  const requiredMonthly = remaining === 0 ? 0 : divideCents(remaining, Math.max(monthsRemaining, 1));
+
+  return {
+    percent_complete: roundPercentage(percentComplete),
+    remaining_amount: fromCents(remaining),
+    days_remaining: Math.max(daysRemaining, 0),
+    months_remaining: monthsRemaining,
+    required_monthly_contribution: fromCents(requiredMonthly),
+    is_completed: targetAmount > 0 && currentAmount >= targetAmount,
+    is_overdue: daysRemaining < 0 && currentAmount < targetAmount
+  };
+}
+
+// Number of monthly contributions left before the target date, counting the
+// current month; a target later this month still leaves one contribution.
+function countMonthsUntil(fromDateStr, toDateStr) {
+  if (toDateStr < fromDateStr) {
+    return 0;
+  }
+
+  const [fromYear, fromMonth] = fromDateStr.split('-').map(Number);
+  const [toYear, toMonth] = toDateStr.split('-').map(Number);
+
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth) + 1;
+}
+
+async function getItem(key) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: key
+  }));
+  return result.Item || null;
+}
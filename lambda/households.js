@@ -0,0 +1,531 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  QueryCommand,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  BatchGetCommand,
+  TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { createHash, randomBytes } = require('crypto');
+
+const { fields, validate, validationError, parseBody, errorBody } = require('./shared/validation');
+const { getAuthenticatedUserId } = require('./shared/auth');
+const {
+  HOUSEHOLD_ROLES,
+  createHouseholdId,
+  isHouseholdId,
+  getHouseholdKeys,
+  getMemberKeys,
+  getMemberIndexKeys,
+  hasRole
+} = require('./shared/households');
+const { createQueryAll } = require('./shared/dynamodb');
+
+// Invitations are single-use and expire after this long
+const INVITATION_TTL_DAYS = 7;
+
+const householdSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: fields.name
+  }
+};
+
+const invitationSchema = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: { type: 'string', enum: HOUSEHOLD_ROLES, ignoreCase: true },
+    // Who the invitation is meant for, shown to owners; anyone with the token can accept it
+    email: { type: 'string', minLength: 3, maxLength: 254 }
+  }
+};
+
+const acceptSchema = {
+  type: 'object',
+  required: ['token'],
+  properties: {
+    token: { type: 'string', minLength: 16, maxLength: 128 }
+  }
+};
+
+const memberSchema = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: { type: 'string', enum: HOUSEHOLD_ROLES, ignoreCase: true }
+  }
+};
+
+const client = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(client);
+const queryAll = createQueryAll(dynamodb, QueryCommand);
+const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
+};
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: corsHeaders,
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event) => {
+  console.log('Event:', JSON.stringify(event, null, 2));
+
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, {});
+  }
+
+  try {
+    const { httpMethod, resource, pathParameters, body } = event;
+
+    // Extract and validate user ID
+    const userId = await getAuthenticatedUserId(event);
+    if (!userId) {
+      return createResponse(401, { error: 'Unauthorized: valid bearer token required' });
+    }
+
+    console.log('Processing households request for user:', userId);
+
+    if (resource === '/api/households') {
+      if (httpMethod === 'GET') {
+        return await listHouseholds(userId);
+      } else if (httpMethod === 'POST') {
+        return await createHousehold(validate(householdSchema, parseBody(body)), userId);
+      }
+    }
+
+    if (resource === '/api/households/invitations/accept' && httpMethod === 'POST') {
+      return await acceptInvitation(validate(acceptSchema, parseBody(body)), userId);
+    }
+
+    const householdId = pathParameters?.householdId;
+    if (householdId !== undefined && !isHouseholdId(householdId)) {
+      return createResponse(404, { error: 'Household not found' });
+    }
+
+    if (resource === '/api/households/{householdId}') {
+      if (httpMethod === 'GET') {
+        return await getHousehold(householdId, userId);
+      } else if (httpMethod === 'PATCH' || httpMethod === 'PUT') {
+        return await renameHousehold(householdId, validate(householdSchema, parseBody(body)), userId);
+      }
+    }
+
+    if (resource === '/api/households/{householdId}/invitations') {
+      if (httpMethod === 'GET') {
+        return await listInvitations(householdId, userId);
+      } else if (httpMethod === 'POST') {
+        return await createInvitation(householdId, validate(invitationSchema, parseBody(body)), userId);
+      }
+    }
+
+    if (resource === '/api/households/{householdId}/invitations/{invitationId}' && httpMethod === 'DELETE') {
+      return await revokeInvitation(householdId, pathParameters.invitationId, userId);
+    }
+
+    if (resource === '/api/households/{householdId}/members/{memberId}') {
+      const memberId = decodeURIComponent(pathParameters.memberId);
+      if (httpMethod === 'PUT' || httpMethod === 'PATCH') {
+        return await updateMemberRole(householdId, memberId, validate(memberSchema, parseBody(body)), userId);
+      } else if (httpMethod === 'DELETE') {
+        return await removeMember(householdId, memberId, userId);
+      }
+    }
+
+    return createResponse(404, { error: 'Route not found' });
+
+  } catch (error) {
+    console.error('Error:', error);
+    if (error.statusCode) {
+      return createResponse(error.statusCode, errorBody(error));
+    }
+    return createResponse(500, { error: 'Internal server error', details: error.message });
+  }
+};
+
+// GET /api/households - households the caller belongs to
+async function listHouseholds(userId) {
+  const memberships = await queryAll({
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk',
+    ExpressionAttributeValues: {
+      ':gsi1pk': getMemberIndexKeys(userId, '').GSI1PK
+    }
+  });
+
+  const households = await getHouseholdItems(memberships.map(member => member.household_id));
+
+  return createResponse(200, memberships
+    .filter(member => households.has(member.household_id))
+    .map(member => ({
+      ...formatHousehold(households.get(member.household_id)),
+      role: member.role
+    })));
+}
+
+// POST /api/households - the caller becomes its first owner
+async function createHousehold(data, userId) {
+  const householdId = createHouseholdId();
+  const timestamp = new Date().toISOString();
+
+  const household = {
+    ...getHouseholdKeys(householdId),
+    id: householdId,
+    name: data.name,
+    created_by: userId,
+    created_at: timestamp
+  };
+
+  await dynamodb.send(new TransactWriteCommand({
+    TransactItems: [
+      { Put: { TableName: TABLE_NAME, Item: household } },
+      { Put: { TableName: TABLE_NAME, Item: createMemberItem(householdId, userId, 'owner', null, timestamp) } }
+    ]
+  }));
+
+  console.log(`Created household ${householdId} for user ${userId}`);
+
+  return createResponse(201, { ...formatHousehold(household), role: 'owner' });
+}
+
+// GET /api/households/{householdId} - the household and its members; any member
+async function getHousehold(householdId, userId) {
+  const { household, member } = await requireRole(householdId, userId, 'viewer');
+  const members = await getMembers(householdId);
+
+  return createResponse(200, {
+    ...formatHousehold(household),
+    role: member.role,
+    members: members.map(formatMember)
+  });
+}
+
+// PATCH /api/households/{householdId} - owners only
+async function renameHousehold(householdId, data, userId) {
+  await requireRole(householdId, userId, 'owner');
+
+  const result = await dynamodb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: getHouseholdKeys(householdId),
+    UpdateExpression: 'SET #name = :name, updated_at = :updatedAt',
+    ConditionExpression: 'attribute_exists(PK)',
+    ExpressionAttributeNames: { '#name': 'name' },
+    ExpressionAttributeValues: {
+      ':name': data.name,
+      ':updatedAt': new Date().toISOString()
+    },
+    ReturnValues: 'ALL_NEW'
+  }));
+
+  return createResponse(200, formatHousehold(result.Attributes));
+}
+
+// GET /api/households/{householdId}/invitations - open invitations; owners only
+async function listInvitations(householdId, userId) {
+  await requireRole(householdId, userId, 'owner');
+
+  const now = new Date().toISOString();
+  const invitations = await getInvitations(householdId);
+
+  return createResponse(200, invitations
+    .filter(invitation => invitation.expires_at > now)
+    .map(formatInvitation));
+}
+
+// POST /api/households/{householdId}/invitations - owners only
+// The token is only ever returned here; the table keeps its hash.
+async function createInvitation(householdId, data, userId) {
+  await requireRole(householdId, userId, 'owner');
+
+  const token = randomBytes(24).toString('base64url');
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const invitation = {
+    ...getInvitationKeys(tokenHash),
+    GSI1PK: `HOUSEHOLD#${householdId}#INVITATIONS`,
+    GSI1SK: now.toISOString(),
+    id: tokenHash.substring(0, 16),
+    household_id: householdId,
+    role: data.role,
+    email: data.email || null,
+    invited_by: userId,
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+
+  await dynamodb.send(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: invitation
+  }));
+
+  console.log(`User ${userId} invited a new ${data.role} to household ${householdId}`);
+
+  return createResponse(201, { ...formatInvitation(invitation), token });
+}
+
+// DELETE /api/households/{householdId}/invitations/{invitationId} - owners only
+async function revokeInvitation(householdId, invitationId, userId) {
+  await requireRole(householdId, userId, 'owner');
+
+  const invitation = (await getInvitations(householdId)).find(item => item.id === invitationId);
+  if (!invitation) {
+    return createResponse(404, { error: 'Invitation not found' });
+  }
+
+  await dynamodb.send(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { PK: invitation.PK, SK: invitation.SK }
+  }));
+
+  return createResponse(200, { message: 'Invitation revoked' });
+}
+
+// POST /api/households/invitations/accept - joins the caller with the invitation's role.
+// Consuming the invitation and adding the member happen together, so a token works once.
+async function acceptInvitation(data, userId) {
+  const key = getInvitationKeys(hashToken(data.token));
+  const result = await dynamodb.send(new GetCommand({ TableName: TABLE_NAME, Key: key }));
+  const invitation = result.Item;
+
+  if (!invitation || invitation.expires_at <= new Date().toISOString()) {
+    return createResponse(404, { error: 'Invitation not found or expired' });
+  }
+
+  const householdId = invitation.household_id;
+  const timestamp = new Date().toISOString();
+
+  try {
+    await dynamodb.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: TABLE_NAME,
+            Key: key,
+            ConditionExpression: 'attribute_exists(PK)'
+          }
+        },
+        {
+          Put: {
+            TableName: TABLE_NAME,
+            Item: createMemberItem(householdId, userId, invitation.role, invitation.invited_by, timestamp),
+            ConditionExpression: 'attribute_not_exists(PK)'
+          }
+        }
+      ]
+    }));
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      const [invitationCheck, memberCheck] = error.CancellationReasons || [];
+      if (memberCheck && memberCheck.Code === 'ConditionalCheckFailed') {
+        return createResponse(409, { error: 'You are already a member of this household' });
+      }
+      if (invitationCheck && invitationCheck.Code === 'ConditionalCheckFailed') {
+        return createResponse(404, { error: 'Invitation not found or expired' });
+      }
+    }
+    throw error;
+  }
+
+  console.log(`User ${userId} joined household ${householdId} as ${invitation.role}`);
+
+  const household = await getHouseholdItem(householdId);
+
+  return createResponse(200, { ...formatHousehold(household), role: invitation.role });
+}
+
+// PUT /api/households/{householdId}/members/{memberId} - owners only
+async function updateMemberRole(householdId, memberId, data, userId) {
+  await requireRole(householdId, userId, 'owner');
+
+  const members = await getMembers(householdId);
+  const member = members.find(item => item.user_id === memberId);
+  if (!member) {
+    return createResponse(404, { error: 'Member not found' });
+  }
+
+  if (member.role === 'owner' && data.role !== 'owner' && countOwners(members) === 1) {
+    throw validationError([{ field: 'role', message: 'the last owner cannot be demoted; make another member an owner first' }]);
+  }
+
+  const result = await dynamodb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: getMemberKeys(householdId, memberId),
+    UpdateExpression: 'SET #role = :role, updated_at = :updatedAt',
+    ConditionExpression: 'attribute_exists(PK)',
+    ExpressionAttributeNames: { '#role': 'role' },
+    ExpressionAttributeValues: {
+      ':role': data.role,
+      ':updatedAt': new Date().toISOString()
+    },
+    ReturnValues: 'ALL_NEW'
+  }));
+
+  console.log(`User ${userId} made ${memberId} ${data.role} of household ${householdId}`);
+
+  return createResponse(200, formatMember(result.Attributes));
+}
+
+// DELETE /api/households/{householdId}/members/{memberId} - owners remove anyone, members
+// remove themselves (leave)
+async function removeMember(householdId, memberId, userId) {
+  await requireRole(householdId, userId, memberId === userId ? 'viewer' : 'owner');
+
+  const members = await getMembers(householdId);
+  const member = members.find(item => item.user_id === memberId);
+  if (!member) {
+    return createResponse(404, { error: 'Member not found' });
+  }
+
+  if (member.role === 'owner' && countOwners(members) === 1) {
+    throw validationError([{ field: 'memberId', message: 'the last owner cannot leave; make another member an owner first' }]);
+  }
+
+  await dynamodb.send(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: getMemberKeys(householdId, memberId)
+  }));
+
+  console.log(`User ${userId} removed ${memberId} from household ${householdId}`);
+
+  return createResponse(200, { message: memberId === userId ? 'Left household' : 'Member removed' });
+}
+
+// The household and the caller's membership, or a 404/403 error. Non-members get 404 so
+// household ids can't be probed.
+async function requireRole(householdId, userId, requiredRole) {
+  const [household, memberResult] = await Promise.all([
+    getHouseholdItem(householdId),
+    dynamodb.send(new GetCommand({ TableName: TABLE_NAME, Key: getMemberKeys(householdId, userId) }))
+  ]);
+  const member = memberResult.Item;
+
+  if (!household || !member) {
+    throw Object.assign(new Error('Household not found'), { statusCode: 404 });
+  }
+  if (!hasRole(member.role, requiredRole)) {
+    throw Object.assign(new Error(`Requires the ${requiredRole} role in this household (you are ${member.role})`), { statusCode: 403 });
+  }
+
+  return { household, member };
+}
+
+async function getHouseholdItem(householdId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: getHouseholdKeys(householdId)
+  }));
+  return result.Item || null;
+}
+
+// Household items by id
+async function getHouseholdItems(householdIds) {
+  const households = new Map();
+
+  for (let i = 0; i < householdIds.length; i += 100) {
+    let requestItems = {
+      [TABLE_NAME]: { Keys: householdIds.slice(i, i + 100).map(getHouseholdKeys) }
+    };
+
+    // Retry whatever DynamoDB didn't process
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamodb.send(new BatchGetCommand({ RequestItems: requestItems }));
+      (result.Responses?.[TABLE_NAME] || []).forEach(item => households.set(item.id, item));
+      requestItems = result.UnprocessedKeys;
+    }
+  }
+
+  return households;
+}
+
+async function getMembers(householdId) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :member)',
+    ExpressionAttributeValues: {
+      ':pk': getHouseholdKeys(householdId).PK,
+      ':member': 'MEMBER#'
+    }
+  });
+}
+
+async function getInvitations(householdId) {
+  return queryAll({
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk',
+    ExpressionAttributeValues: {
+      ':gsi1pk': `HOUSEHOLD#${householdId}#INVITATIONS`
+    }
+  });
+}
+
+function createMemberItem(householdId, userId, role, invitedBy, timestamp) {
+  return {
+    ...getMemberKeys(householdId, userId),
+    ...getMemberIndexKeys(userId, householdId),
+    household_id: householdId,
+    user_id: userId,
+    role,
+    invited_by: invitedBy,
+    joined_at: timestamp
+  };
+}
+
+function getInvitationKeys(tokenHash) {
+  return {
+    PK: `INVITATION#${tokenHash}`,
+    SK: 'INVITATION'
+  };
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function countOwners(members) {
+  return members.filter(member => member.role === 'owner').length;
+}
+
+function formatHousehold(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    created_by: item.created_by,
+    created_at: item.created_at,
+    updated_at: item.updated_at || null
+  };
+}
+
+function formatMember(item) {
+  return {
+    user_id: item.user_id,
+    role: item.role,
+    invited_by: item.invited_by || null,
+    joined_at: item.joined_at,
+    updated_at: item.updated_at || null
+  };
+}
+
+function formatInvitation(item) {
+  return {
+    id: item.id,
+    role: item.role,
+    email: item.email,
+    invited_by: item.invited_by,
+    created_at: item.created_at,
+    expires_at: item.expires_at
+  };
+}
@@ -5,18 +5,85 @@ const {
   PutCommand, 
   UpdateCommand,
   DeleteCommand,
-  ScanCommand
+  GetCommand,
+  TransactWriteCommand
 } = require('@aws-sdk/lib-dynamodb');
 
+const {
+  FREQUENCY_SHORTHANDS,
+  normalizeRecurrence,
+  getItemRecurrence,
+  formatRRule,
+  expandOccurrences,
+  expandItemOccurrences,
+  nextOccurrence,
+  firstOccurrenceOnOrAfter,
+  isValidDate
+} = require('./shared/recurrence');
+const { getTransactionIndexKeys, getRecurringIndexKeys, getRecurringIndexSortKey } = require('./shared/keys');
+const { fields, validate, validationError, parseBody, errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+const { roundMoney } = require('./shared/money');
+const {
+  DEFAULT_CURRENCY,
+  getCurrency,
+  getUserSettingsKeys,
+  getExchangeRateQuery,
+  requireExchangeRate
+} = require('./shared/currency');
+const { createQueryAll } = require('./shared/dynamodb');
+
+const recurringSchema = {
+  type: 'object',
+  required: ['name', 'amount', 'category', 'type', 'start_date'],
+  properties: {
+    name: fields.name,
+    amount: fields.amount,
+    currency: fields.currency,
+    category: fields.category,
+    type: fields.transactionType,
+    frequency: { type: 'string', enum: Object.keys(FREQUENCY_SHORTHANDS), ignoreCase: true },
+    rrule: { type: 'string', minLength: 1, maxLength: 500 },
+    recurrence: { type: 'object' },
+    start_date: fields.date,
+    end_date: { ...fields.date, nullable: true },
+    max_occurrences: { type: 'integer', minimum: 1, nullable: true },
+    next_execution: fields.date,
+    description: fields.text,
+    is_active: fields.boolean
+  }
+};
+
+const occurrenceSchema = {
+  type: 'object',
+  properties: {
+    occurrence_date: fields.date
+  }
+};
+
+const upcomingQuerySchema = {
+  type: 'object',
+  properties: {
+    days: { type: 'integer', minimum: 1, maximum: 366 }
+  }
+};
+
 const client = new DynamoDBClient({});
 const dynamodb = DynamoDBDocumentClient.from(client);
+const queryAll = createQueryAll(dynamodb, QueryCommand);
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 
+// Registry of users with recurring transactions, walked by the daily scheduler
+const RECURRING_USERS_PK = 'SYSTEM#RECURRING_USERS';
+
+// Upper bound on missed occurrences posted for one item in a single run
+const MAX_CATCH_UP_OCCURRENCES = 400;
+
 const corsHeaders = {
   'Content-Type': 'application/json',
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-User-ID'
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
 };
 
 const createResponse = (statusCode, body) => ({
@@ -25,22 +92,6 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-const extractUserId = (event) => {
-  // Try X-User-ID header first
-  const userIdHeader = event.headers['X-User-ID'] || event.headers['x-user-id'];
-  if (userIdHeader) {
-    return userIdHeader;
-  }
-  
-  // Try Authorization Bearer token
-  const authHeader = event.headers['Authorization'] || event.headers['authorization'];
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
-  }
-  
-  return null;
-};
-
 exports.handler = async (event) => {
   console.log('Event:', JSON.stringify(event, null, 2));
   
@@ -51,11 +102,8 @@ exports.handler = async (event) => {
   try {
     const { httpMethod, pathParameters, resource } = event;
     
-    // Extract and validate user ID
-    const userId = extractUserId(event);
-    if (!userId) {
-      return createResponse(401, { error: 'Unauthorized: User ID required' });
-    }
+    const access = await authorizeRequest(event, getItem);
+    const userId = access.ownerId;
     
     console.log('Processing recurring transactions request for user:', userId);
     
@@ -64,7 +112,7 @@ exports.handler = async (event) => {
       if (httpMethod === 'GET') {
         return await getAllRecurringTransactions(userId);
       } else if (httpMethod === 'POST') {
-        return await createRecurringTransaction(JSON.parse(event.body), userId);
+        return await createRecurringTransaction(validate(recurringSchema, parseBody(event.body)), userId, access.memberId);
       }
     }
     
@@ -73,7 +121,7 @@ exports.handler = async (event) => {
       if (httpMethod === 'GET') {
         return await getRecurringTransaction(id, userId);
       } else if (httpMethod === 'PUT') {
-        return await updateRecurringTransaction(id, JSON.parse(event.body), userId);
+        return await updateRecurringTransaction(id, validate(recurringSchema, parseBody(event.body), { partial: true }), userId);
       } else if (httpMethod === 'DELETE') {
         return await deleteRecurringTransaction(id, userId);
       }
@@ -86,10 +134,17 @@ exports.handler = async (event) => {
       }
     }
     
+    if (resource === '/api/recurring/{id}/skip') {
+      const { id } = pathParameters;
+      if (httpMethod === 'POST') {
+        return await skipOccurrence(id, validate(occurrenceSchema, parseBody(event.body)), userId);
+      }
+    }
+    
     if (resource === '/api/recurring/{id}/execute') {
       const { id } = pathParameters;
       if (httpMethod === 'POST') {
-        return await executeRecurringTransaction(id, userId);
+        return await executeRecurringTransaction(id, validate(occurrenceSchema, parseBody(event.body)), userId, access.memberId);
       }
     }
     
@@ -101,8 +156,8 @@ exports.handler = async (event) => {
     
     if (resource === '/api/recurring/upcoming') {
       if (httpMethod === 'GET') {
-        const days = event.queryStringParameters?.days || 7;
-        return await getUpcomingTransactions(parseInt(days), userId);
+        const { days = 7 } = validate(upcomingQuerySchema, event.queryStringParameters || {});
+        return await getUpcomingTransactions(days, userId);
       }
     }
     
@@ -110,81 +165,98 @@ exports.handler = async (event) => {
     
   } catch (error) {
     console.error('Error:', error);
+    if (error.statusCode) {
+      return createResponse(error.statusCode, errorBody(error));
+    }
     return createResponse(500, { error: 'Internal server error', details: error.message });
   }
 };
 
 // Get all recurring transactions - USER FILTERED
 async function getAllRecurringTransactions(userId) {
-  const params = {
+  // Every recurring item (active, paused or completed) is on the RECURRING_ACTIVE index
+  const items = await queryAll({
     TableName: TABLE_NAME,
-    FilterExpression: 'begins_with(PK, :pk)',
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk',
     ExpressionAttributeValues: {
-      ':pk': `USER#${userId}#RECURRING#`
+      ':gsi1pk': `USER#${userId}#RECURRING_ACTIVE`
     }
-  };
-  
-  const result = await dynamodb.send(new ScanCommand(params));
+  });
   
-  const transactions = result.Items?.map(formatRecurringTransaction) || [];
+  const transactions = items.map(formatRecurringTransaction);
   
   console.log(`Retrieved ${transactions.length} recurring transactions for user ${userId}`);
   return createResponse(200, transactions);
 }
 
 // Create new recurring transaction - USER SCOPED
-async function createRecurringTransaction(data, userId) {
+async function createRecurringTransaction(data, userId, memberId) {
   const {
     name,
     amount,
+    currency, // ISO 4217, defaults to the user's base currency
     category,
     type, // 'income' or 'expense'
-    frequency, // 'daily', 'weekly', 'monthly', 'yearly'
+    frequency, // 'daily', 'weekly', 'biweekly', 'semimonthly', 'monthly', 'quarterly', 'yearly'
     start_date,
     end_date = null,
+    max_occurrences = null, // number of transactions to post before the series completes
     description = '',
     is_active = true
   } = data;
   
-  // Validation
-  if (!name || !amount || !category || !type || !frequency || !start_date) {
-    return createResponse(400, { 
-      error: 'Missing required fields: name, amount, category, type, frequency, start_date' 
-    });
+  // Schedule comes from frequency, an rrule string or a recurrence object
+  if (!(frequency || data.rrule || data.recurrence)) {
+    throw validationError([{ field: 'frequency', message: 'is required (or provide rrule or recurrence)' }]);
   }
   
-  if (!['income', 'expense'].includes(type)) {
-    return createResponse(400, { error: 'Type must be "income" or "expense"' });
+  const limitsError = validateLimits(end_date, max_occurrences, start_date);
+  if (limitsError) {
+    return createResponse(400, { error: limitsError });
   }
   
-  if (!['daily', 'weekly', 'monthly', 'yearly'].includes(frequency)) {
-    return createResponse(400, { error: 'Frequency must be daily, weekly, monthly, or yearly' });
-  }
+  const recurrence = normalizeRecurrence(data);
+  
+  const baseCurrency = await getBaseCurrency(userId);
+  await requireExchangeRate(currency, baseCurrency, queryExchangeRates);
   
   const id = `recurring-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   const timestamp = new Date().toISOString();
+  const status = is_active ? 'active' : 'paused';
   
-  // Calculate next execution date
-  const nextExecution = data.next_execution || start_date;
+  // Calculate next execution date - the first occurrence of the rule on or after start_date
+  const nextExecution = data.next_execution ||
+    getFirstScheduledDate({ recurrence, start_date, end_date, skipped_dates: [] }, start_date);
+  
+  if (!nextExecution || !isValidDate(nextExecution)) {
+    return createResponse(400, { error: 'Recurrence rule produces no occurrences between start_date and end_date' });
+  }
   
   const recurringTransaction = {
     PK: `USER#${userId}#RECURRING#${id}`,
     SK: 'METADATA',
-    GSI1PK: `USER#${userId}#RECURRING_ACTIVE`,
-    GSI1SK: is_active ? `${nextExecution}#${id}` : `INACTIVE#${id}`,
+    ...getRecurringIndexKeys(userId, { id, status, next_execution: nextExecution }),
     id,
     name,
-    amount: parseFloat(amount),
+    amount,
+    currency: currency || baseCurrency,
     category,
     type,
-    frequency,
+    frequency: frequency || 'custom',
+    recurrence,
     start_date,
     end_date,
+    max_occurrences,
+    skipped_dates: [],
     description,
+    status,
     is_active,
     next_execution: nextExecution,
     last_executed: null,
     execution_count: 0,
+    completed_at: null,
+    created_by: memberId,
     created_at: timestamp,
     updated_at: timestamp,
     user_id: userId
@@ -195,6 +267,8 @@ async function createRecurringTransaction(data, userId) {
     Item: recurringTransaction
   }));
   
+  await registerRecurringUser(userId);
+  
   console.log(`Created recurring transaction ${id} for user ${userId}`);
   
   return createResponse(201, {
@@ -225,6 +299,12 @@ async function getRecurringTransaction(id, userId) {
 
 // Update recurring transaction - USER FILTERED
 async function updateRecurringTransaction(id, data, userId) {
+  const existing = await getRecurringTransactionItem(id, userId);
+  
+  if (!existing) {
+    return createResponse(404, { error: 'Recurring transaction not found' });
+  }
+  
   const timestamp = new Date().toISOString();
   
   // Build update expression dynamically
@@ -242,7 +322,13 @@ async function updateRecurringTransaction(id, data, userId) {
   
   if (data.amount !== undefined) {
     updateExpression += ', amount = :amount';
-    expressionAttributeValues[':amount'] = parseFloat(data.amount);
+    expressionAttributeValues[':amount'] = data.amount;
+  }
+  
+  if (data.currency !== undefined) {
+    await requireExchangeRate(data.currency, await getBaseCurrency(userId), queryExchangeRates);
+    updateExpression += ', currency = :currency';
+    expressionAttributeValues[':currency'] = data.currency;
   }
   
   if (data.category !== undefined) {
@@ -256,19 +342,43 @@ async function updateRecurringTransaction(id, data, userId) {
     expressionAttributeValues[':type'] = data.type;
   }
   
-  if (data.frequency !== undefined) {
-    updateExpression += ', frequency = :frequency';
-    expressionAttributeValues[':frequency'] = data.frequency;
-  }
+  // Item as it will look after this update, used to derive schedule and status
+  const merged = { ...existing };
   
-  if (data.start_date !== undefined) {
-    updateExpression += ', start_date = :start_date';
-    expressionAttributeValues[':start_date'] = data.start_date;
+  // Schedule changes re-validate the rule and re-derive next_execution from it
+  const scheduleChanged = data.frequency !== undefined || data.rrule !== undefined ||
+    data.recurrence !== undefined || data.start_date !== undefined;
+  const limitsChanged = data.end_date !== undefined || data.max_occurrences !== undefined;
+  
+  if (scheduleChanged) {
+    const startDate = data.start_date !== undefined ? data.start_date : existing.start_date;
+    if (!isValidDate(startDate)) {
+      return createResponse(400, { error: 'start_date must be a valid YYYY-MM-DD date' });
+    }
+    
+    const ruleChanged = data.frequency !== undefined || data.rrule !== undefined || data.recurrence !== undefined;
+    merged.recurrence = ruleChanged ? normalizeRecurrence(data) : getItemRecurrence(existing);
+    merged.frequency = ruleChanged ? (data.frequency || 'custom') : existing.frequency;
+    merged.start_date = startDate;
+    
+    updateExpression += ', frequency = :frequency, recurrence = :recurrence, start_date = :start_date';
+    expressionAttributeValues[':frequency'] = merged.frequency;
+    expressionAttributeValues[':recurrence'] = merged.recurrence;
+    expressionAttributeValues[':start_date'] = startDate;
   }
   
-  if (data.end_date !== undefined) {
-    updateExpression += ', end_date = :end_date';
-    expressionAttributeValues[':end_date'] = data.end_date;
+  if (limitsChanged) {
+    merged.end_date = data.end_date !== undefined ? data.end_date : existing.end_date;
+    merged.max_occurrences = data.max_occurrences !== undefined ? data.max_occurrences : existing.max_occurrences;
+    
+    const limitsError = validateLimits(merged.end_date, merged.max_occurrences, merged.start_date);
+    if (limitsError) {
+      return createResponse(400, { error: limitsError });
+    }
+    
+    updateExpression += ', end_date = :end_date, max_occurrences = :max_occurrences';
+    expressionAttributeValues[':end_date'] = merged.end_date;
+    expressionAttributeValues[':max_occurrences'] = merged.max_occurrences;
   }
   
   if (data.description !== undefined) {
@@ -276,17 +386,50 @@ async function updateRecurringTransaction(id, data, userId) {
     expressionAttributeValues[':description'] = data.description;
   }
   
-  if (data.is_active !== undefined) {
-    updateExpression += ', is_active = :is_active';
-    expressionAttributeValues[':is_active'] = data.is_active;
+  const previousStatus = getStatus(existing);
+  let status = data.is_active !== undefined ? (data.is_active ? 'active' : 'paused') : previousStatus;
+  
+  // A completed series reopens when its schedule or limits change to allow more occurrences
+  if (previousStatus === 'completed' && data.is_active !== false && (scheduleChanged || limitsChanged || data.is_active === true)) {
+    status = 'active';
+  }
+  
+  let nextExecution = data.next_execution;
+  
+  if (nextExecution === undefined && (scheduleChanged || (previousStatus === 'completed' && status === 'active'))) {
+    nextExecution = existing.last_executed
+      ? getNextScheduledDate(merged, existing.last_executed)
+      : getFirstScheduledDate(merged, merged.start_date);
+    if (!nextExecution && scheduleChanged) {
+      return createResponse(400, { error: 'Recurrence rule produces no further occurrences' });
+    }
+  }
+  
+  if (nextExecution && !isValidDate(nextExecution)) {
+    return createResponse(400, { error: 'next_execution must be a valid YYYY-MM-DD date' });
+  }
+  
+  // Past end_date or out of occurrences: the series is complete rather than paused
+  const effectiveNext = nextExecution !== undefined ? nextExecution : existing.next_execution;
+  if (status !== 'paused' && (!effectiveNext || hasReachedLimits(merged, effectiveNext))) {
+    status = 'completed';
+    nextExecution = null;
   }
   
   // CRITICAL FIX: Add next_execution update
-  if (data.next_execution !== undefined) {
+  if (nextExecution !== undefined) {
     updateExpression += ', next_execution = :next_execution';
-    expressionAttributeValues[':next_execution'] = data.next_execution;
+    expressionAttributeValues[':next_execution'] = nextExecution;
   }
   
+  // Keep status, is_active and the RECURRING_ACTIVE index sort key in step
+  updateExpression += ', #status = :status, is_active = :is_active, completed_at = :completed_at, GSI1SK = :gsi1sk';
+  expressionAttributeNames['#status'] = 'status';
+  expressionAttributeValues[':status'] = status;
+  expressionAttributeValues[':is_active'] = status === 'active';
+  expressionAttributeValues[':completed_at'] = status === 'completed' ? (existing.completed_at || timestamp) : null;
+  expressionAttributeValues[':gsi1sk'] = getRecurringIndexSortKey(id, status, nextExecution !== undefined ? nextExecution : existing.next_execution);
+  
   const params = {
     TableName: TABLE_NAME,
     Key: {
@@ -311,6 +454,8 @@ async function updateRecurringTransaction(id, data, userId) {
     return createResponse(404, { error: 'Recurring transaction not found' });
   }
   
+  await registerRecurringUser(userId);
+  
   console.log(`Updated recurring transaction ${id} for user ${userId}`);
   
   return createResponse(200, {
@@ -358,7 +503,14 @@ async function toggleRecurringTransaction(id, userId) {
   }
   
   const currentTransaction = getResult.Items[0];
+  
+  // Completed series have nothing left to run - pausing/resuming doesn't apply
+  if (getStatus(currentTransaction) === 'completed') {
+    return createResponse(400, { error: 'Recurring transaction is completed; extend end_date or max_occurrences to resume it' });
+  }
+  
   const newActiveStatus = !currentTransaction.is_active;
+  const newStatus = newActiveStatus ? 'active' : 'paused';
   
   const updateParams = {
     TableName: TABLE_NAME,
@@ -366,9 +518,14 @@ async function toggleRecurringTransaction(id, userId) {
       PK: `USER#${userId}#RECURRING#${id}`,
       SK: 'METADATA'
     },
-    UpdateExpression: 'SET is_active = :is_active, updated_at = :timestamp',
+    UpdateExpression: 'SET #status = :status, is_active = :is_active, GSI1SK = :gsi1sk, updated_at = :timestamp',
+    ExpressionAttributeNames: {
+      '#status': 'status'
+    },
     ExpressionAttributeValues: {
+      ':status': newStatus,
       ':is_active': newActiveStatus,
+      ':gsi1sk': getRecurringIndexSortKey(id, newStatus, currentTransaction.next_execution),
       ':timestamp': new Date().toISOString()
     },
     ReturnValues: 'ALL_NEW'
@@ -376,6 +533,10 @@ async function toggleRecurringTransaction(id, userId) {
   
   const result = await dynamodb.send(new UpdateCommand(updateParams));
   
+  if (newActiveStatus) {
+    await registerRecurringUser(userId);
+  }
+  
   console.log(`Toggled recurring transaction ${id} to ${newActiveStatus ? 'active' : 'inactive'} for user ${userId}`);
   
   return createResponse(200, {
@@ -385,83 +546,61 @@ async function toggleRecurringTransaction(id, userId) {
 }
 
 // Execute specific recurring transaction - USER FILTERED
-async function executeRecurringTransaction(id, userId) {
-  // Get recurring transaction - USER FILTERED
-  const params = {
-    TableName: TABLE_NAME,
-    KeyConditionExpression: 'PK = :pk',
-    ExpressionAttributeValues: {
-      ':pk': `USER#${userId}#RECURRING#${id}`
-    }
-  };
-  
-  const result = await dynamodb.send(new QueryCommand(params));
+// Executes the occurrence at next_execution, or the given occurrence_date. Replaying an
+// occurrence that was already executed returns its transaction instead of posting again.
+async function executeRecurringTransaction(id, data, userId, memberId) {
+  const recurringTransaction = await getRecurringTransactionItem(id, userId);
   
-  if (!result.Items || result.Items.length === 0) {
+  if (!recurringTransaction) {
     return createResponse(404, { error: 'Recurring transaction not found' });
   }
   
-  const recurringTransaction = result.Items[0];
+  const status = getStatus(recurringTransaction);
+  const occurrenceDate = data.occurrence_date || recurringTransaction.next_execution;
   
-  if (!recurringTransaction.is_active) {
-    return createResponse(400, { error: 'Cannot execute inactive recurring transaction' });
+  if (data.occurrence_date && (status === 'completed' || occurrenceDate < recurringTransaction.next_execution)) {
+    const existing = await getOccurrenceTransaction(recurringTransaction, occurrenceDate, userId);
+    if (existing) {
+      return createExecutionResponse(existing, recurringTransaction.next_execution, true);
+    }
+    if (status !== 'completed') {
+      return createResponse(409, { error: `Occurrence ${occurrenceDate} was not executed and is no longer scheduled` });
+    }
   }
   
-  // Create actual transaction - USER SCOPED
-  const transactionId = `txn-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  const timestamp = new Date().toISOString();
-  const month = timestamp.substring(0, 7); // YYYY-MM format
+  if (status === 'completed') {
+    return createResponse(400, { error: getCompletedMessage(recurringTransaction) });
+  }
   
-  const transaction = {
-    PK: `USER#${userId}#TRANSACTION`,
-    SK: `TRANSACTION#${transactionId}`,
-    GSI1PK: `MONTH#${month}`,
-    GSI1SK: `${recurringTransaction.category}#${transactionId}`,
-    id: transactionId,
-    amount: recurringTransaction.amount,
-    category: recurringTransaction.category,
-    note: `${recurringTransaction.description} (Auto-generated from: ${recurringTransaction.name})`,
-    type: recurringTransaction.type,
-    date: timestamp.split('T')[0],
-    recurring_transaction_id: id,
-    created_at: timestamp,
-    user_id: userId
-  };
+  if (occurrenceDate > recurringTransaction.next_execution) {
+    return createResponse(400, { error: `Occurrence ${occurrenceDate} is not due yet; next occurrence is ${recurringTransaction.next_execution}` });
+  }
   
-  // Update recurring transaction
-  const nextExecution = calculateNextExecution(timestamp.split('T')[0], recurringTransaction.frequency);
+  if (!recurringTransaction.is_active) {
+    return createResponse(400, { error: 'Cannot execute inactive recurring transaction' });
+  }
   
-  await Promise.all([
-    // Create the transaction
-    dynamodb.send(new PutCommand({
-      TableName: TABLE_NAME,
-      Item: transaction
-    })),
-    
-    // Update recurring transaction
-    dynamodb.send(new UpdateCommand({
-      TableName: TABLE_NAME,
-      Key: {
-        PK: `USER#${userId}#RECURRING#${id}`,
-        SK: 'METADATA'
-      },
-      UpdateExpression: 'SET last_executed = :last_executed, next_execution = :next_execution, execution_count = execution_count + :one, updated_at = :timestamp',
-      ExpressionAttributeValues: {
-        ':last_executed': timestamp.split('T')[0],
-        ':next_execution': nextExecution,
-        ':one': 1,
-        ':timestamp': timestamp
-      }
-    }))
-  ]);
+  // Limits may have been reached without an execution noticing (e.g. end_date passed while idle)
+  if (hasReachedLimits(recurringTransaction, occurrenceDate)) {
+    const completed = await completeRecurringTransaction(recurringTransaction, userId);
+    return createResponse(400, { error: getCompletedMessage(completed) });
+  }
   
-  console.log(`Executed recurring transaction ${id} for user ${userId}, created transaction ${transactionId}`);
+  const { transaction, nextExecution, replayed } = await executeOccurrence(recurringTransaction, userId, memberId);
   
+  return createExecutionResponse(transaction, nextExecution, replayed);
+}
+
+function createExecutionResponse(transaction, nextExecution, replayed) {
   return createResponse(200, {
-    message: 'Recurring transaction executed successfully',
+    message: replayed
+      ? 'Recurring transaction occurrence was already executed'
+      : 'Recurring transaction executed successfully',
+    already_executed: replayed,
     transaction: {
       id: transaction.id,
       amount: transaction.amount,
+      currency: getCurrency(transaction),
       category: transaction.category,
       note: transaction.note,
       type: transaction.type,
@@ -472,51 +611,362 @@ async function executeRecurringTransaction(id, userId) {
   });
 }
 
-// Execute all due transactions - USER FILTERED
-async function executeDueTransactions(userId) {
-  const today = new Date().toISOString().split('T')[0];
+// Skip a single occurrence without pausing the series - USER FILTERED
+// Skipped occurrences post nothing and don't count toward max_occurrences.
+async function skipOccurrence(id, data, userId) {
+  const item = await getRecurringTransactionItem(id, userId);
+  
+  if (!item) {
+    return createResponse(404, { error: 'Recurring transaction not found' });
+  }
+  
+  const status = getStatus(item);
+  
+  if (status === 'completed') {
+    return createResponse(400, { error: getCompletedMessage(item) });
+  }
+  
+  const occurrenceDate = data.occurrence_date || item.next_execution;
+  
+  if (occurrenceDate < item.next_execution) {
+    return createResponse(400, { error: `Occurrence ${occurrenceDate} is in the past; next occurrence is ${item.next_execution}` });
+  }
+  
+  const isScheduled = expandOccurrences(getItemRecurrence(item), item.start_date, { from: occurrenceDate, to: occurrenceDate }).length > 0;
+  if (!isScheduled || hasReachedLimits(item, occurrenceDate, 0)) {
+    return createResponse(400, { error: `${occurrenceDate} is not a scheduled occurrence of this recurring transaction` });
+  }
+  
+  const skippedDates = item.skipped_dates || [];
+  if (skippedDates.includes(occurrenceDate)) {
+    return createResponse(200, {
+      message: `Occurrence ${occurrenceDate} is already skipped`,
+      transaction: formatRecurringTransaction(item)
+    });
+  }
+  
+  const timestamp = new Date().toISOString();
+  let updateExpression = 'SET skipped_dates = list_append(if_not_exists(skipped_dates, :empty), :skipped), updated_at = :timestamp';
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {
+    ':empty': [],
+    ':skipped': [occurrenceDate],
+    ':timestamp': timestamp
+  };
+  
+  // Skipping the next occurrence advances the schedule past it
+  if (occurrenceDate === item.next_execution) {
+    const updated = { ...item, skipped_dates: [...skippedDates, occurrenceDate] };
+    const candidate = getNextScheduledDate(updated, occurrenceDate);
+    const seriesEnded = !candidate || hasReachedLimits(updated, candidate);
+    const nextStatus = seriesEnded ? 'completed' : status;
+    const nextExecution = seriesEnded ? null : candidate;
+    
+    updateExpression += ', next_execution = :next_execution, #status = :status, is_active = :is_active, completed_at = :completed_at, GSI1SK = :gsi1sk';
+    expressionAttributeNames['#status'] = 'status';
+    expressionAttributeValues[':next_execution'] = nextExecution;
+    expressionAttributeValues[':status'] = nextStatus;
+    expressionAttributeValues[':is_active'] = nextStatus === 'active';
+    expressionAttributeValues[':completed_at'] = seriesEnded ? timestamp : null;
+    expressionAttributeValues[':gsi1sk'] = getRecurringIndexSortKey(id, nextStatus, nextExecution);
+  }
+  
+  expressionAttributeValues[':expected'] = item.next_execution;
   
-  // Get all active recurring transactions that are due - USER FILTERED
   const params = {
     TableName: TABLE_NAME,
-    FilterExpression: 'begins_with(PK, :pk) AND is_active = :active AND next_execution <= :today',
-    ExpressionAttributeValues: {
-      ':pk': `USER#${userId}#RECURRING#`,
-      ':active': true,
-      ':today': today
-    }
+    Key: {
+      PK: `USER#${userId}#RECURRING#${id}`,
+      SK: 'METADATA'
+    },
+    UpdateExpression: updateExpression,
+    ConditionExpression: 'next_execution = :expected',
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW'
   };
   
-  const result = await dynamodb.send(new ScanCommand(params));
+  if (Object.keys(expressionAttributeNames).length > 0) {
+    params.ExpressionAttributeNames = expressionAttributeNames;
+  }
   
-  if (!result.Items || result.Items.length === 0) {
+  let result;
+  try {
+    result = await dynamodb.send(new UpdateCommand(params));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createResponse(409, { error: `Recurring transaction ${id} changed while skipping ${occurrenceDate}; reload and try again` });
+    }
+    throw error;
+  }
+  
+  console.log(`Skipped occurrence ${occurrenceDate} of recurring transaction ${id} for user ${userId}`);
+  
+  return createResponse(200, {
+    message: `Occurrence ${occurrenceDate} skipped`,
+    transaction: formatRecurringTransaction(result.Attributes)
+  });
+}
+
+// Execute all due transactions - USER FILTERED
+async function executeDueTransactions(userId) {
+  const today = new Date().toISOString().split('T')[0];
+  
+  await registerRecurringUser(userId);
+  
+  const executed = await executeDueForUser(userId, today);
+  
+  if (executed.length === 0) {
     console.log(`No recurring transactions due for execution for user ${userId}`);
     return createResponse(200, { message: 'No recurring transactions due for execution', executed_count: 0 });
   }
   
-  const executedTransactions = [];
+  return createResponse(200, {
+    message: `Executed ${executed.length} recurring transactions`,
+    executed_count: executed.length,
+    executed_transactions: executed.map(occurrence => occurrence.name),
+    executed_occurrences: executed
+  });
+}
+
+// Scheduled (EventBridge) entry point - executes due recurring transactions for every user
+exports.scheduledHandler = async (event) => {
+  console.log('Scheduled recurring execution event:', JSON.stringify(event));
+  
+  const today = new Date().toISOString().split('T')[0];
+  let lastEvaluatedKey;
+  let userCount = 0;
+  let executedCount = 0;
+  let failedUsers = 0;
   
-  for (const recurringTransaction of result.Items) {
+  do {
+    const result = await dynamodb.send(new QueryCommand({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'PK = :pk',
+      ExpressionAttributeValues: {
+        ':pk': RECURRING_USERS_PK
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+    
+    for (const registration of result.Items || []) {
+      userCount++;
+      try {
+        const executed = await executeDueForUser(registration.user_id, today);
+        executedCount += executed.length;
+      } catch (error) {
+        // One user's failure shouldn't stop everyone else's rent from posting
+        failedUsers++;
+        console.error(`Scheduled execution failed for user ${registration.user_id}:`, error);
+      }
+    }
+    
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  console.log(`Scheduled run for ${today}: ${executedCount} transactions executed across ${userCount} users, ${failedUsers} failed`);
+  
+  return { date: today, users: userCount, executed: executedCount, failed_users: failedUsers };
+};
+
+// Posts every missed occurrence of each due item, one transaction per occurrence - USER FILTERED
+async function executeDueForUser(userId, today) {
+  // Active items sort by next_execution on RECURRING_ACTIVE; inactive ones sort after all dates
+  const dueItems = await queryAll({
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk AND GSI1SK <= :upTo',
+    FilterExpression: 'is_active = :active AND next_execution <= :today',
+    ExpressionAttributeValues: {
+      ':gsi1pk': `USER#${userId}#RECURRING_ACTIVE`,
+      ':upTo': `${today}#\uffff`,
+      ':active': true,
+      ':today': today
+    }
+  });
+  
+  const executed = [];
+  
+  for (const item of dueItems) {
+    let current = item;
+    let occurrences = 0;
+    
     try {
-      const executeResult = await executeRecurringTransaction(recurringTransaction.id, userId);
-      if (executeResult.statusCode === 200) {
-        executedTransactions.push(recurringTransaction.name);
+      while (current.next_execution <= today && occurrences < MAX_CATCH_UP_OCCURRENCES) {
+        if (hasReachedLimits(current, current.next_execution)) {
+          await completeRecurringTransaction(current, userId);
+          break;
+        }
+        
+        const { transaction, nextExecution, replayed } = await executeOccurrence(current, userId);
+        
+        if (!replayed) {
+          executed.push({
+            recurring_transaction_id: current.id,
+            name: current.name,
+            transaction_id: transaction.id,
+            date: transaction.date
+          });
+        }
+        
+        // Stop at the end of the series; a schedule moved backwards by hand could otherwise replay forever
+        if (!nextExecution || nextExecution <= current.next_execution) {
+          break;
+        }
+        
+        current = { ...current, next_execution: nextExecution, execution_count: (current.execution_count || 0) + 1 };
+        occurrences++;
       }
     } catch (error) {
-      console.error(`Failed to execute recurring transaction ${recurringTransaction.id} for user ${userId}:`, error);
+      console.error(`Failed to execute recurring transaction ${item.id} for user ${userId}:`, error);
+    }
+  }
+  
+  console.log(`Executed ${executed.length} recurring occurrences from ${dueItems.length} due items for user ${userId}`);
+  return executed;
+}
+
+// Writes the transaction for the item's next_execution occurrence and advances the schedule
+// in one DynamoDB transaction. The transaction is keyed by recurring id + occurrence date and
+// the schedule advance is conditioned on the expected next_execution, so each occurrence is
+// posted exactly once no matter how many callers race or retry. Scheduled occurrences are
+// credited to the member who set up the item, manual ones to the member who ran them.
+async function executeOccurrence(recurringTransaction, userId, createdBy = recurringTransaction.created_by || null) {
+  const { id } = recurringTransaction;
+  const occurrenceDate = recurringTransaction.next_execution;
+  
+  // Create actual transaction - USER SCOPED, dated on the occurrence day
+  const transactionId = getOccurrenceTransactionId(id, occurrenceDate);
+  const timestamp = new Date().toISOString();
+  
+  const transaction = {
+    PK: `USER#${userId}#TRANSACTION`,
+    SK: `TRANSACTION#${transactionId}`,
+    ...getTransactionIndexKeys(userId, { date: occurrenceDate, category: recurringTransaction.category, id: transactionId }),
+    id: transactionId,
+    amount: roundMoney(recurringTransaction.amount),
+    currency: getCurrency(recurringTransaction),
+    category: recurringTransaction.category,
+    note: `${recurringTransaction.description} (Auto-generated from: ${recurringTransaction.name})`,
+    type: recurringTransaction.type,
+    date: occurrenceDate,
+    recurring_transaction_id: id,
+    created_by: createdBy,
+    created_at: timestamp,
+    user_id: userId
+  };
+  
+  // Advance from the occurrence, not from today, so missed periods stay on schedule.
+  // A rule that has run out (COUNT/UNTIL), end_date or max_occurrences completes the item.
+  const executionCount = (recurringTransaction.execution_count || 0) + 1;
+  const candidate = getNextScheduledDate(recurringTransaction, occurrenceDate);
+  const seriesEnded = !candidate || hasReachedLimits(recurringTransaction, candidate, executionCount);
+  const nextExecution = seriesEnded ? null : candidate;
+  const nextStatus = seriesEnded ? 'completed' : 'active';
+  
+  try {
+    await dynamodb.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          // Create the transaction
+          Put: {
+            TableName: TABLE_NAME,
+            Item: transaction,
+            ConditionExpression: 'attribute_not_exists(PK)'
+          }
+        },
+        {
+          // Advance the recurring transaction, only from the occurrence we just posted
+          Update: {
+            TableName: TABLE_NAME,
+            Key: {
+              PK: `USER#${userId}#RECURRING#${id}`,
+              SK: 'METADATA'
+            },
+            UpdateExpression: 'SET last_executed = :last_executed, next_execution = :next_execution, #status = :status, is_active = :still_active, completed_at = :completed_at, GSI1SK = :gsi1sk, execution_count = execution_count + :one, updated_at = :timestamp',
+            ConditionExpression: 'next_execution = :expected AND is_active = :active',
+            ExpressionAttributeNames: {
+              '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+              ':last_executed': occurrenceDate,
+              ':next_execution': nextExecution,
+              ':expected': occurrenceDate,
+              ':active': true,
+              ':status': nextStatus,
+              ':still_active': !seriesEnded,
+              ':completed_at': seriesEnded ? timestamp : null,
+              ':gsi1sk': getRecurringIndexSortKey(id, nextStatus, nextExecution),
+              ':one': 1,
+              ':timestamp': timestamp
+            }
+          }
+        }
+      ]
+    }));
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') {
+      throw error;
+    }
+    
+    // Someone else already posted this occurrence (retry or concurrent run)
+    const existing = await getOccurrenceTransaction(recurringTransaction, occurrenceDate, userId);
+    if (!existing) {
+      throw Object.assign(
+        new Error(`Recurring transaction ${id} changed while executing occurrence ${occurrenceDate}; reload and try again`),
+        { statusCode: 409 }
+      );
     }
+    
+    const latest = await getRecurringTransactionItem(id, userId);
+    console.log(`Occurrence ${occurrenceDate} of recurring transaction ${id} was already executed for user ${userId}`);
+    
+    return { transaction: existing, nextExecution: latest?.next_execution || nextExecution, replayed: true };
   }
   
-  console.log(`Executed ${executedTransactions.length} recurring transactions for user ${userId}`);
+  console.log(`Executed recurring transaction ${id} for user ${userId}, created transaction ${transactionId} dated ${occurrenceDate}`);
   
-  return createResponse(200, {
-    message: `Executed ${executedTransactions.length} recurring transactions`,
-    executed_count: executedTransactions.length,
-    executed_transactions: executedTransactions
-  });
+  return { transaction, nextExecution, replayed: false };
+}
+
+async function getBaseCurrency(userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: getUserSettingsKeys(userId)
+  }));
+  return result.Item?.base_currency || DEFAULT_CURRENCY;
+}
+
+async function queryExchangeRates(currency) {
+  const items = [];
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamodb.send(new QueryCommand({
+      TableName: TABLE_NAME,
+      ...getExchangeRateQuery(currency),
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+    items.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return items;
+}
+
+async function getOccurrenceTransaction(recurringTransaction, occurrenceDate, userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: {
+      PK: `USER#${userId}#TRANSACTION`,
+      SK: `TRANSACTION#${getOccurrenceTransactionId(recurringTransaction.id, occurrenceDate)}`
+    }
+  }));
+  
+  return result.Item || null;
 }
 
 // Get upcoming transactions - USER FILTERED
+// Lists every occurrence in the window, so a weekly item shows up once per week
 async function getUpcomingTransactions(days = 7, userId) {
   const today = new Date();
   const futureDate = new Date();
@@ -525,77 +975,219 @@ async function getUpcomingTransactions(days = 7, userId) {
   const todayStr = today.toISOString().split('T')[0];
   const futureDateStr = futureDate.toISOString().split('T')[0];
   
-  const params = {
+  // Active items sort by next_execution, so the window is a key range
+  const items = await queryAll({
     TableName: TABLE_NAME,
-    FilterExpression: 'begins_with(PK, :pk) AND is_active = :active AND next_execution >= :today AND next_execution <= :future',
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk AND GSI1SK <= :upTo',
+    FilterExpression: 'is_active = :active',
     ExpressionAttributeValues: {
-      ':pk': `USER#${userId}#RECURRING#`,
-      ':active': true,
-      ':today': todayStr,
-      ':future': futureDateStr
+      ':gsi1pk': `USER#${userId}#RECURRING_ACTIVE`,
+      ':upTo': `${futureDateStr}#\uffff`,
+      ':active': true
     }
-  };
+  });
   
-  const result = await dynamodb.send(new ScanCommand(params));
+  const upcomingTransactions = [];
   
-  const upcomingTransactions = result.Items?.map(item => ({
-    id: item.id,
-    name: item.name,
-    amount: item.amount,
-    category: item.category,
-    type: item.type,
-    frequency: item.frequency,
-    next_execution: item.next_execution,
-    days_until_execution: Math.ceil((new Date(item.next_execution) - today) / (1000 * 60 * 60 * 24))
-  })) || [];
+  for (const item of items) {
+    // Occurrences before next_execution have already been posted
+    const from = item.next_execution > todayStr ? item.next_execution : todayStr;
+    const occurrences = expandItemOccurrences(item, { from, to: futureDateStr });
+    
+    occurrences.forEach(occurrenceDate => {
+      upcomingTransactions.push({
+        id: item.id,
+        name: item.name,
+        amount: roundMoney(item.amount),
+        currency: getCurrency(item),
+        category: item.category,
+        type: item.type,
+        frequency: item.frequency,
+        occurrence_date: occurrenceDate,
+        next_execution: occurrenceDate,
+        days_until_execution: Math.ceil((new Date(occurrenceDate) - new Date(todayStr)) / (1000 * 60 * 60 * 24))
+      });
+    });
+  }
   
   // Sort by next execution date
-  upcomingTransactions.sort((a, b) => new Date(a.next_execution) - new Date(b.next_execution));
+  upcomingTransactions.sort((a, b) => a.occurrence_date.localeCompare(b.occurrence_date));
   
-  console.log(`Retrieved ${upcomingTransactions.length} upcoming transactions for user ${userId}`);
+  console.log(`Retrieved ${upcomingTransactions.length} upcoming occurrences for user ${userId}`);
   return createResponse(200, upcomingTransactions);
 }
 
 // Helper Functions
+async function getRecurringTransactionItem(id, userId) {
+  const result = await dynamodb.send(new QueryCommand({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'PK = :pk AND SK = :sk',
+    ExpressionAttributeValues: {
+      ':pk': `USER#${userId}#RECURRING#${id}`,
+      ':sk': 'METADATA'
+    }
+  }));
+  
+  return result.Items && result.Items.length > 0 ? result.Items[0] : null;
+}
+
+// Idempotent - records that the scheduler should look at this user
+async function registerRecurringUser(userId) {
+  await dynamodb.send(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: {
+      PK: RECURRING_USERS_PK,
+      SK: `USER#${userId}`,
+      user_id: userId,
+      updated_at: new Date().toISOString()
+    }
+  }));
+}
+
+// One transaction id per occurrence makes execution idempotent
+function getOccurrenceTransactionId(recurringId, occurrenceDate) {
+  return `txn-${recurringId}-${occurrenceDate}`;
+}
+
+// Items written before status existed only carry is_active
+function getStatus(item) {
+  return item.status || (item.is_active ? 'active' : 'paused');
+}
+
+function validateLimits(endDate, maxOccurrences, startDate) {
+  if (endDate !== null && endDate !== undefined) {
+    if (!isValidDate(endDate)) {
+      return 'end_date must be a valid YYYY-MM-DD date';
+    }
+    if (startDate && endDate < startDate) {
+      return 'end_date cannot be before start_date';
+    }
+  }
+  
+  if (maxOccurrences !== null && maxOccurrences !== undefined &&
+      (!Number.isInteger(maxOccurrences) || maxOccurrences < 1)) {
+    return 'max_occurrences must be a positive integer';
+  }
+  
+  return null;
+}
+
+// True when an occurrence on the given date may not run: past end_date, or the
+// series has already posted max_occurrences transactions
+function hasReachedLimits(item, occurrenceDate, executionCount = item.execution_count || 0) {
+  if (item.end_date && occurrenceDate > item.end_date) {
+    return true;
+  }
+  return Boolean(item.max_occurrences) && executionCount >= item.max_occurrences;
+}
+
+// Next occurrence after the given date, passing over skipped dates; null past end_date
+function getNextScheduledDate(item, afterDate) {
+  const rule = getItemRecurrence(item);
+  const skipped = item.skipped_dates || [];
+  
+  let occurrence = nextOccurrence(rule, item.start_date, afterDate);
+  while (occurrence && skipped.includes(occurrence)) {
+    occurrence = nextOccurrence(rule, item.start_date, occurrence);
+  }
+  
+  return occurrence && item.end_date && occurrence > item.end_date ? null : occurrence;
+}
+
+function getFirstScheduledDate(item, onOrAfter) {
+  const occurrence = firstOccurrenceOnOrAfter(getItemRecurrence(item), item.start_date, onOrAfter);
+  
+  if (occurrence && (item.skipped_dates || []).includes(occurrence)) {
+    return getNextScheduledDate(item, occurrence);
+  }
+  
+  return occurrence && item.end_date && occurrence > item.end_date ? null : occurrence;
+}
+
+function getCompletedMessage(item) {
+  if (item.max_occurrences && (item.execution_count || 0) >= item.max_occurrences) {
+    return `Recurring transaction completed after ${item.max_occurrences} occurrences; no occurrences remain`;
+  }
+  if (item.end_date) {
+    return `Recurring transaction ended on ${item.end_date}; no occurrences remain`;
+  }
+  return 'Recurring transaction has no occurrences remaining';
+}
+
+// Marks a series completed without posting anything. Conditioned on the schedule we
+// looked at, so a concurrent execution or edit wins.
+async function completeRecurringTransaction(item, userId) {
+  const timestamp = new Date().toISOString();
+  
+  try {
+    const result = await dynamodb.send(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: {
+        PK: `USER#${userId}#RECURRING#${item.id}`,
+        SK: 'METADATA'
+      },
+      UpdateExpression: 'SET #status = :status, is_active = :inactive, next_execution = :none, completed_at = :timestamp, GSI1SK = :gsi1sk, updated_at = :timestamp',
+      ConditionExpression: 'next_execution = :expected',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':status': 'completed',
+        ':inactive': false,
+        ':none': null,
+        ':expected': item.next_execution,
+        ':gsi1sk': getRecurringIndexSortKey(item.id, 'completed', null),
+        ':timestamp': timestamp
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    
+    console.log(`Completed recurring transaction ${item.id} for user ${userId}`);
+    return result.Attributes;
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    return item;
+  }
+}
+
 function formatRecurringTransaction(item) {
   return {
     id: item.id,
     name: item.name,
-    amount: item.amount,
+    amount: roundMoney(item.amount),
+    currency: getCurrency(item),
     category: item.category,
     type: item.type,
     frequency: item.frequency,
+    recurrence: getItemRecurrence(item),
+    rrule: formatRRule(getItemRecurrence(item)),
     start_date: item.start_date,
     end_date: item.end_date,
+    max_occurrences: item.max_occurrences || null,
+    remaining_occurrences: item.max_occurrences
+      ? Math.max(item.max_occurrences - (item.execution_count || 0), 0)
+      : null,
+    skipped_dates: item.skipped_dates || [],
     description: item.description,
+    status: getStatus(item),
     is_active: item.is_active,
     next_execution: item.next_execution,
     last_executed: item.last_executed,
     execution_count: item.execution_count,
+    completed_at: item.completed_at || null,
+    created_by: item.created_by || null,
     created_at: item.created_at,
     updated_at: item.updated_at
   };
 }
 
-function calculateNextExecution(fromDate, frequency) {
-  const date = new Date(fromDate);
-  
-  switch (frequency) {
-    case 'daily':
-      date.setDate(date.getDate() + 1);
-      break;
-    case 'weekly':
-      date.setDate(date.getDate() + 7);
-      break;
-    case 'monthly':
-      date.setMonth(date.getMonth() + 1);
-      break;
-    case 'yearly':
-      date.setFullYear(date.getFullYear() + 1);
-      break;
-    default:
-      throw new Error(`Unknown frequency: ${frequency}`);
-  }
-  
-  return date.toISOString().split('T')[0]; // Return YYYY-MM-DD format
-}
\ No newline at end of file
+async function getItem(key) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: key
+  }));
+  return result.Item || null;
+}
@@ -0,0 +1,122 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const { DEFAULT_CURRENCY, getUserSettingsKeys } = require('./shared/currency');
+const { fields, validate, validationError, parseBody, errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+
+const settingsSchema = {
+  type: 'object',
+  properties: {
+    base_currency: fields.currency,
+    budgeting_mode: fields.budgetingMode
+  }
+};
+
+const client = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(client);
+const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
+};
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: corsHeaders,
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event) => {
+  console.log('Event:', JSON.stringify(event, null, 2));
+
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, {});
+  }
+
+  try {
+    const { httpMethod, resource, body } = event;
+
+    const access = await authorizeRequest(event, getItem);
+    const userId = access.ownerId;
+
+    console.log('Processing settings request for user:', userId);
+
+    if (resource === '/api/settings') {
+      if (httpMethod === 'GET') {
+        return await getSettings(userId);
+      } else if (httpMethod === 'PUT') {
+        return await updateSettings(validate(settingsSchema, parseBody(body)), userId);
+      }
+    }
+
+    return createResponse(404, { error: 'Route not found' });
+
+  } catch (error) {
+    console.error('Error:', error);
+    if (error.statusCode) {
+      return createResponse(error.statusCode, errorBody(error));
+    }
+    return createResponse(500, { error: 'Internal server error', details: error.message });
+  }
+};
+
+// GET /api/settings - USER FILTERED
+async function getSettings(userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: getUserSettingsKeys(userId)
+  }));
+
+  return createResponse(200, formatSettings(result.Item || {}));
+}
+
+// PUT /api/settings - USER FILTERED
+// Budgets, envelopes and goals are amounts in the base currency, so changing it doesn't
+// convert them; only transaction aggregates follow the new currency.
+async function updateSettings(data, userId) {
+  if (Object.keys(data).length === 0) {
+    throw validationError([{ field: 'body', message: 'must include base_currency or budgeting_mode' }]);
+  }
+
+  const timestamp = new Date().toISOString();
+
+  // Only the settings sent are changed
+  const assignments = Object.keys(data).map(name => `${name} = :${name}`);
+  const values = Object.fromEntries(Object.entries(data).map(([name, value]) => [`:${name}`, value]));
+
+  const result = await dynamodb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: getUserSettingsKeys(userId),
+    UpdateExpression: `SET ${assignments.join(', ')}, user_id = :userId, updated_at = :timestamp, created_at = if_not_exists(created_at, :timestamp)`,
+    ExpressionAttributeValues: {
+      ...values,
+      ':userId': userId,
+      ':timestamp': timestamp
+    },
+    ReturnValues: 'ALL_NEW'
+  }));
+
+  console.log(`Updated settings ${Object.keys(data).join(', ')} for user ${userId}`);
+
+  return createResponse(200, formatSettings(result.Attributes));
+}
+
+function formatSettings(item) {
+  return {
+    base_currency: item.base_currency || DEFAULT_CURRENCY,
+    budgeting_mode: item.budgeting_mode || 'envelope',
+    updated_at: item.updated_at || null
+  };
+}
+
+async function getItem(key) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: key
+  }));
+  return result.Item || null;
+}
@@ -0,0 +1,177 @@
+// Request authentication shared by every handler.
+//
+// Requests carry a Cognito token from the stack's user pool as `Authorization: Bearer <jwt>`;
+// ID and access tokens are both accepted. The token's RS256 signature is checked against the
+// pool's published keys (JWKS, fetched once per container and again when a new key id shows
+// up), then its expiry, issuer, token_use and app client. The user id is the token's `sub`
+// claim - nothing the client says about who it is is trusted otherwise.
+//
+// Test mode: with AUTH_MODE=local (refused when NODE_ENV=prod), tokens are instead HS256
+// tokens signed with AUTH_LOCAL_SIGNING_KEY and issued by LOCAL_ISSUER, so handlers can be
+// run and exercised offline. scripts/create-test-token.js mints them.
+
+const { createHmac, createPublicKey, timingSafeEqual, verify } = require('crypto');
+
+const LOCAL_ISSUER = 'spendsmart-local';
+const JWKS_TIMEOUT_MS = 3000;
+// Unknown key ids refetch the JWKS at most this often, so made-up kids can't force a
+// fetch per request
+const JWKS_MIN_REFRESH_MS = 5 * 60 * 1000;
+
+// Keys by kid for the pool's issuer
+let jwksCache = null;
+
+// The caller's user id (verified `sub`), or null when the request isn't authenticated
+async function getAuthenticatedUserId(event) {
+  const headers = event.headers || {};
+  const authHeader = headers['Authorization'] || headers['authorization'];
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  try {
+    const claims = await verifyToken(authHeader.substring(7).trim());
+    return claims.sub;
+  } catch (error) {
+    console.warn('Rejected bearer token:', error.message);
+    return null;
+  }
+}
+
+// Verified claims of a token; throws when it isn't valid for this stack
+async function verifyToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+  const signedData = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  if (isLocalMode()) {
+    verifyLocalSignature(header, signedData, signature);
+    checkClaims(claims, LOCAL_ISSUER);
+    return claims;
+  }
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`unexpected algorithm ${header.alg}`);
+  }
+
+  const issuer = getCognitoIssuer();
+  const key = await getSigningKey(issuer, header.kid);
+  if (!verify('RSA-SHA256', Buffer.from(signedData), key, signature)) {
+    throw new Error('invalid signature');
+  }
+
+  checkClaims(claims, issuer);
+
+  // ID tokens name the app client in aud, access tokens in client_id
+  const clientId = process.env.USER_POOL_CLIENT_ID;
+  if (claims.token_use === 'id' ? claims.aud !== clientId : claims.token_use !== 'access' || claims.client_id !== clientId) {
+    throw new Error('token was not issued to this app client');
+  }
+
+  return claims;
+}
+
+function checkClaims(claims, issuer) {
+  if (claims.iss !== issuer) {
+    throw new Error(`unexpected issuer ${claims.iss}`);
+  }
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+    throw new Error('token expired');
+  }
+  if (typeof claims.sub !== 'string' || claims.sub === '') {
+    throw new Error('token has no subject');
+  }
+}
+
+function isLocalMode() {
+  if (process.env.AUTH_MODE !== 'local') {
+    return false;
+  }
+  if (process.env.NODE_ENV === 'prod') {
+    throw new Error('AUTH_MODE=local is not allowed in prod');
+  }
+  if (!process.env.AUTH_LOCAL_SIGNING_KEY) {
+    throw new Error('AUTH_MODE=local needs AUTH_LOCAL_SIGNING_KEY');
+  }
+  return true;
+}
+
+function verifyLocalSignature(header, signedData, signature) {
+  if (header.alg !== 'HS256') {
+    throw new Error(`unexpected algorithm ${header.alg}`);
+  }
+  const expected = createHmac('sha256', process.env.AUTH_LOCAL_SIGNING_KEY).update(signedData).digest();
+  if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+    throw new Error('invalid signature');
+  }
+}
+
+// https://cognito-idp.<region>.amazonaws.com/<pool id>; the pool id starts with its region
+function getCognitoIssuer() {
+  const userPoolId = process.env.USER_POOL_ID;
+  if (!userPoolId) {
+    throw new Error('USER_POOL_ID is not configured');
+  }
+  return `https://cognito-idp.${userPoolId.split('_')[0]}.amazonaws.com/${userPoolId}`;
+}
+
+async function getSigningKey(issuer, kid) {
+  const stale = !jwksCache || jwksCache.issuer !== issuer;
+  if (stale || (!jwksCache.keys.has(kid) && Date.now() - jwksCache.fetchedAt > JWKS_MIN_REFRESH_MS)) {
+    jwksCache = { issuer, keys: await fetchJwks(issuer), fetchedAt: Date.now() };
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    throw new Error(`unknown signing key ${kid}`);
+  }
+  return key;
+}
+
+async function fetchJwks(issuer) {
+  const response = await fetch(`${issuer}/.well-known/jwks.json`, { signal: AbortSignal.timeout(JWKS_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  return new Map(keys.map(jwk => [jwk.kid, createPublicKey({ key: jwk, format: 'jwk' })]));
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('malformed token');
+  }
+}
+
+// HS256 token for test mode, e.g. signLocalToken({ sub: 'user-1' }, key, 3600)
+function signLocalToken(claims, signingKey, expiresInSeconds = 3600) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signedData = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    iss: LOCAL_ISSUER,
+    token_use: 'id',
+    iat: now,
+    exp: now + expiresInSeconds,
+    ...claims
+  })}`;
+  const signature = createHmac('sha256', signingKey).update(signedData).digest('base64url');
+  return `${signedData}.${signature}`;
+}
+
+module.exports = {
+  LOCAL_ISSUER,
+  getAuthenticatedUserId,
+  verifyToken,
+  signLocalToken
+};
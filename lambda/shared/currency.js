@@ -0,0 +1,201 @@
+// Currencies and exchange rates shared by every handler.
+//
+// Transactions and recurring transactions carry an ISO 4217 `currency`; items written before
+// currencies existed have none and are USD, the only currency the app used to assume. Each
+// user has a base currency (settings item, default USD) that budgets, envelopes and goals
+// are denominated in and that aggregates are converted to.
+//
+// Exchange rates live in the table, not behind an external API, and are loaded from a file
+// with scripts/load-exchange-rates.js. Each rate item says how many units of `currency` one
+// US dollar bought on `date`:
+//   PK SYSTEM#EXCHANGE_RATES / SK <currency>#<YYYY-MM-DD>, { currency, date, rate }
+// An amount dated D uses the most recent rate on or before D (the earliest loaded rate for
+// dates before the table starts). Converted amounts are rounded to the cent, half away from
+// zero, once per amount - then summed in cents like any other amount (see shared/money.js).
+//
+// Writes in a currency that has no stored rate are refused (requireExchangeRate). Items that
+// still can't be converted - stored before rates were loaded, or after the base currency
+// changed - are left out of converted totals and listed in the response's `unconverted`
+// (describeUnconverted) instead of failing the whole request.
+
+const { toCents, fromCents } = require('./money');
+
+const DEFAULT_CURRENCY = 'USD';
+const RATE_PIVOT_CURRENCY = 'USD';
+const EXCHANGE_RATE_PARTITION = 'SYSTEM#EXCHANGE_RATES';
+
+// Rates are stored with this many decimals; conversion works on scaled integers
+const RATE_SCALE = 1000000;
+
+// ISO 4217 codes the runtime knows about
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+function isCurrencyCode(code) {
+  return typeof code === 'string' && CURRENCY_CODES.has(code);
+}
+
+function getCurrency(item) {
+  return item.currency || DEFAULT_CURRENCY;
+}
+
+function getUserSettingsKeys(userId) {
+  return {
+    PK: `USER#${userId}#SETTINGS`,
+    SK: 'SETTINGS'
+  };
+}
+
+function getExchangeRateKeys(currency, date) {
+  return {
+    PK: EXCHANGE_RATE_PARTITION,
+    SK: `${currency}#${date}`
+  };
+}
+
+// Key condition for every stored rate of one currency
+function getExchangeRateQuery(currency) {
+  return {
+    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :currency)',
+    ExpressionAttributeValues: {
+      ':pk': EXCHANGE_RATE_PARTITION,
+      ':currency': `${currency}#`
+    }
+  };
+}
+
+// Currencies other than the base currency that appear in items, i.e. the rates to load
+function getForeignCurrencies(items, baseCurrency) {
+  return [...new Set(items.map(getCurrency))].filter(currency => currency !== baseCurrency);
+}
+
+// Converter for items (anything with a `currency`) into baseCurrency. queryRates(currency)
+// returns the stored rate items for one currency and is only called for currencies needed.
+async function loadConverter(baseCurrency, items, queryRates) {
+  const currencies = getForeignCurrencies(items, baseCurrency);
+  if (currencies.length > 0) {
+    currencies.push(baseCurrency);
+  }
+
+  const rateItems = await Promise.all(
+    currencies.filter(currency => currency !== RATE_PIVOT_CURRENCY).map(currency => queryRates(currency))
+  );
+
+  return createConverter(baseCurrency, rateItems.flat());
+}
+
+// Refuses (422) a write of an amount in `currency` that couldn't be converted to
+// baseCurrency because one of the two has no stored rate. queryRates is as for loadConverter.
+async function requireExchangeRate(currency, baseCurrency, queryRates, field = 'currency') {
+  if (!currency || currency === baseCurrency) {
+    return;
+  }
+
+  for (const needed of [currency, baseCurrency].filter(code => code !== RATE_PIVOT_CURRENCY)) {
+    const rates = await queryRates(needed);
+    if (rates.length === 0) {
+      throw Object.assign(new Error(`No exchange rate loaded for ${needed}`), {
+        statusCode: 422,
+        details: [{
+          field,
+          message: `can't be converted to ${baseCurrency}: no exchange rate loaded for ${needed} (see scripts/load-exchange-rates.js)`
+        }]
+      });
+    }
+  }
+}
+
+// rateItems: the stored rate items for (at least) every currency involved.
+// Returns toBaseCents(amount, currency, date) -> integer cents in baseCurrency, or null when
+// either currency has no rate.
+function createConverter(baseCurrency, rateItems) {
+  const ratesByCurrency = new Map();
+
+  rateItems.forEach(item => {
+    if (!ratesByCurrency.has(item.currency)) {
+      ratesByCurrency.set(item.currency, []);
+    }
+    ratesByCurrency.get(item.currency).push({ date: item.date, rate: Math.round(Number(item.rate) * RATE_SCALE) });
+  });
+  ratesByCurrency.forEach(rates => rates.sort((a, b) => a.date.localeCompare(b.date)));
+
+  // Units of currency per pivot unit on date, scaled by RATE_SCALE
+  const getRate = (currency, date) => {
+    if (currency === RATE_PIVOT_CURRENCY) {
+      return RATE_SCALE;
+    }
+
+    const rates = ratesByCurrency.get(currency);
+    if (!rates || rates.length === 0) {
+      return null;
+    }
+
+    let match = rates[0];
+    for (const entry of rates) {
+      if (entry.date > date) {
+        break;
+      }
+      match = entry;
+    }
+    return match.rate;
+  };
+
+  const toBaseCents = (amount, currency, date) => {
+    const cents = toCents(amount);
+    const from = currency || DEFAULT_CURRENCY;
+    if (from === baseCurrency) {
+      return cents;
+    }
+    const toRate = getRate(baseCurrency, date);
+    const fromRate = getRate(from, date);
+    return toRate === null || fromRate === null ? null : convertCents(cents, toRate, fromRate);
+  };
+
+  return {
+    baseCurrency,
+    toBaseCents,
+    toBase: (amount, currency, date) => {
+      const cents = toBaseCents(amount, currency, date);
+      return cents === null ? null : fromCents(cents);
+    }
+  };
+}
+
+// Entry for an item that toBaseCents() couldn't convert, as listed in `unconverted`
+function describeUnconverted(item) {
+  return {
+    id: item.id,
+    date: item.date || null,
+    amount: fromCents(toCents(item.amount)),
+    currency: getCurrency(item)
+  };
+}
+
+// cents * toRate / fromRate rounded half away from zero. The product can pass 2^53 for
+// high-unit currencies, so it's done in BigInt.
+function convertCents(cents, toRate, fromRate) {
+  const numerator = BigInt(Math.abs(cents)) * BigInt(toRate);
+  const denominator = BigInt(fromRate);
+  const quotient = Number((numerator * 2n + denominator) / (denominator * 2n));
+  return cents < 0 ? -quotient : quotient;
+}
+
+// Display string for messages, e.g. formatCurrency(123450, 'EUR') -> "€1,234.50"
+function formatCurrency(cents, currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(fromCents(cents));
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  RATE_PIVOT_CURRENCY,
+  isCurrencyCode,
+  getCurrency,
+  getUserSettingsKeys,
+  getExchangeRateKeys,
+  getExchangeRateQuery,
+  getForeignCurrencies,
+  requireExchangeRate,
+  loadConverter,
+  createConverter,
+  describeUnconverted,
+  formatCurrency
+};
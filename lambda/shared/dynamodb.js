@@ -0,0 +1,27 @@
+// DynamoDB helpers shared by the handlers.
+//
+// Handlers use different clients: most use the document client (plain JavaScript values),
+// analytics and spending-alerts the low-level client (marshalled attribute values). Helpers
+// here take the handler's client and command class instead of creating their own.
+
+// queryAll(params) for one client: every item a Query matches, following LastEvaluatedKey so
+// results aren't cut off at 1 MB. mapItem converts each item, e.g. unmarshall for the
+// low-level client.
+function createQueryAll(client, QueryCommand, mapItem = item => item) {
+  return async function queryAll(params) {
+    const items = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await client.send(new QueryCommand({ ...params, ExclusiveStartKey: lastEvaluatedKey }));
+      items.push(...(result.Items || []).map(item => mapItem(item)));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return items;
+  };
+}
+
+module.exports = {
+  createQueryAll
+};
@@ -0,0 +1,124 @@
+// Households: several users sharing one set of transactions, templates, envelopes, recurring
+// items, alerts, goals and settings.
+//
+// A household's data is keyed exactly like a user's, with the household id in place of the
+// user id (USER#hh_<id>#TRANSACTION, ...), so every handler, the recurring scheduler and the
+// alert stream work on it unchanged. Household ids start with `hh_` and can't collide with
+// Cognito subs. The household itself and its members live under HOUSEHOLD#<id>:
+//   SK METADATA          { id, name, created_by, created_at }
+//   SK MEMBER#<user id>  { household_id, user_id, role, ... }, on GSI1 USER#<user id>#HOUSEHOLDS
+// Invitations are keyed by a hash of their token (see lambda/households.js).
+//
+// A request works on a household's data when it sends `X-Household-ID: <id>`; otherwise it
+// works on the caller's own data. resolveAccess() checks the caller's membership and role:
+// viewers can read, editors can also write, owners can also manage the household.
+// authorizeRequest() does both steps every handler starts with: authenticate, then resolve.
+
+const { randomUUID } = require('crypto');
+const { validationError } = require('./validation');
+const { getAuthenticatedUserId } = require('./auth');
+
+const HOUSEHOLD_ROLES = ['owner', 'editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const HOUSEHOLD_HEADER = 'x-household-id';
+const HOUSEHOLD_ID_PATTERN = /^hh_[0-9a-f]{32}$/;
+
+// Methods that only read; everything else needs write access
+const READ_METHODS = ['GET', 'HEAD'];
+
+function createHouseholdId() {
+  return `hh_${randomUUID().replace(/-/g, '')}`;
+}
+
+function isHouseholdId(id) {
+  return typeof id === 'string' && HOUSEHOLD_ID_PATTERN.test(id);
+}
+
+function getHouseholdKeys(householdId) {
+  return {
+    PK: `HOUSEHOLD#${householdId}`,
+    SK: 'METADATA'
+  };
+}
+
+function getMemberKeys(householdId, userId) {
+  return {
+    PK: `HOUSEHOLD#${householdId}`,
+    SK: `MEMBER#${userId}`
+  };
+}
+
+// A user's memberships are listed through one GSI1 partition per user
+function getMemberIndexKeys(userId, householdId) {
+  return {
+    GSI1PK: `USER#${userId}#HOUSEHOLDS`,
+    GSI1SK: householdId
+  };
+}
+
+function hasRole(role, requiredRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[requiredRole];
+}
+
+function getRequiredRole(httpMethod) {
+  return READ_METHODS.includes(httpMethod) ? 'viewer' : 'editor';
+}
+
+// Whose data the request works on. getItem(key) reads one item from the table (handlers use
+// different DynamoDB clients). Returns { ownerId, memberId, householdId, role }: ownerId is the
+// id data keys are built from, memberId the caller. Throws 400/403 errors for handlers' catch
+// blocks.
+async function resolveAccess(event, callerId, getItem, requiredRole = getRequiredRole(event.httpMethod)) {
+  const householdId = getHeader(event, HOUSEHOLD_HEADER);
+
+  if (!householdId) {
+    return { ownerId: callerId, memberId: callerId, householdId: null, role: 'owner' };
+  }
+
+  if (!isHouseholdId(householdId)) {
+    throw validationError([{ field: 'X-Household-ID', message: 'is not a household id' }]);
+  }
+
+  const member = await getItem(getMemberKeys(householdId, callerId));
+
+  if (!member) {
+    throw Object.assign(new Error('Not a member of this household'), { statusCode: 403 });
+  }
+  if (!hasRole(member.role, requiredRole)) {
+    throw Object.assign(new Error(`Requires the ${requiredRole} role in this household (you are ${member.role})`), { statusCode: 403 });
+  }
+
+  return { ownerId: householdId, memberId: callerId, householdId, role: member.role };
+}
+
+// The access of the request's authenticated caller, as resolveAccess() returns it. Data keys
+// are built from its ownerId: the caller's own id, or the household's named in
+// X-Household-ID once membership and role are checked. Throws a 401 error when the request
+// has no valid bearer token.
+async function authorizeRequest(event, getItem) {
+  const callerId = await getAuthenticatedUserId(event);
+
+  if (!callerId) {
+    throw Object.assign(new Error('Unauthorized: valid bearer token required'), { statusCode: 401 });
+  }
+
+  return resolveAccess(event, callerId, getItem);
+}
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? String(headers[key]).trim() : null;
+}
+
+module.exports = {
+  HOUSEHOLD_ROLES,
+  createHouseholdId,
+  isHouseholdId,
+  getHouseholdKeys,
+  getMemberKeys,
+  getMemberIndexKeys,
+  hasRole,
+  resolveAccess,
+  authorizeRequest
+};
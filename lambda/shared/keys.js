@@ -0,0 +1,117 @@
+// Key layout shared by every handler that writes transactions.
+//
+// Transactions live under PK USER#<id>#TRANSACTION / SK TRANSACTION#<txnId>, so a single
+// transaction is a GetItem by id. All list reads go through GSI1 instead: each user gets one
+// GSI1 partition whose sort key starts with the transaction date, which makes it both the
+// date-ordered history (ScanIndexForward: false for newest first) and the per-user month
+// index (begins_with(GSI1SK, 'YYYY-MM')). Before this the GSI1 partition was MONTH#<date>,
+// shared by every user.
+
+function getTransactionIndexKeys(userId, { date, category, id }) {
+  return {
+    GSI1PK: getTransactionIndexPartition(userId),
+    GSI1SK: `${date}#${category}#${id}`
+  };
+}
+
+function getTransactionIndexPartition(userId) {
+  return `USER#${userId}#TRANSACTIONS`;
+}
+
+// Key condition for transactions dated within [fromDate, toDate] (YYYY-MM-DD or YYYY-MM)
+function getTransactionDateRange(userId, fromDate, toDate) {
+  return {
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk AND GSI1SK BETWEEN :fromKey AND :toKey',
+    ExpressionAttributeValues: {
+      ':gsi1pk': getTransactionIndexPartition(userId),
+      ':fromKey': fromDate,
+      ':toKey': `${toDate}\uffff`
+    }
+  };
+}
+
+// Template categories are listed through one GSI1 partition per user
+function getTemplateIndexKeys(userId, templateName, category) {
+  return {
+    GSI1PK: getTemplateIndexPartition(userId),
+    GSI1SK: `${templateName}#${category}`
+  };
+}
+
+function getTemplateIndexPartition(userId) {
+  return `USER#${userId}#TEMPLATE_ALL`;
+}
+
+// Template versions: one partition per template, SK VERSION#<zero-padded number> so a
+// descending query returns the latest first
+function getTemplateVersionKeys(userId, templateName, version) {
+  return {
+    PK: getTemplateVersionPartition(userId, templateName),
+    SK: `VERSION#${String(version).padStart(6, '0')}`
+  };
+}
+
+function getTemplateVersionPartition(userId, templateName) {
+  return `USER#${userId}#TEMPLATE_VERSION#${templateName}`;
+}
+
+// Envelope transfers (money moved between a template's envelopes, or to and from the
+// zero-based ready-to-assign pool) sit beside the envelopes in their own partition, one per
+// template, with SK <month>#<created_at>#<id> so a month's log reads in order
+function getEnvelopeTransferKeys(userId, templateName, { month, created_at, id }) {
+  return {
+    PK: getEnvelopeTransferPartition(userId, templateName),
+    SK: `${month}#${created_at}#${id}`
+  };
+}
+
+function getEnvelopeTransferPartition(userId, templateName) {
+  return `USER#${userId}#ENVELOPE_TRANSFER#${templateName}`;
+}
+
+// Recurring items are listed through one GSI1 partition per user. Active items sort by
+// next_execution so the due query can range over them; paused and completed ones sort after
+// every date.
+function getRecurringIndexKeys(userId, { id, status, next_execution }) {
+  return {
+    GSI1PK: `USER#${userId}#RECURRING_ACTIVE`,
+    GSI1SK: getRecurringIndexSortKey(id, status, next_execution)
+  };
+}
+
+function getRecurringIndexSortKey(id, status, nextExecution) {
+  if (status === 'active') {
+    return `${nextExecution}#${id}`;
+  }
+  return status === 'completed' ? `COMPLETED#${id}` : `INACTIVE#${id}`;
+}
+
+// A template month's lifecycle (open or closed), one partition per template with SK <month>.
+// Kept apart from the envelopes so a month's begins_with query only returns envelopes.
+function getBudgetMonthKeys(userId, templateName, month) {
+  return {
+    PK: getBudgetMonthPartition(userId, templateName),
+    SK: month
+  };
+}
+
+function getBudgetMonthPartition(userId, templateName) {
+  return `USER#${userId}#BUDGET_MONTH#${templateName}`;
+}
+
+module.exports = {
+  getTransactionIndexKeys,
+  getTransactionIndexPartition,
+  getTransactionDateRange,
+  getTemplateIndexKeys,
+  getTemplateIndexPartition,
+  getTemplateVersionKeys,
+  getTemplateVersionPartition,
+  getEnvelopeTransferKeys,
+  getEnvelopeTransferPartition,
+  getBudgetMonthKeys,
+  getBudgetMonthPartition,
+  getRecurringIndexKeys,
+  getRecurringIndexSortKey
+};
@@ -0,0 +1,84 @@
+// Money arithmetic shared by every handler.
+//
+// Amounts are exchanged as decimal numbers with at most two decimal places (10.5, 1234.99)
+// and stored that way in DynamoDB, whose Number type is an exact decimal. Arithmetic never
+// happens on those values directly: they are converted to integer cents with toCents(),
+// summed/compared as integers, and converted back with fromCents() only when written or
+// returned. Integer cents add exactly, so totals and rollover chains can't drift.
+//
+// Rounding rules:
+//   - Request amounts must already have at most two decimals (validation rejects 10.005).
+//   - Values with more precision (float artifacts in items written before this module,
+//     e.g. 19.990000000000002) are rounded to the nearest cent, half away from zero.
+//   - Derived amounts that aren't sums - averages, per-day rates, projections - are computed
+//     in cents and rounded once, half away from zero, by divideCents().
+//   - Percentages are ratios, not money, and keep two decimals via roundPercentage().
+
+const CENTS_PER_UNIT = 100;
+
+// Decimal amount (number or numeric string) -> integer cents, without float multiplication.
+// Missing or non-numeric values count as 0, as parseFloat(...) || 0 did.
+function toCents(value) {
+  if (value === null || value === undefined || value === '') {
+    return 0;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    return 0;
+  }
+
+  // The shortest decimal text for a number is exact for anything written with two decimals
+  let text = typeof value === 'string' ? value.trim() : String(number);
+  if (/e/i.test(text)) {
+    text = number.toFixed(20);
+  }
+
+  const negative = text.startsWith('-');
+  const [whole, fraction = ''] = text.replace(/^[-+]/, '').split('.');
+  const digits = `${fraction}000`;
+
+  let cents = Number(whole || 0) * CENTS_PER_UNIT + Number(digits.slice(0, 2));
+  if (Number(digits[2]) >= 5) {
+    cents += 1;
+  }
+
+  return negative && cents !== 0 ? -cents : cents;
+}
+
+// Integer cents -> decimal amount with at most two decimals
+function fromCents(cents) {
+  return cents / CENTS_PER_UNIT;
+}
+
+// A stored or computed amount normalized to whole cents
+function roundMoney(value) {
+  return fromCents(toCents(value));
+}
+
+// Sum of the amounts (or of getAmount(item)) in cents
+function sumCents(items, getAmount = value => value) {
+  return items.reduce((total, item) => total + toCents(getAmount(item)), 0);
+}
+
+// cents / divisor rounded to a whole cent, half away from zero
+function divideCents(cents, divisor) {
+  if (!divisor) {
+    return 0;
+  }
+  const quotient = Math.round(Math.abs(cents) / Math.abs(divisor));
+  return Math.sign(cents) * Math.sign(divisor) < 0 ? -quotient : quotient;
+}
+
+function roundPercentage(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  toCents,
+  fromCents,
+  roundMoney,
+  sumCents,
+  divideCents,
+  roundPercentage
+};
@@ -0,0 +1,452 @@
+// RFC 5545 RRULE-style recurrence rules for recurring transactions.
+//
+// A rule is stored on the recurring item as a plain object:
+//   { freq, interval, by_month_day, by_day, by_month, by_set_pos, count, until }
+// and is always expanded from the item's start_date (the RRULE DTSTART).
+//
+// Deviation from RFC 5545: month days that don't exist in a month are clamped to the
+// month's last day instead of being skipped, so "the 31st" posts on Feb 28/29 and
+// Jan 31 monthly runs Jan 31, Feb 28, Mar 31 rather than drifting.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Named schedules accepted in the legacy `frequency` field
+const FREQUENCY_SHORTHANDS = {
+  daily: { freq: 'DAILY' },
+  weekly: { freq: 'WEEKLY' },
+  biweekly: { freq: 'WEEKLY', interval: 2 },
+  semimonthly: { freq: 'MONTHLY', by_month_day: [15, -1] },
+  monthly: { freq: 'MONTHLY' },
+  quarterly: { freq: 'MONTHLY', interval: 3 },
+  yearly: { freq: 'YEARLY' }
+};
+
+// Guards against rules that can never produce another occurrence
+const MAX_PERIODS = 50000;
+
+const BY_DAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const validationError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Builds a validated rule from whichever of `recurrence`, `rrule` or `frequency` was sent
+function normalizeRecurrence({ recurrence, rrule, frequency } = {}) {
+  let input;
+
+  if (recurrence !== undefined && recurrence !== null) {
+    if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+      throw validationError('recurrence must be an object');
+    }
+    input = recurrence;
+  } else if (rrule) {
+    input = parseRRule(rrule);
+  } else if (frequency) {
+    input = FREQUENCY_SHORTHANDS[String(frequency).toLowerCase()];
+    if (!input) {
+      throw validationError(`Frequency must be one of: ${Object.keys(FREQUENCY_SHORTHANDS).join(', ')}`);
+    }
+  } else {
+    throw validationError('A frequency, rrule or recurrence is required');
+  }
+
+  const freq = String(input.freq || '').toUpperCase();
+  if (!FREQUENCIES.includes(freq)) {
+    throw validationError(`recurrence.freq must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = { freq, interval: 1 };
+
+  if (input.interval !== undefined) {
+    rule.interval = toInteger(input.interval, 'recurrence.interval', 1, 1000);
+  }
+
+  if (input.by_month_day !== undefined) {
+    rule.by_month_day = toIntegerList(input.by_month_day, 'recurrence.by_month_day', -31, 31);
+    if (freq === 'WEEKLY') {
+      throw validationError('recurrence.by_month_day is not allowed with WEEKLY rules');
+    }
+  }
+
+  if (input.by_day !== undefined) {
+    const byDay = toList(input.by_day).map(value => String(value).toUpperCase());
+    if (byDay.length === 0) {
+      throw validationError('recurrence.by_day must not be empty');
+    }
+    byDay.forEach(value => {
+      const match = BY_DAY_PATTERN.exec(value);
+      if (!match) {
+        throw validationError(`Invalid recurrence.by_day value "${value}"; expected e.g. FR, 2MO or -1FR`);
+      }
+      if (match[1] !== undefined) {
+        const ordinal = parseInt(match[1], 10);
+        if (ordinal === 0 || Math.abs(ordinal) > 5) {
+          throw validationError(`Invalid ordinal in recurrence.by_day value "${value}"`);
+        }
+        if (freq !== 'MONTHLY' && freq !== 'YEARLY') {
+          throw validationError('Ordinal recurrence.by_day values need a MONTHLY or YEARLY rule');
+        }
+      }
+    });
+    rule.by_day = byDay;
+  }
+
+  if (input.by_month !== undefined) {
+    rule.by_month = toIntegerList(input.by_month, 'recurrence.by_month', 1, 12);
+  }
+
+  if (input.by_set_pos !== undefined) {
+    rule.by_set_pos = toIntegerList(input.by_set_pos, 'recurrence.by_set_pos', -366, 366);
+    if (!rule.by_day && !rule.by_month_day) {
+      throw validationError('recurrence.by_set_pos needs by_day or by_month_day');
+    }
+  }
+
+  if (input.count !== undefined && input.count !== null) {
+    rule.count = toInteger(input.count, 'recurrence.count', 1, 10000);
+  }
+
+  if (input.until !== undefined && input.until !== null) {
+    if (!isValidDate(input.until)) {
+      throw validationError('recurrence.until must be a valid YYYY-MM-DD date');
+    }
+    rule.until = input.until;
+  }
+
+  if (rule.count !== undefined && rule.until !== undefined) {
+    throw validationError('recurrence.count and recurrence.until cannot both be set');
+  }
+
+  return rule;
+}
+
+// Rule for an item, falling back to its legacy `frequency` for items created before rules
+function getItemRecurrence(item) {
+  return item.recurrence || normalizeRecurrence({ frequency: item.frequency });
+}
+
+// Parses "FREQ=MONTHLY;BYDAY=-1FR;COUNT=12" (optionally prefixed with "RRULE:")
+function parseRRule(rrule) {
+  const rule = {};
+  const body = String(rrule).trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = String(rawKey).toUpperCase();
+
+    if (value === undefined || value === '') {
+      throw validationError(`Invalid rrule part "${part}"`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = value;
+        break;
+      case 'BYMONTHDAY':
+        rule.by_month_day = value.split(',');
+        break;
+      case 'BYDAY':
+        rule.by_day = value.split(',');
+        break;
+      case 'BYMONTH':
+        rule.by_month = value.split(',');
+        break;
+      case 'BYSETPOS':
+        rule.by_set_pos = value.split(',');
+        break;
+      case 'COUNT':
+        rule.count = value;
+        break;
+      case 'UNTIL': {
+        // Accept 20261231, 20261231T235959Z or 2026-12-31
+        const digits = value.replace(/-/g, '').substring(0, 8);
+        rule.until = `${digits.substring(0, 4)}-${digits.substring(4, 6)}-${digits.substring(6, 8)}`;
+        break;
+      }
+      case 'WKST':
+        if (value.toUpperCase() !== 'MO') {
+          throw validationError('Only WKST=MO is supported');
+        }
+        break;
+      default:
+        throw validationError(`Unsupported rrule part "${key}"`);
+    }
+  }
+
+  return rule;
+}
+
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.by_month) parts.push(`BYMONTH=${rule.by_month.join(',')}`);
+  if (rule.by_month_day) parts.push(`BYMONTHDAY=${rule.by_month_day.join(',')}`);
+  if (rule.by_day) parts.push(`BYDAY=${rule.by_day.join(',')}`);
+  if (rule.by_set_pos) parts.push(`BYSETPOS=${rule.by_set_pos.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+
+  return parts.join(';');
+}
+
+// All occurrences of the rule (expanded from startDate) that fall within [from, to].
+// COUNT and UNTIL are applied from the start of the series, not from `from`.
+function expandOccurrences(rule, startDate, { from = startDate, to, limit = 1000 } = {}) {
+  const occurrences = [];
+  const start = parseDate(startDate);
+  let seen = 0;
+
+  for (let period = 0, iterations = 0; iterations < MAX_PERIODS; period += rule.interval || 1, iterations++) {
+    const { periodStart, candidates } = getPeriodCandidates(rule, start, period);
+
+    if ((to && periodStart > to) || (rule.until && periodStart > rule.until)) {
+      break;
+    }
+
+    for (const candidate of candidates) {
+      if (candidate < startDate) {
+        continue;
+      }
+      if ((rule.until && candidate > rule.until) || (to && candidate > to)) {
+        return occurrences;
+      }
+
+      seen++;
+      if (rule.count && seen > rule.count) {
+        return occurrences;
+      }
+
+      if (candidate >= from) {
+        occurrences.push(candidate);
+        if (occurrences.length >= limit) {
+          return occurrences;
+        }
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+// First occurrence strictly after `afterDate`, or null once the series has ended
+function nextOccurrence(rule, startDate, afterDate) {
+  const [next] = expandOccurrences(rule, startDate, { from: addDays(afterDate, 1), limit: 1 });
+  return next || null;
+}
+
+// First occurrence on or after `onOrAfterDate`, or null if the series ends before it
+function firstOccurrenceOnOrAfter(rule, startDate, onOrAfterDate) {
+  const [first] = expandOccurrences(rule, startDate, { from: onOrAfterDate, limit: 1 });
+  return first || null;
+}
+
+// Occurrences of a stored recurring item that are still to be posted within [from, to]:
+// starts at next_execution and honors skipped_dates, end_date and max_occurrences.
+function expandItemOccurrences(item, { from, to }) {
+  if (!item.next_execution) {
+    return [];
+  }
+
+  const skipped = item.skipped_dates || [];
+  const remaining = item.max_occurrences
+    ? Math.max(item.max_occurrences - (item.execution_count || 0), 0)
+    : Infinity;
+
+  // Occurrences between next_execution and `from` still use up max_occurrences
+  return expandOccurrences(getItemRecurrence(item), item.start_date, { from: item.next_execution, to })
+    .filter(date => !skipped.includes(date))
+    .filter(date => !item.end_date || date <= item.end_date)
+    .slice(0, remaining)
+    .filter(date => !from || date >= from);
+}
+
+// Candidate dates (sorted YYYY-MM-DD) of the period `period` frequency-units after start
+function getPeriodCandidates(rule, start, period) {
+  let periodStart;
+  let dates = [];
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const date = addDaysToDate(start, period);
+      periodStart = formatDate(date);
+      if (matchesDailyFilters(rule, date)) {
+        dates = [date];
+      }
+      break;
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday (WKST=MO)
+      const weekStart = addDaysToDate(start, period * 7 - ((start.getUTCDay() + 6) % 7));
+      periodStart = formatDate(weekStart);
+      const weekdays = rule.by_day
+        ? rule.by_day.map(value => WEEKDAYS.indexOf(BY_DAY_PATTERN.exec(value)[2]))
+        : [start.getUTCDay()];
+      dates = weekdays.map(weekday => addDaysToDate(weekStart, (weekday + 6) % 7));
+      if (rule.by_month) {
+        dates = dates.filter(date => rule.by_month.includes(date.getUTCMonth() + 1));
+      }
+      break;
+    }
+    case 'MONTHLY': {
+      const monthStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + period, 1));
+      periodStart = formatDate(monthStart);
+      if (!rule.by_month || rule.by_month.includes(monthStart.getUTCMonth() + 1)) {
+        dates = getMonthCandidates(rule, monthStart.getUTCFullYear(), monthStart.getUTCMonth(), start.getUTCDate());
+      }
+      break;
+    }
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + period;
+      periodStart = `${year}-01-01`;
+      const months = rule.by_month ? rule.by_month.map(month => month - 1) : [start.getUTCMonth()];
+      months.forEach(month => {
+        dates.push(...getMonthCandidates(rule, year, month, start.getUTCDate()));
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown recurrence frequency: ${rule.freq}`);
+  }
+
+  let candidates = [...new Set(dates.map(formatDate))].sort();
+
+  if (rule.by_set_pos) {
+    candidates = rule.by_set_pos
+      .map(position => candidates[position > 0 ? position - 1 : candidates.length + position])
+      .filter(Boolean);
+    candidates = [...new Set(candidates)].sort();
+  }
+
+  return { periodStart, candidates };
+}
+
+// month is 0-based here, like Date
+function getMonthCandidates(rule, year, month, defaultDay) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let days = null;
+
+  if (rule.by_month_day) {
+    days = rule.by_month_day
+      .map(day => (day > 0 ? Math.min(day, lastDay) : lastDay + day + 1))
+      .filter(day => day >= 1);
+  }
+
+  if (rule.by_day) {
+    const weekdayDays = [];
+
+    rule.by_day.forEach(value => {
+      const [, ordinalStr, weekdayCode] = BY_DAY_PATTERN.exec(value);
+      const weekday = WEEKDAYS.indexOf(weekdayCode);
+      const matching = [];
+
+      for (let day = 1; day <= lastDay; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+          matching.push(day);
+        }
+      }
+
+      if (ordinalStr === undefined) {
+        weekdayDays.push(...matching);
+      } else {
+        const ordinal = parseInt(ordinalStr, 10);
+        const day = matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal];
+        if (day) {
+          weekdayDays.push(day);
+        }
+      }
+    });
+
+    // BYMONTHDAY and BYDAY together select the days matching both
+    days = days ? days.filter(day => weekdayDays.includes(day)) : weekdayDays;
+  }
+
+  if (!days) {
+    days = [Math.min(defaultDay, lastDay)];
+  }
+
+  return days.map(day => new Date(Date.UTC(year, month, day)));
+}
+
+function matchesDailyFilters(rule, date) {
+  if (rule.by_month && !rule.by_month.includes(date.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  if (rule.by_month_day) {
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    const day = date.getUTCDate();
+    if (!rule.by_month_day.some(value => (value > 0 ? value === day : lastDay + value + 1 === day))) {
+      return false;
+    }
+  }
+
+  if (rule.by_day && !rule.by_day.some(value => WEEKDAYS.indexOf(BY_DAY_PATTERN.exec(value)[2]) === date.getUTCDay())) {
+    return false;
+  }
+
+  return true;
+}
+
+// Helper Functions
+function toList(value) {
+  return Array.isArray(value) ? value : String(value).split(',');
+}
+
+function toInteger(value, field, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw validationError(`${field} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function toIntegerList(value, field, min, max) {
+  const list = toList(value).map(item => toInteger(item, field, min, max));
+  if (list.length === 0 || list.includes(0)) {
+    throw validationError(`${field} must be a non-empty list of non-zero integers`);
+  }
+  return list;
+}
+
+function isValidDate(dateStr) {
+  if (typeof dateStr !== 'string' || !DATE_PATTERN.test(dateStr)) {
+    return false;
+  }
+
+  const date = parseDate(dateStr);
+  return !isNaN(date.getTime()) && formatDate(date) === dateStr;
+}
+
+function parseDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDaysToDate(date, days) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days));
+}
+
+function addDays(dateStr, days) {
+  return formatDate(addDaysToDate(parseDate(dateStr), days));
+}
+
+module.exports = {
+  FREQUENCY_SHORTHANDS,
+  normalizeRecurrence,
+  getItemRecurrence,
+  parseRRule,
+  formatRRule,
+  expandOccurrences,
+  expandItemOccurrences,
+  nextOccurrence,
+  firstOccurrenceOnOrAfter,
+  isValidDate,
+  addDays
+};
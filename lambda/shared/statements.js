@@ -0,0 +1,354 @@
+// Bank statement parsing for transaction import.
+//
+// readStatement() turns a CSV, OFX/QFX or QIF file into one entry per statement line:
+//   { row, date, amount, description, fitid, account, category, type, currency, errors }
+// `amount` is signed as the bank reports it (negative = money out), `row` is the line's
+// position in the file for the import report (CSV rows count the header as row 1), and
+// `errors` lists what couldn't be parsed. Turning entries into transactions is left to the
+// caller.
+
+const { isValidDate } = require('./validation');
+
+const STATEMENT_FORMATS = ['csv', 'ofx', 'qfx', 'qif'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYYMMDD'];
+const CSV_DELIMITERS = { ',': ',', ';': ';', '|': '|', tab: '\t' };
+
+// Header names tried (case-insensitively) for CSV fields the mapping doesn't name
+const DEFAULT_CSV_COLUMNS = {
+  date: ['date', 'transaction date', 'posted date', 'posting date'],
+  amount: ['amount', 'transaction amount'],
+  debit: ['debit', 'withdrawal', 'money out'],
+  credit: ['credit', 'deposit', 'money in'],
+  description: ['description', 'memo', 'payee', 'name', 'details'],
+  category: ['category'],
+  type: ['type', 'transaction type'],
+  currency: ['currency'],
+  fitid: ['fitid', 'transaction id', 'reference']
+};
+
+function readStatement(format, content, { mapping = {}, options = {} } = {}) {
+  switch (format) {
+    case 'csv':
+      return readCsvStatement(content, mapping, options);
+    case 'ofx':
+    case 'qfx':
+      return readOfxStatement(content);
+    case 'qif':
+      return readQifStatement(content, options);
+    default:
+      throw new Error(`Unsupported statement format: ${format}`);
+  }
+}
+
+function readCsvStatement(content, mapping, options) {
+  const [header = [], ...records] = parseCsv(content, CSV_DELIMITERS[options.delimiter || ',']);
+  const headers = header.map(name => name.trim().toLowerCase());
+
+  // Field -> column index, from the mapping or the default header names
+  const columns = {};
+  const errors = [];
+  Object.keys(DEFAULT_CSV_COLUMNS).forEach(field => {
+    const names = mapping[field] ? [mapping[field].toLowerCase()] : DEFAULT_CSV_COLUMNS[field];
+    const index = headers.findIndex(name => names.includes(name));
+    if (index >= 0) {
+      columns[field] = index;
+    } else if (mapping[field]) {
+      errors.push(`mapping.${field}: no column named "${mapping[field]}"`);
+    }
+  });
+
+  if (columns.date === undefined) {
+    errors.push('no date column (set mapping.date)');
+  }
+  if (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined) {
+    errors.push('no amount column (set mapping.amount, or mapping.debit/mapping.credit)');
+  }
+  if (errors.length > 0) {
+    return { entries: [], errors };
+  }
+
+  const decimalSeparator = options.decimal_separator || '.';
+  const dateFormat = options.date_format || 'YYYY-MM-DD';
+  const expensesPositive = options.amount_sign === 'expense_positive';
+
+  const entries = records
+    .map((values, index) => ({ values, row: index + 2 }))
+    .filter(({ values }) => values.some(value => value.trim() !== ''))
+    .map(({ values, row }) => {
+      const cell = field => (columns[field] !== undefined ? (values[columns[field]] || '').trim() : '');
+      const entry = createEntry(row);
+
+      entry.date = parseDate(cell('date'), dateFormat);
+      if (!entry.date) {
+        entry.errors.push(`date "${cell('date')}" does not match ${dateFormat}`);
+      }
+
+      if (cell('amount') !== '') {
+        const amount = parseAmount(cell('amount'), decimalSeparator);
+        entry.amount = amount !== null && expensesPositive ? -amount : amount;
+      } else {
+        // Separate debit/credit columns hold unsigned amounts
+        const debit = cell('debit') !== '' ? parseAmount(cell('debit'), decimalSeparator) : null;
+        const credit = cell('credit') !== '' ? parseAmount(cell('credit'), decimalSeparator) : null;
+        entry.amount = debit !== null ? -Math.abs(debit) : credit !== null ? Math.abs(credit) : null;
+      }
+      if (entry.amount === null) {
+        entry.errors.push(`amount "${cell('amount') || cell('debit') || cell('credit')}" is not a number`);
+      }
+
+      entry.description = cell('description');
+      entry.category = cell('category') || null;
+      entry.type = cell('type') || null;
+      entry.currency = cell('currency') || null;
+      entry.fitid = cell('fitid') || null;
+      return entry;
+    });
+
+  return { entries, errors: [] };
+}
+
+// OFX 1.x is SGML (leaf elements aren't closed) and 2.x is XML; QFX is OFX with Quicken
+// extras. Reading each leaf value up to the next tag or line break handles all of them.
+function readOfxStatement(content) {
+  const currency = getOfxValue(content, 'CURDEF');
+  const account = getOfxValue(content, 'ACCTID');
+  const blocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  if (blocks.length === 0 && !/<OFX>/i.test(content)) {
+    return { entries: [], errors: ['not an OFX/QFX file (no <OFX> element)'] };
+  }
+
+  const entries = blocks.map((block, index) => {
+    const entry = createEntry(index + 1);
+    const posted = getOfxValue(block, 'DTPOSTED') || '';
+    const amount = getOfxValue(block, 'TRNAMT') || '';
+
+    entry.date = parseDate(posted.substring(0, 8), 'YYYYMMDD');
+    if (!entry.date) {
+      entry.errors.push(`DTPOSTED "${posted}" is not a date`);
+    }
+    entry.amount = parseAmount(amount, '.');
+    if (entry.amount === null) {
+      entry.errors.push(`TRNAMT "${amount}" is not a number`);
+    }
+
+    const name = getOfxValue(block, 'NAME') || getOfxValue(block, 'PAYEE') || '';
+    const memo = getOfxValue(block, 'MEMO') || '';
+    entry.description = [name, memo].filter(Boolean).join(' - ');
+    entry.fitid = getOfxValue(block, 'FITID');
+    entry.account = account;
+    entry.currency = getOfxValue(block, 'CURSYM') || currency;
+    return entry;
+  });
+
+  return { entries, errors: [] };
+}
+
+// QIF: one field per line, a leading letter says which, `^` ends the record
+function readQifStatement(content, options) {
+  const dateFormat = options.date_format || 'MM/DD/YYYY';
+  const entries = [];
+  let fields = {};
+
+  const finishRecord = () => {
+    if (Object.keys(fields).length === 0) {
+      return;
+    }
+    const entry = createEntry(entries.length + 1);
+
+    entry.date = parseDate((fields.D || '').replace(/'/g, '/').replace(/\s+/g, ''), dateFormat);
+    if (!entry.date) {
+      entry.errors.push(`date "${fields.D || ''}" does not match ${dateFormat}`);
+    }
+    const amount = fields.T || fields.U || '';
+    entry.amount = parseAmount(amount, options.decimal_separator || '.');
+    if (entry.amount === null) {
+      entry.errors.push(`amount "${amount}" is not a number`);
+    }
+
+    entry.description = [fields.P, fields.M].filter(Boolean).join(' - ');
+    // [Account] categories are transfers between accounts, not spending categories
+    entry.category = fields.L && !fields.L.startsWith('[') ? fields.L.split(':')[0] : null;
+    entries.push(entry);
+    fields = {};
+  };
+
+  // Only !Type:<account type> sections hold transactions; !Account, !Type:Cat and the
+  // like are lists whose records would otherwise read as transactions
+  let inTransactions = true;
+
+  content.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('!')) {
+      inTransactions = /^!Type:(Bank|Cash|CCard|Oth A|Oth L)/i.test(line.trim());
+      return;
+    }
+    if (line.trim() === '^') {
+      if (inTransactions) {
+        finishRecord();
+      }
+      fields = {};
+      return;
+    }
+    if (line.length > 1 && fields[line[0]] === undefined) {
+      fields[line[0]] = line.substring(1).trim();
+    }
+  });
+  finishRecord();
+
+  return { entries, errors: [] };
+}
+
+function createEntry(row) {
+  return {
+    row,
+    date: null,
+    amount: null,
+    description: '',
+    fitid: null,
+    account: null,
+    category: null,
+    type: null,
+    currency: null,
+    errors: []
+  };
+}
+
+// RFC 4180: quoted fields may contain the delimiter, doubled quotes and line breaks
+function parseCsv(content, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // A leading byte-order mark would otherwise stick to the first header
+  if (rows.length > 0 && rows[0].length > 0) {
+    rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+  }
+
+  return rows;
+}
+
+// "1,234.56", "-12.30", "(12.30)", "$12.30", "12.30-" and, with ',' as the decimal
+// separator, "1.234,56" -> signed number; null when it isn't an amount
+function parseAmount(text, decimalSeparator = '.') {
+  let value = String(text).trim().replace(/[^\d.,()+-]/g, '');
+  let negative = false;
+
+  if (/^\(.*\)$/.test(value)) {
+    negative = true;
+    value = value.slice(1, -1);
+  }
+  if (value.endsWith('-')) {
+    negative = true;
+    value = value.slice(0, -1);
+  }
+  if (value.startsWith('-')) {
+    negative = !negative;
+    value = value.slice(1);
+  } else if (value.startsWith('+')) {
+    value = value.slice(1);
+  }
+
+  value = decimalSeparator === ','
+    ? value.replace(/\./g, '').replace(',', '.')
+    : value.replace(/,/g, '');
+
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    return null;
+  }
+
+  const amount = Number(value);
+  return negative ? -amount : amount;
+}
+
+// Statement date -> YYYY-MM-DD, or null. Separators may be '/', '-' or '.' and two-digit
+// years are 20xx.
+function parseDate(text, format) {
+  const value = String(text || '').trim();
+  let parts;
+
+  if (format === 'YYYYMMDD') {
+    parts = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+    parts = parts && { year: parts[1], month: parts[2], day: parts[3] };
+  } else {
+    const pieces = value.split(/[/.-]/);
+    if (pieces.length !== 3) {
+      return null;
+    }
+    const [first, second, third] = pieces;
+    parts = {
+      'YYYY-MM-DD': { year: first, month: second, day: third },
+      'MM/DD/YYYY': { year: third, month: first, day: second },
+      'DD/MM/YYYY': { year: third, month: second, day: first }
+    }[format];
+  }
+
+  if (!parts || ![parts.year, parts.month, parts.day].every(piece => /^\d+$/.test(piece))) {
+    return null;
+  }
+
+  const year = parts.year.length === 2 ? `20${parts.year}` : parts.year;
+  const date = `${year}-${parts.month.padStart(2, '0')}-${parts.day.padStart(2, '0')}`;
+
+  return isValidDate(date) ? date : null;
+}
+
+function getOfxValue(content, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(content);
+  if (!match) {
+    return null;
+  }
+  const value = match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+  return value || null;
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  DATE_FORMATS,
+  CSV_DELIMITERS,
+  readStatement,
+  parseCsv,
+  parseAmount,
+  parseDate
+};
@@ -0,0 +1,279 @@
+// Request validation shared by every handler.
+//
+// Schemas are a small JSON Schema subset - Lambdas ship without node_modules, so this
+// covers what the handlers need instead of bundling a full validator:
+//   type ('object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'), nullable,
+//   required, properties, items, minItems, maxItems, enum (+ ignoreCase), minLength,
+//   maxLength, format ('date' = YYYY-MM-DD, 'month' = YYYY-MM, 'currency' = ISO 4217 code,
+//   upper-cased), minimum, exclusiveMinimum, maximum, decimals (maximum decimal places, see
+//   shared/money.js).
+//
+// validate() returns a normalized copy of the input: strings are trimmed, numeric strings
+// become numbers (forms post amounts as text) and ignoreCase enums take the canonical
+// casing. Unknown properties are dropped. Failures throw a 400 error whose body, built by
+// errorBody(), is the one error envelope every handler returns:
+//   { "error": "Validation failed", "details": [{ "field": "amount", "message": "..." }] }
+
+const { isCurrencyCode } = require('./currency');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const NUMERIC_STRING = /^-?\d+(\.\d+)?$/;
+
+// Transactions and recurring transactions are stored with these exact values; older
+// items may still say 'Expense'/'Income'
+const TRANSACTION_TYPES = ['income', 'expense'];
+
+// 'envelope' budgets fixed amounts; 'zero_based' also assigns the month's income from a
+// ready-to-assign pool (see budgets.js)
+const BUDGETING_MODES = ['envelope', 'zero_based'];
+
+// What a rollover envelope carries into the next month after an overspent one: 'carry' the
+// negative balance, 'absorb' it (drop the debt, keep nothing) or 'reset' (start from zero
+// whenever spending went over the month's own budget, even if the rollover covered it)
+const OVERSPEND_POLICIES = ['carry', 'absorb', 'reset'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CATEGORY_LENGTH = 64;
+const MAX_TEXT_LENGTH = 500;
+
+// Keeps every amount's cents well inside Number.MAX_SAFE_INTEGER
+const MAX_AMOUNT = 999999999.99;
+
+// Reusable field schemas
+const fields = {
+  date: { type: 'string', format: 'date' },
+  currency: { type: 'string', format: 'currency' },
+  month: { type: 'string', format: 'month' },
+  amount: { type: 'number', exclusiveMinimum: 0, maximum: MAX_AMOUNT, decimals: 2 },
+  budgetAmount: { type: 'number', minimum: 0, maximum: MAX_AMOUNT, decimals: 2 },
+  transactionType: { type: 'string', enum: TRANSACTION_TYPES, ignoreCase: true },
+  budgetingMode: { type: 'string', enum: BUDGETING_MODES, ignoreCase: true },
+  overspendPolicy: { type: 'string', enum: OVERSPEND_POLICIES, ignoreCase: true },
+  category: { type: 'string', minLength: 1, maxLength: MAX_CATEGORY_LENGTH },
+  name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+  text: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+  boolean: { type: 'boolean' }
+};
+
+// options.partial skips `required` at the top level, for PATCH-style updates
+function validate(schema, value, { partial = false } = {}) {
+  const errors = [];
+  const result = check(partial ? { ...schema, required: [] } : schema, value, '', errors);
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  return result;
+}
+
+function check(schema, value, path, errors) {
+  const field = path || 'body';
+
+  if (value === null || value === undefined) {
+    if (value === null && schema.nullable) {
+      return null;
+    }
+    // Required properties were already reported as missing by checkObject; a null reaching
+    // here was sent for a field that may be left out but not set to null
+    errors.push({ field, message: value === null ? 'must not be null' : 'is required' });
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'object':
+      return checkObject(schema, value, path, errors);
+    case 'array':
+      return checkArray(schema, value, path, errors);
+    case 'string':
+      return checkString(schema, value, field, errors);
+    case 'number':
+    case 'integer':
+      return checkNumber(schema, value, field, errors);
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ field, message: 'must be true or false' });
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+function checkObject(schema, value, path, errors) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push({ field: path || 'body', message: 'must be an object' });
+    return value;
+  }
+
+  (schema.required || []).forEach(name => {
+    if (value[name] === undefined || value[name] === null || value[name] === '') {
+      errors.push({ field: joinPath(path, name), message: 'is required' });
+    }
+  });
+
+  // Free-form objects (no declared properties) pass through for the caller to check
+  if (!schema.properties) {
+    return value;
+  }
+
+  const result = {};
+
+  Object.entries(schema.properties).forEach(([name, propertySchema]) => {
+    if (value[name] === undefined) {
+      return;
+    }
+    // Empty required values were reported above
+    if ((value[name] === null || value[name] === '') && (schema.required || []).includes(name)) {
+      return;
+    }
+    if (value[name] === '' && propertySchema.nullable) {
+      result[name] = null;
+      return;
+    }
+    result[name] = check(propertySchema, value[name], joinPath(path, name), errors);
+  });
+
+  return result;
+}
+
+function checkArray(schema, value, path, errors) {
+  const field = path || 'body';
+
+  if (!Array.isArray(value)) {
+    errors.push({ field, message: 'must be an array' });
+    return value;
+  }
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ field, message: `must contain at least ${schema.minItems} item(s)` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+  }
+
+  return schema.items
+    ? value.map((item, index) => check(schema.items, item, `${field}[${index}]`, errors))
+    : value;
+}
+
+function checkString(schema, value, field, errors) {
+  if (typeof value !== 'string') {
+    errors.push({ field, message: 'must be a string' });
+    return value;
+  }
+
+  const trimmed = schema.format === 'currency' ? value.trim().toUpperCase() : value.trim();
+
+  if (schema.minLength !== undefined && trimmed.length < schema.minLength) {
+    errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+  if (schema.maxLength !== undefined && trimmed.length > schema.maxLength) {
+    errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (schema.format === 'date' && !isValidDate(trimmed)) {
+    errors.push({ field, message: 'must be a valid date (YYYY-MM-DD)' });
+  }
+  if (schema.format === 'month' && !MONTH_PATTERN.test(trimmed)) {
+    errors.push({ field, message: 'must be a valid month (YYYY-MM)' });
+  }
+  if (schema.format === 'currency' && !isCurrencyCode(trimmed)) {
+    errors.push({ field, message: 'must be an ISO 4217 currency code (e.g. USD, EUR)' });
+  }
+
+  if (schema.enum) {
+    const match = schema.enum.find(option =>
+      schema.ignoreCase ? option.toLowerCase() === trimmed.toLowerCase() : option === trimmed
+    );
+    if (match === undefined) {
+      errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+      return trimmed;
+    }
+    return match;
+  }
+
+  return trimmed;
+}
+
+function checkNumber(schema, value, field, errors) {
+  const number = typeof value === 'string' && NUMERIC_STRING.test(value.trim()) ? Number(value) : value;
+
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    errors.push({ field, message: 'must be a finite number' });
+    return value;
+  }
+  if (schema.type === 'integer' && !Number.isInteger(number)) {
+    errors.push({ field, message: 'must be an integer' });
+  }
+  if (schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum) {
+    errors.push({ field, message: schema.exclusiveMinimum === 0 ? 'must be greater than 0' : `must be greater than ${schema.exclusiveMinimum}` });
+  }
+  if (schema.minimum !== undefined && number < schema.minimum) {
+    errors.push({ field, message: schema.minimum === 0 ? 'must not be negative' : `must be at least ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && number > schema.maximum) {
+    errors.push({ field, message: `must be at most ${schema.maximum}` });
+  }
+  if (schema.decimals !== undefined && !hasAtMostDecimals(number, schema.decimals)) {
+    errors.push({ field, message: `must have at most ${schema.decimals} decimal places` });
+  }
+
+  return number;
+}
+
+// JSON request body as an object; malformed JSON is a 400 in the same envelope
+function parseBody(body) {
+  let data;
+  try {
+    data = JSON.parse(body || '{}');
+  } catch (error) {
+    throw validationError([{ field: 'body', message: 'must be valid JSON' }]);
+  }
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw validationError([{ field: 'body', message: 'must be a JSON object' }]);
+  }
+
+  return data;
+}
+
+function validationError(details) {
+  return Object.assign(new Error('Validation failed'), { statusCode: 400, details });
+}
+
+// Response body for errors carrying a statusCode
+function errorBody(error) {
+  return error.details
+    ? { error: error.message, details: error.details }
+    : { error: error.message };
+}
+
+function isValidDate(dateStr) {
+  if (typeof dateStr !== 'string' || !DATE_PATTERN.test(dateStr)) {
+    return false;
+  }
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(dateStr);
+}
+
+// 0.1 * 100 is 10.000000000000002, so compare after rounding rather than testing the product
+function hasAtMostDecimals(number, places) {
+  const factor = 10 ** places;
+  return Math.round(number * factor) / factor === number;
+}
+
+function joinPath(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  BUDGETING_MODES,
+  OVERSPEND_POLICIES,
+  fields,
+  validate,
+  validationError,
+  parseBody,
+  errorBody,
+  isValidDate
+};
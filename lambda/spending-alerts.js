@@ -1,23 +1,48 @@
 const { DynamoDBClient, QueryCommand, PutItemCommand, UpdateItemCommand, DeleteItemCommand, GetItemCommand } = require('@aws-sdk/client-dynamodb');
 const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { createHash } = require('crypto');
+const { getTransactionDateRange } = require('./shared/keys');
+const { fields, validate, validationError, parseBody, errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+const { toCents, fromCents, divideCents, roundPercentage } = require('./shared/money');
+const {
+    DEFAULT_CURRENCY,
+    getCurrency,
+    getUserSettingsKeys,
+    getExchangeRateQuery,
+    loadConverter,
+    describeUnconverted
+} = require('./shared/currency');
+const { createQueryAll } = require('./shared/dynamodb');
 
 const dynamoDb = new DynamoDBClient({ region: 'us-east-1' });
+const queryAll = createQueryAll(dynamoDb, QueryCommand, unmarshall);
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 
-const extractUserId = (event) => {
-    // Try X-User-ID header first
-    const userIdHeader = event.headers['X-User-ID'] || event.headers['x-user-id'];
-    if (userIdHeader) {
-        return userIdHeader;
-    }
-    
-    // Try Authorization Bearer token
-    const authHeader = event.headers['Authorization'] || event.headers['authorization'];
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        return authHeader.substring(7);
+// Number of previous months averaged for SPENDING_PATTERN rules
+const PATTERN_LOOKBACK_MONTHS = 3;
+
+const ALERT_TYPES = ['BUDGET_EXCEEDED', 'SPENDING_PATTERN', 'CATEGORY_LIMIT', 'MONTHLY_THRESHOLD'];
+const ALERT_CONDITIONS = ['GREATER_THAN', 'GREATER_THAN_OR_EQUAL', 'PERCENTAGE_OF_BUDGET'];
+
+const alertSchema = {
+    type: 'object',
+    required: ['name', 'type', 'condition', 'threshold'],
+    properties: {
+        name: fields.name,
+        type: { type: 'string', enum: ALERT_TYPES },
+        condition: { type: 'string', enum: ALERT_CONDITIONS },
+        threshold: fields.amount,
+        category: { ...fields.category, nullable: true },
+        budgetTemplate: { ...fields.name, nullable: true },
+        isActive: fields.boolean,
+        notificationMethods: {
+            type: 'array',
+            maxItems: 5,
+            items: { type: 'string', minLength: 1, maxLength: 20 }
+        },
+        description: fields.text
     }
-    
-    return null;
 };
 
 exports.handler = async (event) => {
@@ -27,7 +52,7 @@ exports.handler = async (event) => {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PATCH',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-User-ID'
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
     };
 
     try {
@@ -42,18 +67,21 @@ exports.handler = async (event) => {
             };
         }
 
-        // Extract and validate user ID
-        const userId = extractUserId(event);
-        if (!userId) {
-            return {
-                statusCode: 401,
-                headers,
-                body: JSON.stringify({ error: 'Unauthorized: User ID required' })
-            };
-        }
+        const access = await authorizeRequest(event, getItem);
+        const userId = access.ownerId;
 
         console.log('Processing alerts request for user:', userId);
 
+        // Triggered alert routes live next to /api/alerts/{id}, so match them on the resource first
+        const { resource } = event;
+        if (resource === '/api/alerts/evaluate' && httpMethod === 'POST') {
+            const month = parseBody(body).month || event.queryStringParameters?.month;
+            return await evaluateAlerts(month, headers, userId);
+        }
+        if (resource === '/api/alerts/triggered' && httpMethod === 'GET') {
+            return await getTriggeredAlerts(event.queryStringParameters || {}, headers, userId);
+        }
+
         // Route to appropriate handler
         switch (httpMethod) {
             case 'GET':
@@ -63,25 +91,25 @@ exports.handler = async (event) => {
                     return await getAllAlerts(headers, userId);
                 }
             case 'POST':
-                return await createAlert(JSON.parse(body || '{}'), headers, userId);
+                return await createAlert(validate(alertSchema, parseBody(body)), headers, userId);
             case 'PUT':
                 if (!pathParameters?.id) {
                     throw new Error('Alert ID is required for updates');
                 }
-                return await updateAlert(pathParameters.id, JSON.parse(body || '{}'), headers, userId);
+                return await updateAlert(pathParameters.id, validate(alertSchema, parseBody(body), { partial: true }), headers, userId);
             case 'DELETE':
                 if (!pathParameters?.id) {
                     throw new Error('Alert ID is required for deletion');
                 }
                 return await deleteAlert(pathParameters.id, headers, userId);
             case 'PATCH':
-                // Handle PATCH endpoints for alert actions
+                // Handle PATCH endpoints for triggered alert actions
                 if (pathParameters?.id && event.path?.includes('/read')) {
                     return await markAlertAsRead(pathParameters.id, headers, userId);
                 } else if (pathParameters?.id && event.path?.includes('/dismiss')) {
                     return await dismissAlert(pathParameters.id, headers, userId);
                 } else if (event.path?.includes('/dismiss-all/')) {
-                    const monthFromPath = event.path.split('/dismiss-all/')[1];
+                    const monthFromPath = pathParameters?.month || event.path.split('/dismiss-all/')[1];
                     return await dismissAllAlerts(monthFromPath, headers, userId);
                 } else {
                     throw new Error('Invalid PATCH endpoint');
@@ -94,13 +122,60 @@ exports.handler = async (event) => {
         return {
             statusCode: error.statusCode || 500,
             headers,
-            body: JSON.stringify({
+            body: JSON.stringify(error.statusCode ? errorBody(error) : {
                 error: error.message || 'Internal server error'
             })
         };
     }
 };
 
+// DynamoDB Stream consumer - re-checks rules for the category/month a transaction write touched
+// Scopes are evaluated independently; the records behind a failed one come back as
+// batchItemFailures
+exports.streamHandler = async (event) => {
+    const targets = new Map();
+    
+    for (const record of event.Records || []) {
+        const keys = unmarshall(record.dynamodb?.Keys || {});
+        if (!String(keys.SK || '').startsWith('TRANSACTION#')) {
+            continue;
+        }
+        
+        // Old image covers deletes and category/date moves away from a scope
+        const images = [record.dynamodb.NewImage, record.dynamodb.OldImage]
+            .filter(Boolean)
+            .map(image => unmarshall(image));
+        
+        for (const transaction of images) {
+            if (!transaction.user_id || !transaction.date || String(transaction.type).toLowerCase() !== 'expense') {
+                continue;
+            }
+            
+            const month = transaction.date.substring(0, 7);
+            const key = `${transaction.user_id}|${month}|${transaction.category}`;
+            if (!targets.has(key)) {
+                targets.set(key, { userId: transaction.user_id, month, category: transaction.category, sequenceNumbers: new Set() });
+            }
+            targets.get(key).sequenceNumbers.add(record.dynamodb.SequenceNumber);
+        }
+    }
+    
+    console.log(`Re-evaluating alerts for ${targets.size} user/month/category scopes from ${event.Records?.length || 0} stream records`);
+    
+    // Evaluation is idempotent, so retrying records whose scopes already succeeded is harmless
+    const failed = new Set();
+    for (const { userId, month, category, sequenceNumbers } of targets.values()) {
+        try {
+            await evaluateAlertRules(userId, month, category);
+        } catch (error) {
+            console.error(`Failed to evaluate alerts for user ${userId}, ${month}, ${category}:`, error);
+            sequenceNumbers.forEach(sequenceNumber => failed.add(sequenceNumber));
+        }
+    }
+    
+    return { batchItemFailures: [...failed].map(sequenceNumber => ({ itemIdentifier: sequenceNumber })) };
+};
+
 // GET /api/alerts - Get all spending alerts - USER FILTERED
 async function getAllAlerts(headers, userId) {
     console.log('Getting all spending alerts for user:', userId);
@@ -178,26 +253,6 @@ async function getAlert(alertId, headers, userId) {
 async function createAlert(alertData, headers, userId) {
     console.log('Creating new alert for user', userId, ':', alertData);
     
-    // Validate required fields
-    const requiredFields = ['name', 'type', 'condition', 'threshold'];
-    for (const field of requiredFields) {
-        if (!alertData[field]) {
-            throw Object.assign(new Error(`Missing required field: ${field}`), { statusCode: 400 });
-        }
-    }
-    
-    // Validate alert type
-    const validTypes = ['BUDGET_EXCEEDED', 'SPENDING_PATTERN', 'CATEGORY_LIMIT', 'MONTHLY_THRESHOLD'];
-    if (!validTypes.includes(alertData.type)) {
-        throw Object.assign(new Error(`Invalid alert type. Must be one of: ${validTypes.join(', ')}`), { statusCode: 400 });
-    }
-    
-    // Validate condition
-    const validConditions = ['GREATER_THAN', 'GREATER_THAN_OR_EQUAL', 'PERCENTAGE_OF_BUDGET'];
-    if (!validConditions.includes(alertData.condition)) {
-        throw Object.assign(new Error(`Invalid condition. Must be one of: ${validConditions.join(', ')}`), { statusCode: 400 });
-    }
-    
     // Generate unique alert ID
     const alertId = `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
@@ -211,7 +266,7 @@ async function createAlert(alertData, headers, userId) {
         name: alertData.name,
         type: alertData.type,
         condition: alertData.condition,
-        threshold: parseFloat(alertData.threshold),
+        threshold: alertData.threshold,
         category: alertData.category || null,
         budgetTemplate: alertData.budgetTemplate || null,
         isActive: alertData.isActive !== undefined ? alertData.isActive : true,
@@ -246,22 +301,6 @@ async function createAlert(alertData, headers, userId) {
 async function updateAlert(alertId, updateData, headers, userId) {
     console.log('Updating alert for user', userId, ':', alertId, updateData);
     
-    // Validate alert type if provided
-    if (updateData.type) {
-        const validTypes = ['BUDGET_EXCEEDED', 'SPENDING_PATTERN', 'CATEGORY_LIMIT', 'MONTHLY_THRESHOLD'];
-        if (!validTypes.includes(updateData.type)) {
-            throw Object.assign(new Error(`Invalid alert type. Must be one of: ${validTypes.join(', ')}`), { statusCode: 400 });
-        }
-    }
-    
-    // Validate condition if provided
-    if (updateData.condition) {
-        const validConditions = ['GREATER_THAN', 'GREATER_THAN_OR_EQUAL', 'PERCENTAGE_OF_BUDGET'];
-        if (!validConditions.includes(updateData.condition)) {
-            throw Object.assign(new Error(`Invalid condition. Must be one of: ${validConditions.join(', ')}`), { statusCode: 400 });
-        }
-    }
-    
     // Build update expression
     const updateExpressions = [];
     const expressionAttributeNames = {};
@@ -273,17 +312,12 @@ async function updateAlert(alertId, updateData, headers, userId) {
         if (updateData[field] !== undefined) {
             updateExpressions.push(`#${field} = :${field}`);
             expressionAttributeNames[`#${field}`] = field;
-            
-            if (field === 'threshold') {
-                expressionAttributeValues[`:${field}`] = parseFloat(updateData[field]);
-            } else {
-                expressionAttributeValues[`:${field}`] = updateData[field];
-            }
+            expressionAttributeValues[`:${field}`] = updateData[field];
         }
     });
     
     if (updateExpressions.length === 0) {
-        throw Object.assign(new Error('No valid fields provided for update'), { statusCode: 400 });
+        throw validationError([{ field: 'body', message: `must include one or more of: ${updatableFields.join(', ')}` }]);
     }
     
     // Always update the updatedAt timestamp
@@ -358,17 +392,15 @@ async function deleteAlert(alertId, headers, userId) {
     };
 }
 
-// PATCH /api/alerts/{id}/read - Mark alert as read - USER FILTERED
-async function markAlertAsRead(alertId, headers, userId) {
-    console.log('Marking alert as read for user', userId, ':', alertId);
+// PATCH /api/alerts/{id}/read - Mark triggered alert as read - USER FILTERED
+async function markAlertAsRead(triggeredId, headers, userId) {
+    console.log('Marking triggered alert as read for user', userId, ':', triggeredId);
     
     const params = {
         TableName: TABLE_NAME,
-        Key: marshall({
-            PK: `USER#${userId}#ALERT#${alertId}`,
-            SK: `ALERT#${alertId}`
-        }),
+        Key: marshall(getTriggeredAlertKey(triggeredId, userId)),
         UpdateExpression: 'SET is_read = :isRead, updatedAt = :updatedAt',
+        ConditionExpression: 'attribute_exists(PK)',
         ExpressionAttributeValues: marshall({
             ':isRead': true,
             ':updatedAt': new Date().toISOString()
@@ -376,15 +408,10 @@ async function markAlertAsRead(alertId, headers, userId) {
         ReturnValues: 'ALL_NEW'
     };
     
-    const result = await dynamoDb.send(new UpdateItemCommand(params));
-    
-    if (!result.Attributes) {
-        throw Object.assign(new Error('Alert not found'), { statusCode: 404 });
-    }
-    
+    const result = await updateTriggeredAlert(params);
     const updatedAlert = unmarshall(result.Attributes);
     
-    console.log(`Alert ${alertId} marked as read for user ${userId}`);
+    console.log(`Triggered alert ${triggeredId} marked as read for user ${userId}`);
     
     return {
         statusCode: 200,
@@ -397,17 +424,15 @@ async function markAlertAsRead(alertId, headers, userId) {
     };
 }
 
-// PATCH /api/alerts/{id}/dismiss - Dismiss specific alert - USER FILTERED
-async function dismissAlert(alertId, headers, userId) {
-    console.log('Dismissing alert for user', userId, ':', alertId);
+// PATCH /api/alerts/{id}/dismiss - Dismiss specific triggered alert - USER FILTERED
+async function dismissAlert(triggeredId, headers, userId) {
+    console.log('Dismissing triggered alert for user', userId, ':', triggeredId);
     
     const params = {
         TableName: TABLE_NAME,
-        Key: marshall({
-            PK: `USER#${userId}#ALERT#${alertId}`,
-            SK: `ALERT#${alertId}`
-        }),
+        Key: marshall(getTriggeredAlertKey(triggeredId, userId)),
         UpdateExpression: 'SET is_dismissed = :isDismissed, updatedAt = :updatedAt',
+        ConditionExpression: 'attribute_exists(PK)',
         ExpressionAttributeValues: marshall({
             ':isDismissed': true,
             ':updatedAt': new Date().toISOString()
@@ -415,15 +440,10 @@ async function dismissAlert(alertId, headers, userId) {
         ReturnValues: 'ALL_NEW'
     };
     
-    const result = await dynamoDb.send(new UpdateItemCommand(params));
-    
-    if (!result.Attributes) {
-        throw Object.assign(new Error('Alert not found'), { statusCode: 404 });
-    }
-    
+    const result = await updateTriggeredAlert(params);
     const updatedAlert = unmarshall(result.Attributes);
     
-    console.log(`Alert ${alertId} dismissed for user ${userId}`);
+    console.log(`Triggered alert ${triggeredId} dismissed for user ${userId}`);
     
     return {
         statusCode: 200,
@@ -436,25 +456,25 @@ async function dismissAlert(alertId, headers, userId) {
     };
 }
 
-// PATCH /api/alerts/dismiss-all/{month} - Dismiss all alerts for a month - USER FILTERED
+// PATCH /api/alerts/dismiss-all/{month} - Dismiss all triggered alerts for a month - USER FILTERED
 async function dismissAllAlerts(month, headers, userId) {
-    console.log('Dismissing all alerts for month', month, 'for user', userId);
+    console.log('Dismissing all triggered alerts for month', month, 'for user', userId);
+    
+    if (!isValidMonth(month)) {
+        throw validationError([{ field: 'month', message: 'must be a valid month (YYYY-MM)' }]);
+    }
     
-    // First, get all alerts for this user
-    const queryParams = {
+    const alerts = await queryAll({
         TableName: TABLE_NAME,
         IndexName: 'GSI1',
-        KeyConditionExpression: 'GSI1PK = :gsi1pk',
+        KeyConditionExpression: 'GSI1PK = :gsi1pk AND begins_with(GSI1SK, :month)',
         ExpressionAttributeValues: marshall({
-            ':gsi1pk': `USER#${userId}#ALERTS`
+            ':gsi1pk': `USER#${userId}#TRIGGERED_ALERTS`,
+            ':month': `${month}#`
         })
-    };
-    
-    const result = await dynamoDb.send(new QueryCommand(queryParams));
-    const alerts = result.Items?.map(item => unmarshall(item)) || [];
+    });
     
-    // Filter by month and update each alert
-    const alertsToUpdate = alerts.filter(alert => alert.month === month || !alert.month);
+    const alertsToUpdate = alerts.filter(alert => !alert.is_dismissed);
     
     const updatePromises = alertsToUpdate.map(alert => {
         const updateParams = {
@@ -486,4 +506,422 @@ async function dismissAllAlerts(month, headers, userId) {
             count: alertsToUpdate.length
         })
     };
-}
\ No newline at end of file
+}
+
+// POST /api/alerts/evaluate - Run active rules against a month's spending - USER FILTERED
+async function evaluateAlerts(month, headers, userId) {
+    const evaluationMonth = month || new Date().toISOString().substring(0, 7);
+    
+    if (!isValidMonth(evaluationMonth)) {
+        throw validationError([{ field: 'month', message: 'must be a valid month (YYYY-MM)' }]);
+    }
+    
+    const triggered = await evaluateAlertRules(userId, evaluationMonth);
+    
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            message: `${triggered.length} alerts triggered for ${evaluationMonth}`,
+            month: evaluationMonth,
+            data: triggered,
+            count: triggered.length
+        })
+    };
+}
+
+// GET /api/alerts/triggered?month=YYYY-MM - List triggered alerts - USER FILTERED
+async function getTriggeredAlerts(query, headers, userId) {
+    const { month, include_dismissed } = query;
+    
+    if (month && !isValidMonth(month)) {
+        throw validationError([{ field: 'month', message: 'must be a valid month (YYYY-MM)' }]);
+    }
+    
+    const params = {
+        TableName: TABLE_NAME,
+        IndexName: 'GSI1',
+        KeyConditionExpression: month
+            ? 'GSI1PK = :gsi1pk AND begins_with(GSI1SK, :month)'
+            : 'GSI1PK = :gsi1pk',
+        ExpressionAttributeValues: marshall(month
+            ? { ':gsi1pk': `USER#${userId}#TRIGGERED_ALERTS`, ':month': `${month}#` }
+            : { ':gsi1pk': `USER#${userId}#TRIGGERED_ALERTS` }),
+        ScanIndexForward: false
+    };
+    
+    const triggered = await queryAll(params);
+    const alerts = include_dismissed === 'true'
+        ? triggered
+        : triggered.filter(alert => !alert.is_dismissed);
+    
+    console.log(`Found ${alerts.length} triggered alerts for user ${userId}`);
+    
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            data: alerts,
+            count: alerts.length,
+            unread_count: alerts.filter(alert => !alert.is_read).length
+        })
+    };
+}
+
+// Evaluation engine: checks every active rule for the month and records what fired.
+// Re-evaluating the same rule, month and category refreshes the existing triggered
+// alert instead of creating a new one, so read/dismissed state survives. Alerts whose
+// scope no longer crosses the threshold (e.g. after a delete) are cleared. Passing a
+// category limits the run to rules that can be affected by spending in it.
+async function evaluateAlertRules(userId, month, category = null) {
+    const rules = (await queryAll({
+        TableName: TABLE_NAME,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :gsi1pk',
+        ExpressionAttributeValues: marshall({
+            ':gsi1pk': `USER#${userId}#ALERTS`
+        })
+    })).filter(rule => rule.isActive !== false && (!category || !rule.category || rule.category === category));
+    
+    if (rules.length === 0) {
+        console.log('No active alert rules to evaluate for user', userId);
+        return [];
+    }
+    
+    // Current month plus the trailing months SPENDING_PATTERN compares against
+    const historyStart = shiftMonth(month, -PATTERN_LOOKBACK_MONTHS);
+    const expenses = await getExpenses(userId, historyStart, month);
+    const spending = summarizeSpending(expenses, month);
+    const baseline = summarizeBaseline(expenses, historyStart, month);
+    
+    const envelopesByTemplate = {};
+    const triggered = [];
+    
+    for (const rule of rules) {
+        const templateName = rule.budgetTemplate || 'Default';
+        if (!envelopesByTemplate[templateName]) {
+            envelopesByTemplate[templateName] = await getEnvelopeBudgets(userId, templateName, month);
+        }
+        
+        const results = evaluateRule(rule, spending, envelopesByTemplate[templateName], baseline, category);
+        
+        for (const result of results) {
+            if (result.fires) {
+                triggered.push(await recordTriggeredAlert(rule, result, month, userId));
+            } else {
+                await clearTriggeredAlert(rule, result, month, userId);
+            }
+        }
+    }
+    
+    console.log(`Evaluated ${rules.length} rules for user ${userId}${category ? ` (${category})` : ''}, ${triggered.length} triggered for ${month}`);
+    return triggered;
+}
+
+// Returns one { category, fires, observed_value, reference_value } entry per evaluated scope.
+// spending, envelopes and baseline are in cents; results are converted back to amounts.
+function evaluateRule(rule, spending, envelopes, baseline, onlyCategory = null) {
+    const scopes = [];
+    
+    switch (rule.type) {
+        case 'BUDGET_EXCEEDED': {
+            const categories = rule.category || onlyCategory ? [rule.category || onlyCategory] : Object.keys(envelopes);
+            categories.forEach(category => {
+                if (envelopes[category] !== undefined) {
+                    scopes.push({ category, spent: spending.byCategory[category] || 0, reference: envelopes[category] });
+                }
+            });
+            break;
+        }
+        case 'CATEGORY_LIMIT':
+            if (rule.category) {
+                scopes.push({
+                    category: rule.category,
+                    spent: spending.byCategory[rule.category] || 0,
+                    reference: envelopes[rule.category]
+                });
+            }
+            break;
+        case 'MONTHLY_THRESHOLD': {
+            const totalBudget = Object.values(envelopes).reduce((sum, amount) => sum + amount, 0);
+            scopes.push({ category: null, spent: spending.total, reference: totalBudget || undefined });
+            break;
+        }
+        case 'SPENDING_PATTERN':
+            scopes.push({
+                category: rule.category || null,
+                spent: rule.category ? (spending.byCategory[rule.category] || 0) : spending.total,
+                reference: rule.category ? baseline.byCategory[rule.category] : baseline.total
+            });
+            break;
+        default:
+            console.warn(`Skipping alert rule ${rule.id} with unknown type ${rule.type}`);
+    }
+    
+    const results = [];
+    
+    for (const scope of scopes) {
+        let observed;
+        let threshold;
+        
+        if (rule.condition === 'PERCENTAGE_OF_BUDGET') {
+            // Percentages need something to be a percentage of
+            if (!scope.reference) {
+                continue;
+            }
+            observed = (scope.spent / scope.reference) * 100;
+            threshold = rule.threshold;
+        } else if (rule.type === 'BUDGET_EXCEEDED' || rule.type === 'SPENDING_PATTERN') {
+            // Amount over the envelope, or over the trailing average
+            if (scope.reference === undefined) {
+                continue;
+            }
+            observed = scope.spent - scope.reference;
+            threshold = toCents(rule.threshold);
+        } else {
+            observed = scope.spent;
+            threshold = toCents(rule.threshold);
+        }
+        
+        const fires = rule.condition === 'GREATER_THAN'
+            ? observed > threshold
+            : observed >= threshold;
+        
+        results.push({
+            category: scope.category,
+            fires,
+            observed_value: rule.condition === 'PERCENTAGE_OF_BUDGET' ? roundPercentage(observed) : fromCents(observed),
+            spent: fromCents(scope.spent),
+            reference_value: scope.reference !== undefined ? fromCents(scope.reference) : null
+        });
+    }
+    
+    return results;
+}
+
+async function recordTriggeredAlert(rule, result, month, userId) {
+    const triggeredId = getTriggeredAlertId(rule.id, month, result.category);
+    const timestamp = new Date().toISOString();
+    
+    const params = {
+        TableName: TABLE_NAME,
+        Key: marshall(getTriggeredAlertKey(triggeredId, userId)),
+        UpdateExpression: [
+            'SET GSI1PK = :gsi1pk, GSI1SK = :gsi1sk, id = :id, rule_id = :ruleId, #name = :name,',
+            '#type = :type, #condition = :condition, threshold = :threshold, category = :category,',
+            'observed_value = :observed, spent = :spent, reference_value = :reference, #month = :month,',
+            'message = :message, last_evaluated_at = :now, user_id = :userId,',
+            'triggered_at = if_not_exists(triggered_at, :now),',
+            'is_read = if_not_exists(is_read, :false), is_dismissed = if_not_exists(is_dismissed, :false)'
+        ].join(' '),
+        ExpressionAttributeNames: {
+            '#name': 'name',
+            '#type': 'type',
+            '#condition': 'condition',
+            '#month': 'month'
+        },
+        ExpressionAttributeValues: marshall({
+            ':gsi1pk': `USER#${userId}#TRIGGERED_ALERTS`,
+            ':gsi1sk': `${month}#${triggeredId}`,
+            ':id': triggeredId,
+            ':ruleId': rule.id,
+            ':name': rule.name,
+            ':type': rule.type,
+            ':condition': rule.condition,
+            ':threshold': rule.threshold,
+            ':category': result.category,
+            ':observed': result.observed_value,
+            ':spent': result.spent,
+            ':reference': result.reference_value,
+            ':month': month,
+            ':message': buildAlertMessage(rule, result),
+            ':now': timestamp,
+            ':userId': userId,
+            ':false': false
+        }, { removeUndefinedValues: true }),
+        ReturnValues: 'ALL_NEW'
+    };
+    
+    const updated = await dynamoDb.send(new UpdateItemCommand(params));
+    return unmarshall(updated.Attributes);
+}
+
+async function clearTriggeredAlert(rule, result, month, userId) {
+    const triggeredId = getTriggeredAlertId(rule.id, month, result.category);
+    
+    const deleted = await dynamoDb.send(new DeleteItemCommand({
+        TableName: TABLE_NAME,
+        Key: marshall(getTriggeredAlertKey(triggeredId, userId)),
+        ReturnValues: 'ALL_OLD'
+    }));
+    
+    if (deleted.Attributes) {
+        console.log(`Cleared triggered alert ${triggeredId} for user ${userId}: rule ${rule.id} no longer fires for ${month}`);
+    }
+}
+
+function buildAlertMessage(rule, result) {
+    const scope = result.category || 'Total spending';
+    
+    if (rule.condition === 'PERCENTAGE_OF_BUDGET') {
+        return `${scope} is at ${result.observed_value}% of ${rule.type === 'SPENDING_PATTERN' ? 'its usual level' : 'budget'} (threshold ${rule.threshold}%)`;
+    }
+    
+    switch (rule.type) {
+        case 'BUDGET_EXCEEDED':
+            return `${scope} is ${result.observed_value} over its budget of ${result.reference_value}`;
+        case 'SPENDING_PATTERN':
+            return `${scope} is ${result.observed_value} above its recent monthly average of ${result.reference_value}`;
+        default:
+            return `${scope} reached ${result.observed_value} (threshold ${rule.threshold})`;
+    }
+}
+
+// Expense transactions dated within [fromMonth, toMonth], each with base_amount_cents in the
+// user's base currency (thresholds and envelopes are in that currency) - USER FILTERED
+async function getExpenses(userId, fromMonth, toMonth) {
+    // Month range on the user's date-ordered transaction index
+    const range = getTransactionDateRange(userId, fromMonth, toMonth);
+    const transactions = await queryAll({
+        TableName: TABLE_NAME,
+        IndexName: range.IndexName,
+        KeyConditionExpression: range.KeyConditionExpression,
+        ExpressionAttributeValues: marshall(range.ExpressionAttributeValues)
+    });
+    
+    // Handlers disagree on casing ('Expense' vs 'expense')
+    const expenses = transactions.filter(t => String(t.type).toLowerCase() === 'expense');
+    
+    const converter = await loadConverter(await getBaseCurrency(userId), expenses, queryExchangeRates);
+    const converted = expenses.map(t => ({
+        ...t,
+        base_amount_cents: converter.toBaseCents(t.amount, getCurrency(t), t.date)
+    }));
+    
+    // Expenses with no exchange rate can't be compared with thresholds; evaluating without
+    // them beats failing every rule for the user
+    const unconverted = converted.filter(t => t.base_amount_cents === null);
+    if (unconverted.length > 0) {
+        console.warn(`Skipping ${unconverted.length} expenses with no exchange rate for user ${userId}:`, JSON.stringify(unconverted.map(describeUnconverted)));
+    }
+    return converted.filter(t => t.base_amount_cents !== null);
+}
+
+async function getBaseCurrency(userId) {
+    const result = await dynamoDb.send(new GetItemCommand({
+        TableName: TABLE_NAME,
+        Key: marshall(getUserSettingsKeys(userId))
+    }));
+    const settings = result.Item ? unmarshall(result.Item) : {};
+    return settings.base_currency || DEFAULT_CURRENCY;
+}
+
+async function queryExchangeRates(currency) {
+    const query = getExchangeRateQuery(currency);
+    return queryAll({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: query.KeyConditionExpression,
+        ExpressionAttributeValues: marshall(query.ExpressionAttributeValues)
+    });
+}
+
+// Totals in cents of the base currency - see shared/money.js
+function summarizeSpending(expenses, month) {
+    const summary = { total: 0, byCategory: {} };
+    
+    expenses
+        .filter(t => t.date.startsWith(month))
+        .forEach(t => {
+            const amount = t.base_amount_cents;
+            summary.total += amount;
+            summary.byCategory[t.category] = (summary.byCategory[t.category] || 0) + amount;
+        });
+    
+    return summary;
+}
+
+// Average monthly spend over the months before the evaluated one, in cents. The history is
+// summed first and divided once, so the average is rounded a single time.
+function summarizeBaseline(expenses, historyStart, month) {
+    const history = summarizeSpending(
+        expenses.filter(t => t.date < `${month}-01` && t.date >= `${historyStart}-01`),
+        ''
+    );
+    
+    const byCategory = {};
+    Object.entries(history.byCategory).forEach(([category, total]) => {
+        byCategory[category] = divideCents(total, PATTERN_LOOKBACK_MONTHS);
+    });
+    
+    return {
+        total: divideCents(history.total, PATTERN_LOOKBACK_MONTHS),
+        byCategory
+    };
+}
+
+// Envelope budget per category for a template/month in cents, without creating missing envelopes
+async function getEnvelopeBudgets(userId, templateName, month) {
+    const envelopes = await queryAll({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk AND begins_with(SK, :month)',
+        ExpressionAttributeValues: marshall({
+            ':pk': `USER#${userId}#ENVELOPE#${templateName}`,
+            ':month': `${month}#`
+        })
+    });
+    
+    const budgets = {};
+    envelopes.forEach(envelope => {
+        budgets[envelope.category] = toCents(envelope.budget_amount) + toCents(envelope.rollover_amount);
+    });
+    
+    return budgets;
+}
+
+// Helper Functions
+async function updateTriggeredAlert(params) {
+    try {
+        return await dynamoDb.send(new UpdateItemCommand(params));
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw Object.assign(new Error('Alert not found'), { statusCode: 404 });
+        }
+        throw error;
+    }
+}
+
+function getTriggeredAlertKey(triggeredId, userId) {
+    return {
+        PK: `USER#${userId}#TRIGGERED_ALERT#${triggeredId}`,
+        SK: `TRIGGERED_ALERT#${triggeredId}`
+    };
+}
+
+// Deterministic so the same rule firing again in the same month updates one item
+function getTriggeredAlertId(ruleId, month, category) {
+    const digest = createHash('sha1')
+        .update(`${ruleId}|${month}|${category || ''}`)
+        .digest('hex')
+        .substring(0, 16);
+    return `trig_${digest}`;
+}
+
+function shiftMonth(monthStr, offset) {
+    const [year, month] = monthStr.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + offset, 1));
+    return date.toISOString().substring(0, 7);
+}
+
+function isValidMonth(month) {
+    return typeof month === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(month);
+}
+
+async function getItem(key) {
+    const result = await dynamoDb.send(new GetItemCommand({
+        TableName: TABLE_NAME,
+        Key: marshall(key)
+    }));
+    return result.Item ? unmarshall(result.Item) : null;
+}
@@ -1,5 +1,92 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, ScanCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, GetCommand, PutCommand, UpdateCommand, DeleteCommand, BatchGetCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { createHash } = require('crypto');
+const { getTransactionIndexKeys, getTransactionIndexPartition } = require('./shared/keys');
+const { fields, validate, validationError, parseBody, errorBody } = require('./shared/validation');
+const { authorizeRequest } = require('./shared/households');
+const { fromCents, roundMoney } = require('./shared/money');
+const {
+  DEFAULT_CURRENCY,
+  getCurrency,
+  getUserSettingsKeys,
+  getExchangeRateQuery,
+  requireExchangeRate,
+  loadConverter,
+  describeUnconverted
+} = require('./shared/currency');
+const { STATEMENT_FORMATS, DATE_FORMATS, CSV_DELIMITERS, readStatement } = require('./shared/statements');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Keeps an import well inside one Lambda invocation
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+const DEFAULT_IMPORT_CATEGORY = 'Uncategorized';
+
+const transactionSchema = {
+  type: 'object',
+  required: ['type', 'category', 'amount'],
+  properties: {
+    type: fields.transactionType,
+    category: fields.category,
+    amount: fields.amount,
+    currency: fields.currency,
+    note: fields.text,
+    date: fields.date
+  }
+};
+
+const listQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 2048 },
+    from: fields.date,
+    to: fields.date,
+    category: fields.category,
+    type: fields.transactionType,
+    currency: fields.currency,
+    min_amount: { type: 'number' },
+    max_amount: { type: 'number' },
+    q: fields.text
+  }
+};
+
+const importSchema = {
+  type: 'object',
+  required: ['format', 'content'],
+  properties: {
+    format: { type: 'string', enum: STATEMENT_FORMATS, ignoreCase: true },
+    content: { type: 'string', minLength: 1, maxLength: MAX_IMPORT_SIZE },
+    // CSV only: statement field -> column header
+    mapping: {
+      type: 'object',
+      properties: {
+        date: fields.name,
+        amount: fields.name,
+        debit: fields.name,
+        credit: fields.name,
+        description: fields.name,
+        category: fields.name,
+        type: fields.name,
+        currency: fields.name,
+        fitid: fields.name
+      }
+    },
+    options: {
+      type: 'object',
+      properties: {
+        date_format: { type: 'string', enum: DATE_FORMATS },
+        delimiter: { type: 'string', enum: Object.keys(CSV_DELIMITERS) },
+        decimal_separator: { type: 'string', enum: ['.', ','] },
+        amount_sign: { type: 'string', enum: ['expense_negative', 'expense_positive'] },
+        default_category: fields.category,
+        currency: fields.currency
+      }
+    }
+  }
+};
 
 const client = new DynamoDBClient({});
 const dynamodb = DynamoDBDocumentClient.from(client);
@@ -8,8 +95,8 @@ const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 const corsHeaders = {
   'Content-Type': 'application/json',
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-User-ID'
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Household-ID'
 };
 
 const createResponse = (statusCode, body) => ({
@@ -18,22 +105,6 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-const extractUserId = (event) => {
-  // Try X-User-ID header first
-  const userIdHeader = event.headers['X-User-ID'] || event.headers['x-user-id'];
-  if (userIdHeader) {
-    return userIdHeader;
-  }
-  
-  // Try Authorization Bearer token
-  const authHeader = event.headers['Authorization'] || event.headers['authorization'];
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
-  }
-  
-  return null;
-};
-
 exports.handler = async (event) => {
   console.log('Event:', JSON.stringify(event, null, 2));
   
@@ -44,57 +115,41 @@ exports.handler = async (event) => {
   try {
     const { httpMethod, pathParameters, body } = event;
     
-    // Extract and validate user ID
-    const userId = extractUserId(event);
-    if (!userId) {
-      return createResponse(401, { error: 'Unauthorized: User ID required' });
-    }
+    const access = await authorizeRequest(event, getItem);
+    const userId = access.ownerId;
     
     console.log('Processing request for user:', userId);
     
     if (httpMethod === 'GET' && !pathParameters) {
-      const params = {
-        TableName: TABLE_NAME,
-        FilterExpression: 'begins_with(PK, :pk)',
-        ExpressionAttributeValues: {
-          ':pk': `USER#${userId}#TRANSACTION`
-        }
-      };
-      
-      const result = await dynamodb.send(new ScanCommand(params));
-      const transactions = result.Items.map((item) => ({
-        id: item.id,
-        type: item.type,
-        category: item.category,
-        amount: item.amount,
-        note: item.note || '',
-        date: item.date
-      }));
-      
-      console.log(`Retrieved ${transactions.length} transactions for user ${userId}`);
-      return createResponse(200, transactions);
+      return await listTransactions(event.queryStringParameters || {}, userId);
+    }
+    
+    if (httpMethod === 'POST' && event.resource === '/api/records/import') {
+      return await importTransactions(validate(importSchema, parseBody(body)), userId, access.memberId);
     }
     
     if (httpMethod === 'POST') {
-      const data = JSON.parse(body || '{}');
-      const { type, category, amount, note, date } = data;
+      const { type, category, amount, currency, note, date } = validate(transactionSchema, parseBody(body));
       
-      if (!type || !category || !amount) {
-        return createResponse(400, { error: 'Missing required fields' });
-      }
+      const baseCurrency = await getBaseCurrency(userId);
+      await requireExchangeRate(currency, baseCurrency, queryExchangeRates);
       
       const id = Date.now().toString();
+      const transactionDate = date || new Date().toISOString().split('T')[0];
       const item = {
         PK: `USER#${userId}#TRANSACTION`,
         SK: 'TRANSACTION#' + id,
-        GSI1PK: 'MONTH#' + (date || new Date().toISOString().substring(0, 7)),
-        GSI1SK: category + '#' + id,
+        ...getTransactionIndexKeys(userId, { date: transactionDate, category, id }),
         id,
         type,
         category,
-        amount: parseFloat(amount),
+        amount,
+        // Unless told otherwise, money is spent in the user's base currency
+        currency: currency || baseCurrency,
         note: note || '',
-        date: date || new Date().toISOString().split('T')[0],
+        date: transactionDate,
+        // Who added it, when several household members share the data
+        created_by: access.memberId,
         created_at: new Date().toISOString(),
         user_id: userId
       };
@@ -111,11 +166,22 @@ exports.handler = async (event) => {
         type: item.type,
         category: item.category,
         amount: item.amount,
+        currency: item.currency,
         note: item.note,
-        date: item.date
+        date: item.date,
+        created_by: item.created_by
       });
     }
     
+    if (httpMethod === 'GET' && pathParameters && pathParameters.id) {
+      return await getTransaction(pathParameters.id, userId);
+    }
+    
+    // PUT and PATCH both apply a partial update
+    if ((httpMethod === 'PUT' || httpMethod === 'PATCH') && pathParameters && pathParameters.id) {
+      return await updateTransaction(pathParameters.id, parseBody(body), userId);
+    }
+    
     if (httpMethod === 'DELETE' && pathParameters && pathParameters.id) {
       const { DeleteCommand } = require('@aws-sdk/lib-dynamodb');
       
@@ -138,6 +204,562 @@ exports.handler = async (event) => {
     
   } catch (error) {
     console.error('Error:', error);
+    if (error.statusCode) {
+      return createResponse(error.statusCode, errorBody(error));
+    }
     return createResponse(500, { error: 'Internal server error', details: error.message });
   }
-};
\ No newline at end of file
+};
+
+// GET /api/records - newest first, filtered and paged - USER FILTERED
+// Query: limit, cursor, from, to (YYYY-MM-DD), category, type, currency, min_amount, max_amount
+// (in the transaction's own currency), q (note text)
+async function listTransactions(query, userId) {
+  const filters = parseListFilters(query);
+  
+  let cursor = null;
+  if (filters.cursor) {
+    cursor = decodeCursor(filters.cursor);
+    if (!cursor || cursor.key.GSI1PK !== getTransactionIndexPartition(userId)) {
+      throw validationError([{ field: 'cursor', message: 'is not a valid cursor' }]);
+    }
+  }
+  
+  const params = buildListQuery(filters, userId);
+  const page = [];
+  const totalItems = [];
+  let hasMore = false;
+  let lastEvaluatedKey = cursor ? cursor.key : undefined;
+  
+  // The first page reads the whole filtered range so it can report totals; later pages
+  // carry those totals in the cursor and stop as soon as they're full.
+  do {
+    const result = await dynamodb.send(new QueryCommand({ ...params, ExclusiveStartKey: lastEvaluatedKey }));
+    
+    for (const item of result.Items || []) {
+      if (!matchesTextSearch(item, filters.q)) {
+        continue;
+      }
+      
+      if (page.length < filters.limit) {
+        page.push(item);
+      } else {
+        hasMore = true;
+        if (cursor) {
+          break;
+        }
+      }
+      
+      if (!cursor) {
+        totalItems.push(item);
+      }
+    }
+    
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && !(cursor && hasMore));
+  
+  const totals = cursor ? cursor.totals : await calculateTotals(totalItems, userId);
+  const last = page[page.length - 1];
+  const nextCursor = hasMore && last
+    ? encodeCursor({ key: { PK: last.PK, SK: last.SK, GSI1PK: last.GSI1PK, GSI1SK: last.GSI1SK }, totals })
+    : null;
+  
+  console.log(`Retrieved ${page.length} of ${totals.count} transactions for user ${userId}`);
+  
+  return createResponse(200, {
+    transactions: page.map(formatTransaction),
+    next_cursor: nextCursor,
+    totals
+  });
+}
+
+// GET /api/records/{id} - USER FILTERED
+async function getTransaction(id, userId) {
+  const item = await getTransactionItem(id, userId);
+  
+  if (!item) {
+    return createResponse(404, { error: 'Transaction not found' });
+  }
+  
+  return createResponse(200, formatTransaction(item));
+}
+
+// PUT/PATCH /api/records/{id} - USER FILTERED
+// Only the fields sent are changed; created_at and recurring_transaction_id are kept.
+async function updateTransaction(id, data, userId) {
+  const existing = await getTransactionItem(id, userId);
+  
+  if (!existing) {
+    return createResponse(404, { error: 'Transaction not found' });
+  }
+  
+  const changes = validate(transactionSchema, data, { partial: true });
+  
+  if (Object.keys(changes).length === 0) {
+    const updatableFields = Object.keys(transactionSchema.properties);
+    throw validationError([{ field: 'body', message: `must include one or more of: ${updatableFields.join(', ')}` }]);
+  }
+  
+  if (changes.currency !== undefined) {
+    await requireExchangeRate(changes.currency, await getBaseCurrency(userId), queryExchangeRates);
+  }
+  
+  let updateExpression = 'SET updated_at = :updated_at';
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {
+    ':updated_at': new Date().toISOString()
+  };
+  
+  Object.entries(changes).forEach(([field, value]) => {
+    updateExpression += `, #${field} = :${field}`;
+    expressionAttributeNames[`#${field}`] = field;
+    expressionAttributeValues[`:${field}`] = value;
+  });
+  
+  // Month/category analysis reads the index keys, so they must follow date and category
+  if (changes.date !== undefined || changes.category !== undefined) {
+    const keys = getTransactionIndexKeys(userId, {
+      date: changes.date !== undefined ? changes.date : existing.date,
+      category: changes.category !== undefined ? changes.category : existing.category,
+      id
+    });
+    updateExpression += ', GSI1PK = :gsi1pk, GSI1SK = :gsi1sk';
+    expressionAttributeValues[':gsi1pk'] = keys.GSI1PK;
+    expressionAttributeValues[':gsi1sk'] = keys.GSI1SK;
+  }
+  
+  let result;
+  try {
+    result = await dynamodb.send(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: {
+        PK: `USER#${userId}#TRANSACTION`,
+        SK: 'TRANSACTION#' + id
+      },
+      UpdateExpression: updateExpression,
+      ConditionExpression: 'attribute_exists(PK)',
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createResponse(404, { error: 'Transaction not found' });
+    }
+    throw error;
+  }
+  
+  console.log(`Updated transaction ${id} for user ${userId}: ${Object.keys(changes).join(', ')}`);
+  
+  return createResponse(200, formatTransaction(result.Attributes));
+}
+
+// POST /api/records/import - USER FILTERED
+// Body: { format: csv|ofx|qfx|qif, content, mapping?, options? }. Each statement line becomes
+// a transaction like POST /api/records writes. Ids are derived from the bank's FITID, or
+// else from date + amount + description, so importing an overlapping statement again skips
+// the lines already imported. Responds with a report of created, duplicate and rejected rows.
+async function importTransactions(data, userId, memberId) {
+  const format = data.format;
+  const mapping = data.mapping || {};
+  const options = data.options || {};
+  
+  const statement = readStatement(format, data.content, { mapping, options });
+  
+  if (statement.errors.length > 0) {
+    throw validationError(statement.errors.map(message => ({ field: 'content', message })));
+  }
+  if (statement.entries.length > MAX_IMPORT_ROWS) {
+    throw validationError([{ field: 'content', message: `must contain at most ${MAX_IMPORT_ROWS} transactions` }]);
+  }
+  
+  const baseCurrency = await getBaseCurrency(userId);
+  const createdAt = new Date().toISOString();
+  const report = { created: [], skipped_duplicates: [], rejected: [] };
+  const candidates = [];
+  const seenIds = new Set();
+  const rowCounts = new Map();
+  
+  statement.entries.forEach(entry => {
+    const { id, key } = getImportId(entry, rowCounts);
+    
+    if (seenIds.has(id)) {
+      report.skipped_duplicates.push({ row: entry.row, id, reason: 'duplicate of an earlier row in this file' });
+      return;
+    }
+    seenIds.add(id);
+    
+    const { transaction, reasons } = toImportedTransaction(entry, options, baseCurrency);
+    if (reasons.length > 0) {
+      report.rejected.push({ row: entry.row, reasons });
+      return;
+    }
+    
+    candidates.push({
+      entry,
+      item: {
+        PK: `USER#${userId}#TRANSACTION`,
+        SK: 'TRANSACTION#' + id,
+        ...getTransactionIndexKeys(userId, { date: transaction.date, category: transaction.category, id }),
+        id,
+        ...transaction,
+        import_key: key,
+        import_format: format,
+        created_by: memberId,
+        created_at: createdAt,
+        user_id: userId
+      }
+    });
+  });
+  
+  const existingIds = await getExistingTransactionIds(candidates.map(({ item }) => item.SK), userId);
+  const unconvertible = await getUnconvertibleCurrencies(candidates.map(({ item }) => item.currency), baseCurrency);
+  const newItems = [];
+  
+  candidates.forEach(({ entry, item }) => {
+    if (unconvertible.has(item.currency)) {
+      report.rejected.push({ row: entry.row, reasons: [unconvertible.get(item.currency)] });
+      return;
+    }
+    if (existingIds.has(item.id)) {
+      report.skipped_duplicates.push({ row: entry.row, id: item.id, reason: 'already imported' });
+      return;
+    }
+    newItems.push(item);
+    report.created.push({
+      row: entry.row,
+      id: item.id,
+      date: item.date,
+      type: item.type,
+      category: item.category,
+      amount: item.amount,
+      currency: item.currency,
+      note: item.note
+    });
+  });
+  
+  await batchWriteItems(newItems);
+  
+  console.log(`Imported ${newItems.length} of ${statement.entries.length} ${format} transactions for user ${userId}`);
+  
+  return createResponse(200, {
+    format,
+    total_rows: statement.entries.length,
+    summary: {
+      created: report.created.length,
+      skipped_duplicates: report.skipped_duplicates.length,
+      rejected: report.rejected.length
+    },
+    ...report
+  });
+}
+
+// Deterministic transaction id for a statement line. Identical lines without a FITID (two
+// coffees on the same day) are told apart by their position among identical lines.
+function getImportId(entry, rowCounts) {
+  let key;
+  if (entry.fitid) {
+    key = `FITID|${entry.account || ''}|${entry.fitid}`;
+  } else {
+    const line = `ROW|${entry.date}|${entry.amount}|${entry.description.toLowerCase()}`;
+    const count = (rowCounts.get(line) || 0) + 1;
+    rowCounts.set(line, count);
+    key = `${line}|${count}`;
+  }
+  
+  const id = 'imp-' + createHash('sha1').update(key).digest('hex').substring(0, 20);
+  return { id, key };
+}
+
+// Statement entry -> the fields POST /api/records stores, validated the same way
+function toImportedTransaction(entry, options, baseCurrency) {
+  const reasons = [...entry.errors];
+  
+  if (reasons.length > 0) {
+    return { transaction: null, reasons };
+  }
+  
+  const typeCell = (entry.type || '').toLowerCase();
+  let type;
+  if (['income', 'credit', 'deposit'].includes(typeCell)) {
+    type = 'income';
+  } else if (['expense', 'debit', 'withdrawal', 'payment'].includes(typeCell)) {
+    type = 'expense';
+  } else {
+    type = entry.amount < 0 ? 'expense' : 'income';
+  }
+  
+  const candidate = {
+    type,
+    category: entry.category || options.default_category || DEFAULT_IMPORT_CATEGORY,
+    amount: Math.abs(entry.amount),
+    currency: options.currency || entry.currency || baseCurrency,
+    // Long bank descriptions are cut rather than rejecting the line
+    note: entry.description.substring(0, fields.text.maxLength),
+    date: entry.date
+  };
+  
+  try {
+    return { transaction: validate(transactionSchema, candidate), reasons };
+  } catch (error) {
+    if (!error.details) {
+      throw error;
+    }
+    return { transaction: null, reasons: error.details.map(detail => `${detail.field} ${detail.message}`) };
+  }
+}
+
+// currency -> rejection reason, for the currencies among `currencies` that have no stored
+// rate to convert them to the base currency with
+async function getUnconvertibleCurrencies(currencies, baseCurrency) {
+  const reasons = new Map();
+  
+  for (const currency of new Set(currencies)) {
+    try {
+      await requireExchangeRate(currency, baseCurrency, queryExchangeRates);
+    } catch (error) {
+      if (!error.details) {
+        throw error;
+      }
+      reasons.set(currency, error.details.map(detail => `${detail.field} ${detail.message}`).join('; '));
+    }
+  }
+  
+  return reasons;
+}
+
+// Ids among the given transaction sort keys that are already stored
+async function getExistingTransactionIds(sortKeys, userId) {
+  const existing = new Set();
+  
+  for (let i = 0; i < sortKeys.length; i += 100) {
+    let requestItems = {
+      [TABLE_NAME]: {
+        Keys: sortKeys.slice(i, i + 100).map(SK => ({ PK: `USER#${userId}#TRANSACTION`, SK })),
+        ProjectionExpression: 'id'
+      }
+    };
+    
+    // Retry whatever DynamoDB didn't process
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamodb.send(new BatchGetCommand({ RequestItems: requestItems }));
+      (result.Responses?.[TABLE_NAME] || []).forEach(item => existing.add(item.id));
+      requestItems = result.UnprocessedKeys;
+    }
+  }
+  
+  return existing;
+}
+
+async function batchWriteItems(items) {
+  const writeRequests = items.map(item => ({ PutRequest: { Item: item } }));
+  
+  // Batch write in chunks of 25 (DynamoDB limit)
+  const chunks = [];
+  for (let i = 0; i < writeRequests.length; i += 25) {
+    chunks.push(writeRequests.slice(i, i + 25));
+  }
+  
+  for (const chunk of chunks) {
+    let requestItems = { [TABLE_NAME]: chunk };
+    
+    // Retry whatever DynamoDB didn't process
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamodb.send(new BatchWriteCommand({ RequestItems: requestItems }));
+      requestItems = result.UnprocessedItems;
+    }
+  }
+}
+
+async function getTransactionItem(id, userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: {
+      PK: `USER#${userId}#TRANSACTION`,
+      SK: 'TRANSACTION#' + id
+    }
+  }));
+  
+  return result.Item || null;
+}
+
+function parseListFilters(query) {
+  const filters = {
+    limit: DEFAULT_PAGE_SIZE,
+    ...validate(listQuerySchema, query)
+  };
+  
+  if (filters.q !== undefined) {
+    filters.q = filters.q.toLowerCase();
+  }
+  
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw validationError([{ field: 'from', message: 'cannot be after to' }]);
+  }
+  
+  if (filters.min_amount !== undefined && filters.max_amount !== undefined && filters.min_amount > filters.max_amount) {
+    throw validationError([{ field: 'min_amount', message: 'cannot be greater than max_amount' }]);
+  }
+  
+  return filters;
+}
+
+// Date range is a key condition on the user's date-ordered index; everything except the
+// case-insensitive note search is a DynamoDB filter
+function buildListQuery(filters, userId) {
+  const conditions = [];
+  const names = {};
+  const values = {
+    ':gsi1pk': getTransactionIndexPartition(userId),
+    ':fromKey': filters.from || '0000-00-00',
+    ':toKey': `${filters.to || '9999-12-31'}\uffff`
+  };
+  
+  if (filters.category) {
+    conditions.push('category = :category');
+    values[':category'] = filters.category;
+  }
+  
+  if (filters.type) {
+    // Handlers write both 'Expense' and 'expense'
+    conditions.push('#type IN (:type, :typeTitle)');
+    names['#type'] = 'type';
+    values[':type'] = filters.type;
+    values[':typeTitle'] = filters.type.charAt(0).toUpperCase() + filters.type.slice(1);
+  }
+  
+  if (filters.currency) {
+    // Transactions from before currencies were tracked are USD
+    conditions.push(filters.currency === DEFAULT_CURRENCY
+      ? '(currency = :currency OR attribute_not_exists(currency))'
+      : 'currency = :currency');
+    values[':currency'] = filters.currency;
+  }
+  
+  if (filters.min_amount !== undefined) {
+    conditions.push('amount >= :minAmount');
+    values[':minAmount'] = filters.min_amount;
+  }
+  
+  if (filters.max_amount !== undefined) {
+    conditions.push('amount <= :maxAmount');
+    values[':maxAmount'] = filters.max_amount;
+  }
+  
+  const params = {
+    TableName: TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :gsi1pk AND GSI1SK BETWEEN :fromKey AND :toKey',
+    ExpressionAttributeValues: values,
+    ScanIndexForward: false
+  };
+  
+  if (conditions.length > 0) {
+    params.FilterExpression = conditions.join(' AND ');
+  }
+  
+  if (Object.keys(names).length > 0) {
+    params.ExpressionAttributeNames = names;
+  }
+  
+  return params;
+}
+
+function matchesTextSearch(item, q) {
+  return !q || (item.note || '').toLowerCase().includes(q);
+}
+
+// Totals over every matching transaction, converted to the user's base currency and
+// summed in cents - see shared/currency.js and shared/money.js. Transactions without an
+// exchange rate are counted but left out of the sums and listed in `unconverted`.
+async function calculateTotals(items, userId) {
+  const baseCurrency = await getBaseCurrency(userId);
+  const converter = await loadConverter(baseCurrency, items, queryExchangeRates);
+  
+  let income = 0;
+  let expenses = 0;
+  const unconverted = [];
+  
+  items.forEach(item => {
+    const amount = converter.toBaseCents(item.amount, getCurrency(item), item.date);
+    if (amount === null) {
+      unconverted.push(describeUnconverted(item));
+    } else if (String(item.type).toLowerCase() === 'income') {
+      income += amount;
+    } else {
+      expenses += amount;
+    }
+  });
+  
+  return {
+    count: items.length,
+    currency: baseCurrency,
+    income: fromCents(income),
+    expenses: fromCents(expenses),
+    net: fromCents(income - expenses),
+    unconverted
+  };
+}
+
+async function getBaseCurrency(userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: getUserSettingsKeys(userId)
+  }));
+  return result.Item?.base_currency || DEFAULT_CURRENCY;
+}
+
+async function queryExchangeRates(currency) {
+  const items = [];
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamodb.send(new QueryCommand({
+      TableName: TABLE_NAME,
+      ...getExchangeRateQuery(currency),
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+    items.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return items;
+}
+
+// Cursors are opaque to clients: base64url JSON of the last returned key plus the totals
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && cursor.key && cursor.totals ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatTransaction(item) {
+  return {
+    id: item.id,
+    type: item.type,
+    category: item.category,
+    amount: roundMoney(item.amount),
+    currency: getCurrency(item),
+    note: item.note || '',
+    date: item.date,
+    recurring_transaction_id: item.recurring_transaction_id || null,
+    created_by: item.created_by || null,
+    created_at: item.created_at,
+    updated_at: item.updated_at || null
+  };
+}
+
+async function getItem(key) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: key
+  }));
+  return result.Item || null;
+}
@@ -1,14 +1,18 @@
 // lib/spendsmart-stack.ts
 import * as cdk from 'aws-cdk-lib';
 import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as lambdaEventSources from 'aws-cdk-lib/aws-lambda-event-sources';
 import * as apigateway from 'aws-cdk-lib/aws-apigateway';
 import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
 import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as sqs from 'aws-cdk-lib/aws-sqs';
 import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
 import * as origins from 'aws-cdk-lib/aws-cloudfront-origins';
 import * as iam from 'aws-cdk-lib/aws-iam';
 import * as logs from 'aws-cdk-lib/aws-logs';
 import * as cognito from 'aws-cdk-lib/aws-cognito';
+import * as events from 'aws-cdk-lib/aws-events';
+import * as targets from 'aws-cdk-lib/aws-events-targets';
 import { Construct } from 'constructs';
 
 interface SpendSmartStackProps extends cdk.StackProps {
@@ -19,6 +23,7 @@ export class SpendSmartStack extends cdk.Stack {
   public readonly api: apigateway.RestApi;
   public readonly table: dynamodb.Table;
   public readonly websiteBucket: s3.Bucket;
+  public readonly exportBucket: s3.Bucket;
   public readonly distribution: cloudfront.Distribution;
   public readonly userPool: cognito.UserPool;
   public readonly userPoolClient: cognito.UserPoolClient;
@@ -39,6 +44,8 @@ export class SpendSmartStack extends cdk.Stack {
         type: dynamodb.AttributeType.STRING
       },
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      // Stream feeds the spending alerts and rollover consumers
+      stream: dynamodb.StreamViewType.NEW_AND_OLD_IMAGES,
       removalPolicy: stage === 'prod' ? cdk.RemovalPolicy.RETAIN : cdk.RemovalPolicy.DESTROY
     });
 
@@ -115,6 +122,16 @@ export class SpendSmartStack extends cdk.Stack {
       preventUserExistenceErrors: true,
     });
 
+    // Private bucket for data exports, downloaded through presigned URLs
+    this.exportBucket = new s3.Bucket(this, 'ExportBucket', {
+      removalPolicy: cdk.RemovalPolicy.DESTROY,
+      autoDeleteObjects: true,
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      lifecycleRules: [{ expiration: cdk.Duration.days(1) }]
+    });
+
     // Common Lambda configuration with Cognito info
     const lambdaDefaults = {
       runtime: lambda.Runtime.NODEJS_18_X,
@@ -154,6 +171,15 @@ export class SpendSmartStack extends cdk.Stack {
       description: 'Handles budgets and budget analysis operations'
     });
 
+    const rolloverStreamLambda = new lambda.Function(this, 'RolloverStreamFunction', {
+      ...lambdaDefaults,
+      timeout: cdk.Duration.minutes(5),
+      functionName: `spendsmart-rollover-stream-${stage}`,
+      code: lambda.Code.fromAsset('lambda'),
+      handler: 'budgets.streamHandler',
+      description: 'Recomputes envelope rollover when expenses or envelopes change'
+    });
+
     const recurringTransactionsLambda = new lambda.Function(this, 'RecurringTransactionsFunction', {
       ...lambdaDefaults,
       functionName: `spendsmart-recurring-transactions-${stage}`,
@@ -162,6 +188,15 @@ export class SpendSmartStack extends cdk.Stack {
       description: 'Handles recurring transaction operations'
     });
 
+    const recurringSchedulerLambda = new lambda.Function(this, 'RecurringSchedulerFunction', {
+      ...lambdaDefaults,
+      timeout: cdk.Duration.minutes(5),
+      functionName: `spendsmart-recurring-scheduler-${stage}`,
+      code: lambda.Code.fromAsset('lambda'),
+      handler: 'recurring-transactions.scheduledHandler',
+      description: 'Executes due recurring transactions for all users on a daily schedule'
+    });
+
     const spendingAlertsLambda = new lambda.Function(this, 'SpendingAlertsFunction', {
       ...lambdaDefaults,
       functionName: `spendsmart-spending-alerts-${stage}`,
@@ -170,6 +205,14 @@ export class SpendSmartStack extends cdk.Stack {
       description: 'Handles spending alerts operations'
     });
 
+    const spendingAlertsStreamLambda = new lambda.Function(this, 'SpendingAlertsStreamFunction', {
+      ...lambdaDefaults,
+      functionName: `spendsmart-spending-alerts-stream-${stage}`,
+      code: lambda.Code.fromAsset('lambda'),
+      handler: 'spending-alerts.streamHandler',
+      description: 'Re-evaluates spending alerts when transactions are written'
+    });
+
     const analyticsLambda = new lambda.Function(this, 'AnalyticsFunction', {
       ...lambdaDefaults,
       functionName: `spendsmart-analytics-${stage}`,
@@ -186,14 +229,123 @@ export class SpendSmartStack extends cdk.Stack {
       description: 'Handles goals and contributions operations'
     });
 
+    const forecastLambda = new lambda.Function(this, 'ForecastFunction', {
+      ...lambdaDefaults,
+      functionName: `spendsmart-forecast-${stage}`,
+      code: lambda.Code.fromAsset('lambda'),
+      handler: 'forecast.handler',
+      description: 'Projects daily balance from transactions, recurring schedules and spending history'
+    });
+
+    const settingsLambda = new lambda.Function(this, 'SettingsFunction', {
+      ...lambdaDefaults,
+      functionName: `spendsmart-settings-${stage}`,
+      code: lambda.Code.fromAsset('lambda'),
+      handler: 'settings.handler',
+      description: 'Handles per-user settings such as the base currency'
+    });
+
+    const exportLambda = new lambda.Function(this, 'ExportFunction', {
+      ...lambdaDefaults,
+      functionName: `spendsmart-export-${stage}`,
+      code: lambda.Code.fromAsset('lambda'),
+      handler: 'export.handler',
+      description: 'Exports user data as CSV, JSON or OFX and restores JSON backups',
+      memorySize: 512,
+      environment: {
+        ...lambdaDefaults.environment,
+        EXPORT_BUCKET_NAME: this.exportBucket.bucketName
+      }
+    });
+
+    const householdsLambda = new lambda.Function(this, 'HouseholdsFunction', {
+      ...lambdaDefaults,
+      functionName: `spendsmart-households-${stage}`,
+      code: lambda.Code.fromAsset('lambda'),
+      handler: 'households.handler',
+      description: 'Handles shared households, their members and invitations'
+    });
+
     // Grant DynamoDB permissions
     this.table.grantReadWriteData(transactionsLambda);
     this.table.grantReadWriteData(budgetTemplatesLambda);
     this.table.grantReadWriteData(budgetsLambda);
+    this.table.grantReadWriteData(rolloverStreamLambda);
     this.table.grantReadWriteData(recurringTransactionsLambda);
+    this.table.grantReadWriteData(recurringSchedulerLambda);
     this.table.grantReadWriteData(spendingAlertsLambda);
+    this.table.grantReadWriteData(spendingAlertsStreamLambda);
     this.table.grantReadWriteData(analyticsLambda);
     this.table.grantReadWriteData(goalsLambda);
+    this.table.grantReadData(forecastLambda);
+    this.table.grantReadWriteData(settingsLambda);
+    this.table.grantReadWriteData(exportLambda);
+    this.exportBucket.grantReadWrite(exportLambda);
+    this.table.grantReadWriteData(householdsLambda);
+
+    // Stream records the consumers still fail on after their retries. The queues hold where
+    // each failed batch is in the stream (not the records), to be replayed or fixed by hand.
+    const streamFailureQueue = (id: string, name: string) => new sqs.Queue(this, id, {
+      queueName: `spendsmart-${name}-failures-${stage}`,
+      retentionPeriod: cdk.Duration.days(14),
+      encryption: sqs.QueueEncryption.SQS_MANAGED
+    });
+
+    // Transaction writes trigger alert evaluation for the affected category/month
+    spendingAlertsStreamLambda.addEventSource(new lambdaEventSources.DynamoEventSource(this.table, {
+      startingPosition: lambda.StartingPosition.LATEST,
+      batchSize: 100,
+      maxBatchingWindow: cdk.Duration.seconds(30),
+      bisectBatchOnError: true,
+      retryAttempts: 3,
+      reportBatchItemFailures: true,
+      onFailure: new lambdaEventSources.SqsDlq(streamFailureQueue('SpendingAlertsStreamFailures', 'spending-alerts-stream')),
+      filters: [
+        lambda.FilterCriteria.filter({
+          dynamodb: {
+            Keys: {
+              SK: { S: lambda.FilterRule.beginsWith('TRANSACTION#') }
+            }
+          }
+        })
+      ]
+    }));
+
+    // Expense writes and envelope edits walk rollover forward through the following months.
+    // Envelopes are the only items with rollover_amount.
+    rolloverStreamLambda.addEventSource(new lambdaEventSources.DynamoEventSource(this.table, {
+      startingPosition: lambda.StartingPosition.LATEST,
+      batchSize: 100,
+      maxBatchingWindow: cdk.Duration.seconds(30),
+      bisectBatchOnError: true,
+      retryAttempts: 3,
+      reportBatchItemFailures: true,
+      onFailure: new lambdaEventSources.SqsDlq(streamFailureQueue('RolloverStreamFailures', 'rollover-stream')),
+      filters: [
+        lambda.FilterCriteria.filter({
+          dynamodb: {
+            Keys: {
+              SK: { S: lambda.FilterRule.beginsWith('TRANSACTION#') }
+            }
+          }
+        }),
+        lambda.FilterCriteria.filter({
+          dynamodb: {
+            OldImage: {
+              rollover_amount: { N: lambda.FilterRule.exists() }
+            }
+          }
+        })
+      ]
+    }));
+
+    // Daily run that posts due (and missed) recurring transactions for every user
+    new events.Rule(this, 'RecurringExecutionSchedule', {
+      ruleName: `spendsmart-recurring-execution-${stage}`,
+      description: 'Executes due recurring transactions daily',
+      schedule: events.Schedule.cron({ minute: '0', hour: '6' }),
+      targets: [new targets.LambdaFunction(recurringSchedulerLambda, { retryAttempts: 2 })]
+    });
 
     // API Gateway - FIXED CORS CONFIGURATION
     this.api = new apigateway.RestApi(this, 'SpendSmartAPI', {
@@ -202,7 +354,7 @@ export class SpendSmartStack extends cdk.Stack {
       defaultCorsPreflightOptions: {
         allowOrigins: apigateway.Cors.ALL_ORIGINS,
         allowMethods: apigateway.Cors.ALL_METHODS,
-        allowHeaders: ['Content-Type', 'Authorization', 'X-User-ID']
+        allowHeaders: ['Content-Type', 'Authorization', 'X-Household-ID']
       },
       deployOptions: {
         stageName: stage
@@ -218,10 +370,20 @@ export class SpendSmartStack extends cdk.Stack {
     records.addMethod('GET', transactionsIntegration);
     records.addMethod('POST', transactionsIntegration);
 
-    // Add records by ID resource for DELETE operations
+    // Records by ID
     const recordById = records.addResource('{id}');
+    // GET /api/records/{id} - get a single transaction
+    // PUT/PATCH /api/records/{id} - partial update
+    // DELETE /api/records/{id} - delete transaction
+    recordById.addMethod('GET', transactionsIntegration);
+    recordById.addMethod('PUT', transactionsIntegration);
+    recordById.addMethod('PATCH', transactionsIntegration);
     recordById.addMethod('DELETE', transactionsIntegration);
 
+    // POST /api/records/import - import a CSV/OFX/QFX/QIF bank statement
+    const recordsImport = records.addResource('import');
+    recordsImport.addMethod('POST', transactionsIntegration);
+
     // Budget Templates endpoints
     const budgetTemplates = api.addResource('budget-templates');
     const budgetTemplatesIntegration = new apigateway.LambdaIntegration(budgetTemplatesLambda);
@@ -234,6 +396,12 @@ export class SpendSmartStack extends cdk.Stack {
     // Template-specific operations
     const templateName = budgetTemplates.addResource('{templateName}');
     
+    // GET /api/budget-templates/{templateName} - template with its categories
+    templateName.addMethod('GET', budgetTemplatesIntegration);
+    // PUT /api/budget-templates/{templateName} - replace or merge categories
+    templateName.addMethod('PUT', budgetTemplatesIntegration);
+    // PATCH /api/budget-templates/{templateName} - rename template
+    templateName.addMethod('PATCH', budgetTemplatesIntegration);
     // DELETE /api/budget-templates/{templateName} - delete template
     templateName.addMethod('DELETE', budgetTemplatesIntegration);
     
@@ -241,6 +409,18 @@ export class SpendSmartStack extends cdk.Stack {
     const copyAction = templateName.addResource('copy');
     copyAction.addMethod('POST', budgetTemplatesIntegration);
 
+    // GET /api/budget-templates/{templateName}/versions - version history
+    templateName.addResource('versions').addMethod('GET', budgetTemplatesIntegration);
+
+    // POST /api/budget-templates/{templateName}/categories - add a category
+    const templateCategories = templateName.addResource('categories');
+    templateCategories.addMethod('POST', budgetTemplatesIntegration);
+
+    // PUT/DELETE /api/budget-templates/{templateName}/categories/{category} - change or remove one
+    const templateCategory = templateCategories.addResource('{category}');
+    templateCategory.addMethod('PUT', budgetTemplatesIntegration);
+    templateCategory.addMethod('DELETE', budgetTemplatesIntegration);
+
     // Budgets endpoints
     const budgets = api.addResource('budgets');
     const budgetsIntegration = new apigateway.LambdaIntegration(budgetsLambda);
@@ -251,12 +431,34 @@ export class SpendSmartStack extends cdk.Stack {
     budgetMonth.addMethod('GET', budgetsIntegration);
     budgetMonth.addMethod('PUT', budgetsIntegration);
 
+    // POST /api/budgets/{template}/{month}/transfers - move money between envelopes
+    // GET  /api/budgets/{template}/{month}/transfers - the month's transfer log
+    const budgetTransfers = budgetMonth.addResource('transfers');
+    budgetTransfers.addMethod('GET', budgetsIntegration);
+    budgetTransfers.addMethod('POST', budgetsIntegration);
+
+    // POST /api/budgets/{template}/{month}/open|close|reopen - a month's lifecycle; GET on the
+    // month only previews until it's opened
+    budgetMonth.addResource('open').addMethod('POST', budgetsIntegration);
+    budgetMonth.addResource('close').addMethod('POST', budgetsIntegration);
+    budgetMonth.addResource('reopen').addMethod('POST', budgetsIntegration);
+
+    // POST /api/budgets/{template}/apply-version - apply a template version to a month range
+    const applyVersion = budgetTemplate.addResource('apply-version');
+    applyVersion.addMethod('POST', budgetsIntegration);
+
+    // POST /api/budgets/{template}/recompute-rollover - rederive rollover from a month onward
+    const recomputeRollover = budgetTemplate.addResource('recompute-rollover');
+    recomputeRollover.addMethod('POST', budgetsIntegration);
+
     // Budget Analysis endpoints
     const budgetAnalysis = api.addResource('budget-analysis');
     const budgetAnalysisIntegration = new apigateway.LambdaIntegration(budgetsLambda);
     
+    // GET /api/budget-analysis/{template}?from=&to= - per-month analysis over a range
     // GET /api/budget-analysis/{template}/{month} - get spending analysis
     const analysisTemplate = budgetAnalysis.addResource('{template}');
+    analysisTemplate.addMethod('GET', budgetAnalysisIntegration);
     const analysisMonth = analysisTemplate.addResource('{month}');
     analysisMonth.addMethod('GET', budgetAnalysisIntegration);
 
@@ -286,6 +488,10 @@ export class SpendSmartStack extends cdk.Stack {
     const executeAction = recurringById.addResource('execute');
     executeAction.addMethod('POST', recurringIntegration);
 
+    // POST /api/recurring/{id}/skip - skip a single occurrence
+    const skipAction = recurringById.addResource('skip');
+    skipAction.addMethod('POST', recurringIntegration);
+
     // POST /api/recurring/execute-due - execute all due transactions
     const executeDue = recurring.addResource('execute-due');
     executeDue.addMethod('POST', recurringIntegration);
@@ -313,6 +519,23 @@ export class SpendSmartStack extends cdk.Stack {
     alertById.addMethod('PUT', spendingAlertsIntegration);
     alertById.addMethod('DELETE', spendingAlertsIntegration);
 
+    // PATCH /api/alerts/{id}/read - mark triggered alert as read
+    // PATCH /api/alerts/{id}/dismiss - dismiss triggered alert
+    alertById.addResource('read').addMethod('PATCH', spendingAlertsIntegration);
+    alertById.addResource('dismiss').addMethod('PATCH', spendingAlertsIntegration);
+
+    // PATCH /api/alerts/dismiss-all/{month} - dismiss all triggered alerts for a month
+    const dismissAll = alerts.addResource('dismiss-all');
+    dismissAll.addResource('{month}').addMethod('PATCH', spendingAlertsIntegration);
+
+    // POST /api/alerts/evaluate - run active rules against the month's spending
+    const evaluateAlerts = alerts.addResource('evaluate');
+    evaluateAlerts.addMethod('POST', spendingAlertsIntegration);
+
+    // GET /api/alerts/triggered - get triggered alerts
+    const triggeredAlerts = alerts.addResource('triggered');
+    triggeredAlerts.addMethod('GET', spendingAlertsIntegration);
+
     // Analytics endpoints
     const analytics = api.addResource('analytics');
     const analyticsIntegration = new apigateway.LambdaIntegration(analyticsLambda);
@@ -358,6 +581,65 @@ export class SpendSmartStack extends cdk.Stack {
     // DELETE /api/goals/contributions/{contributionId} - delete contribution
     contributionById.addMethod('DELETE', goalsIntegration);
 
+    // Forecast endpoint
+    const forecast = api.addResource('forecast');
+    const forecastIntegration = new apigateway.LambdaIntegration(forecastLambda);
+
+    // GET /api/forecast?days=90 - projected daily balance
+    forecast.addMethod('GET', forecastIntegration);
+
+    // Settings endpoint
+    const settings = api.addResource('settings');
+    const settingsIntegration = new apigateway.LambdaIntegration(settingsLambda);
+
+    // GET /api/settings - base currency and other per-user settings
+    settings.addMethod('GET', settingsIntegration);
+    // PUT /api/settings - update them
+    settings.addMethod('PUT', settingsIntegration);
+
+    // Export endpoint
+    const exportIntegration = new apigateway.LambdaIntegration(exportLambda);
+    const dataExport = api.addResource('export');
+    // GET /api/export?format=csv|json|ofx&from=&to= - presigned download of the user's data
+    dataExport.addMethod('GET', exportIntegration);
+
+    // POST /api/import - restore a JSON export
+    const dataImport = api.addResource('import');
+    dataImport.addMethod('POST', exportIntegration);
+
+    // Households endpoints
+    const households = api.addResource('households');
+    const householdsIntegration = new apigateway.LambdaIntegration(householdsLambda);
+
+    // GET /api/households - households the caller belongs to
+    households.addMethod('GET', householdsIntegration);
+    // POST /api/households - create one, owned by the caller
+    households.addMethod('POST', householdsIntegration);
+
+    // POST /api/households/invitations/accept - join with an invitation token
+    const acceptInvitation = households.addResource('invitations').addResource('accept');
+    acceptInvitation.addMethod('POST', householdsIntegration);
+
+    const householdById = households.addResource('{householdId}');
+    // GET /api/households/{householdId} - the household and its members
+    householdById.addMethod('GET', householdsIntegration);
+    // PATCH /api/households/{householdId} - rename
+    householdById.addMethod('PATCH', householdsIntegration);
+
+    const invitations = householdById.addResource('invitations');
+    // GET /api/households/{householdId}/invitations - open invitations
+    invitations.addMethod('GET', householdsIntegration);
+    // POST /api/households/{householdId}/invitations - invite with a role
+    invitations.addMethod('POST', householdsIntegration);
+    // DELETE /api/households/{householdId}/invitations/{invitationId} - revoke
+    invitations.addResource('{invitationId}').addMethod('DELETE', householdsIntegration);
+
+    const memberById = householdById.addResource('members').addResource('{memberId}');
+    // PUT /api/households/{householdId}/members/{memberId} - change a member's role
+    memberById.addMethod('PUT', householdsIntegration);
+    // DELETE /api/households/{householdId}/members/{memberId} - remove a member, or leave
+    memberById.addMethod('DELETE', householdsIntegration);
+
     // Health check (existing)
     const health = api.addResource('health');
     health.addMethod('GET', new apigateway.MockIntegration({
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Registers the owners of existing recurring transactions with the daily scheduler.
+//
+// recurring-transactions.scheduledHandler only visits users listed under
+// SYSTEM#RECURRING_USERS, and a user is added there when they create, update, toggle or
+// execute a recurring item. Items written before the scheduler existed have owners nobody
+// registered, so their occurrences would never be posted automatically.
+//
+// Usage:
+//   DYNAMODB_TABLE_NAME=SpendSmart-Data-dev node scripts/backfill-recurring-users.js [--dry-run]
+//   node scripts/backfill-recurring-users.js --table SpendSmart-Data-dev [--dry-run]
+//
+// Safe to re-run: registering a user twice just rewrites the same item.
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+const args = process.argv.slice(2);
+const tableArg = args.indexOf('--table');
+const TABLE_NAME = tableArg >= 0 ? args[tableArg + 1] : process.env.DYNAMODB_TABLE_NAME;
+const DRY_RUN = args.includes('--dry-run');
+
+const dynamodb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+// Must match recurring-transactions.js
+const RECURRING_USERS_PK = 'SYSTEM#RECURRING_USERS';
+const RECURRING_PK = /^USER#(.+)#RECURRING#.+$/;
+
+async function main() {
+  if (!TABLE_NAME) {
+    console.error('Table name required: pass --table <name> or set DYNAMODB_TABLE_NAME');
+    process.exit(1);
+  }
+
+  console.log(`Registering recurring users in ${TABLE_NAME}${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const counts = { scanned: 0, recurring_items: 0, users: 0, failed: 0 };
+  const userIds = new Set();
+  let lastEvaluatedKey;
+
+  // Recurring items are only indexed per user, so finding every owner takes a one-off Scan
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: TABLE_NAME,
+      FilterExpression: 'SK = :sk AND begins_with(PK, :prefix)',
+      ExpressionAttributeValues: {
+        ':sk': 'METADATA',
+        ':prefix': 'USER#'
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+
+    for (const item of result.Items || []) {
+      counts.scanned++;
+
+      const match = RECURRING_PK.exec(item.PK);
+      if (!match) {
+        continue;
+      }
+
+      counts.recurring_items++;
+      userIds.add(item.user_id || match[1]);
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  for (const userId of userIds) {
+    try {
+      await registerRecurringUser(userId);
+      counts.users++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`Failed to register user ${userId}:`, error.message);
+    }
+  }
+
+  console.log('Done:', JSON.stringify(counts));
+
+  if (counts.failed > 0) {
+    process.exit(1);
+  }
+}
+
+async function registerRecurringUser(userId) {
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}register ${userId}`);
+
+  if (DRY_RUN) {
+    return;
+  }
+
+  await dynamodb.send(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: {
+      PK: RECURRING_USERS_PK,
+      SK: `USER#${userId}`,
+      user_id: userId,
+      updated_at: new Date().toISOString()
+    }
+  }));
+}
+
+main().catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
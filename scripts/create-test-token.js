@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Mints a bearer token for running the handlers offline (see lambda/shared/auth.js).
+//
+// Handlers only accept these tokens with AUTH_MODE=local and the same AUTH_LOCAL_SIGNING_KEY;
+// deployed stacks verify Cognito tokens and ignore them.
+//
+// Usage:
+//   AUTH_LOCAL_SIGNING_KEY=<secret> node scripts/create-test-token.js --sub user-1 [--expires-in 3600]
+
+const { signLocalToken } = require('../lambda/shared/auth');
+
+const args = process.argv.slice(2);
+const getArg = name => (args.indexOf(name) >= 0 ? args[args.indexOf(name) + 1] : undefined);
+const SUB = getArg('--sub');
+const EXPIRES_IN = Number(getArg('--expires-in') || 3600);
+const SIGNING_KEY = process.env.AUTH_LOCAL_SIGNING_KEY;
+
+if (!SUB || !SIGNING_KEY || !Number.isInteger(EXPIRES_IN) || EXPIRES_IN <= 0) {
+  console.error('Usage: AUTH_LOCAL_SIGNING_KEY=<secret> node scripts/create-test-token.js --sub <user id> [--expires-in <seconds>]');
+  process.exit(1);
+}
+
+console.log(signLocalToken({ sub: SUB }, SIGNING_KEY, EXPIRES_IN));
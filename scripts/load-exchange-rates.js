@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Loads exchange rates from a file into the table (see lambda/shared/currency.js).
+//
+// Rates are stored as units of a currency per 1 USD. Accepted files:
+//   - CSV with a header row: date,currency,rate     (USD-based, e.g. 2026-01-02,EUR,0.9123)
+//   - JSON array: [{ "date": "2026-01-02", "currency": "EUR", "rate": 0.9123 }]   (USD-based)
+//   - JSON object keyed by date, in any base currency:
+//       { "base": "EUR", "rates": { "2026-01-02": { "USD": 1.0961, "GBP": 0.8632 } } }
+//     Non-USD bases are rebased to USD, so every date needs a USD rate.
+//
+// Usage:
+//   node scripts/load-exchange-rates.js --file rates.csv --table SpendSmart-Data-dev [--dry-run]
+//
+// Re-loading a file overwrites the rates for the same currency and date.
+
+const fs = require('fs');
+const path = require('path');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+
+const { RATE_PIVOT_CURRENCY, isCurrencyCode, getExchangeRateKeys } = require('../lambda/shared/currency');
+const { isValidDate } = require('../lambda/shared/validation');
+
+const args = process.argv.slice(2);
+const getArg = name => (args.indexOf(name) >= 0 ? args[args.indexOf(name) + 1] : undefined);
+const TABLE_NAME = getArg('--table') || process.env.DYNAMODB_TABLE_NAME;
+const FILE = getArg('--file');
+const DRY_RUN = args.includes('--dry-run');
+
+// Matches the precision the converter works at
+const RATE_DECIMALS = 6;
+
+const dynamodb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+async function main() {
+  if (!TABLE_NAME || !FILE) {
+    console.error('Usage: node scripts/load-exchange-rates.js --file <rates.csv|rates.json> --table <name> [--dry-run]');
+    process.exit(1);
+  }
+
+  const rates = parseRates(FILE, fs.readFileSync(FILE, 'utf8'));
+  const errors = rates.map(validateRate).filter(Boolean);
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error));
+    console.error(`${errors.length} invalid rate(s); nothing was loaded`);
+    process.exit(1);
+  }
+
+  console.log(`Loading ${rates.length} rates from ${FILE} into ${TABLE_NAME}${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const writeRequests = rates.map(rate => ({
+    PutRequest: {
+      Item: {
+        ...getExchangeRateKeys(rate.currency, rate.date),
+        currency: rate.currency,
+        date: rate.date,
+        rate: rate.rate,
+        loaded_at: new Date().toISOString()
+      }
+    }
+  }));
+
+  if (DRY_RUN) {
+    rates.forEach(rate => console.log(`[dry run] ${rate.date} 1 ${RATE_PIVOT_CURRENCY} = ${rate.rate} ${rate.currency}`));
+    return;
+  }
+
+  for (let i = 0; i < writeRequests.length; i += 25) {
+    let requestItems = { [TABLE_NAME]: writeRequests.slice(i, i + 25) };
+
+    // Retry whatever DynamoDB didn't process
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamodb.send(new BatchWriteCommand({ RequestItems: requestItems }));
+      requestItems = result.UnprocessedItems;
+    }
+  }
+
+  console.log(`Done: loaded ${rates.length} rates`);
+}
+
+// [{ date, currency, rate }] in units per USD
+function parseRates(file, content) {
+  if (path.extname(file).toLowerCase() === '.csv') {
+    const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(column => column.trim().toLowerCase());
+    return lines.map(line => {
+      const values = line.split(',').map(value => value.trim());
+      const row = Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+      return { date: row.date, currency: (row.currency || '').toUpperCase(), rate: roundRate(Number(row.rate)) };
+    });
+  }
+
+  const data = JSON.parse(content);
+
+  if (Array.isArray(data)) {
+    return data.map(row => ({ date: row.date, currency: String(row.currency || '').toUpperCase(), rate: roundRate(Number(row.rate)) }));
+  }
+
+  const base = String(data.base || RATE_PIVOT_CURRENCY).toUpperCase();
+
+  return Object.entries(data.rates || {}).flatMap(([date, dayRates]) => {
+    const perBase = { ...dayRates, [base]: 1 };
+    // Units of base per USD on this date
+    const pivotRate = base === RATE_PIVOT_CURRENCY ? 1 : 1 / Number(perBase[RATE_PIVOT_CURRENCY]);
+
+    return Object.entries(perBase)
+      .filter(([currency]) => currency.toUpperCase() !== RATE_PIVOT_CURRENCY)
+      .map(([currency, rate]) => ({
+        date,
+        currency: currency.toUpperCase(),
+        rate: roundRate(Number(rate) * pivotRate)
+      }));
+  });
+}
+
+function validateRate(rate, index) {
+  if (!isValidDate(rate.date)) {
+    return `Rate ${index + 1}: invalid date ${JSON.stringify(rate.date)}`;
+  }
+  if (!isCurrencyCode(rate.currency) || rate.currency === RATE_PIVOT_CURRENCY) {
+    return `Rate ${index + 1}: invalid currency ${JSON.stringify(rate.currency)}`;
+  }
+  if (!Number.isFinite(rate.rate) || rate.rate <= 0) {
+    return `Rate ${index + 1}: rate must be a positive number (${rate.currency} on ${rate.date}; is ${RATE_PIVOT_CURRENCY} missing for a rebased date?)`;
+  }
+  return null;
+}
+
+function roundRate(rate) {
+  return Math.round(rate * 10 ** RATE_DECIMALS) / 10 ** RATE_DECIMALS;
+}
+
+main().catch(error => {
+  console.error('Loading exchange rates failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Rounds stored money attributes to whole cents (see lambda/shared/money.js).
+//
+// Before amounts were handled in cents, values were written straight from parseFloat and
+// float sums, so some items hold values like 19.990000000000002 (rollover_amount in
+// particular) or numeric strings. Each money attribute is rewritten as a number with at
+// most two decimals, rounded half away from zero.
+//
+// Usage:
+//   DYNAMODB_TABLE_NAME=SpendSmart-Data-dev node scripts/migrate-amounts.js [--dry-run]
+//   node scripts/migrate-amounts.js --table SpendSmart-Data-dev [--dry-run]
+//
+// Safe to re-run: items whose amounts are already exact are left alone.
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const { roundMoney } = require('../lambda/shared/money');
+
+const args = process.argv.slice(2);
+const tableArg = args.indexOf('--table');
+const TABLE_NAME = tableArg >= 0 ? args[tableArg + 1] : process.env.DYNAMODB_TABLE_NAME;
+const DRY_RUN = args.includes('--dry-run');
+
+const dynamodb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+// Transactions, recurring transactions and contributions (amount), template categories and
+// envelopes (budget_amount, rollover_amount), goals (target/current_amount), alert rules
+// (threshold)
+const MONEY_ATTRIBUTES = ['amount', 'budget_amount', 'rollover_amount', 'target_amount', 'current_amount', 'threshold'];
+
+async function main() {
+  if (!TABLE_NAME) {
+    console.error('Table name required: pass --table <name> or set DYNAMODB_TABLE_NAME');
+    process.exit(1);
+  }
+
+  console.log(`Rounding amounts in ${TABLE_NAME}${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const counts = { scanned: 0, updated: 0, failed: 0 };
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: TABLE_NAME,
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+
+    for (const item of result.Items || []) {
+      counts.scanned++;
+
+      const changes = getChanges(item);
+      if (changes.length === 0) {
+        continue;
+      }
+
+      try {
+        await roundAmounts(item, changes);
+        counts.updated++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`Failed to update ${item.PK} / ${item.SK}:`, error.message);
+      }
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log('Done:', JSON.stringify(counts));
+
+  if (counts.failed > 0) {
+    process.exit(1);
+  }
+}
+
+// [{ attribute, from, to }] for money attributes that aren't already whole-cent numbers
+function getChanges(item) {
+  return MONEY_ATTRIBUTES
+    .filter(attribute => typeof item[attribute] === 'number' || typeof item[attribute] === 'string')
+    .map(attribute => ({ attribute, from: item[attribute], to: roundMoney(item[attribute]) }))
+    .filter(change => change.from !== change.to);
+}
+
+async function roundAmounts(item, changes) {
+  changes.forEach(change => {
+    console.log(`${DRY_RUN ? '[dry run] ' : ''}${item.PK} / ${item.SK}: ${change.attribute} ${JSON.stringify(change.from)} -> ${change.to}`);
+  });
+
+  if (DRY_RUN) {
+    return;
+  }
+
+  const names = {};
+  const values = {};
+  const assignments = [];
+  const conditions = ['attribute_exists(PK)'];
+
+  changes.forEach((change, index) => {
+    names[`#a${index}`] = change.attribute;
+    values[`:to${index}`] = change.to;
+    values[`:from${index}`] = change.from;
+    assignments.push(`#a${index} = :to${index}`);
+    // Leave the item alone if a handler rewrote it since the scan
+    conditions.push(`#a${index} = :from${index}`);
+  });
+
+  await dynamodb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: {
+      PK: item.PK,
+      SK: item.SK
+    },
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ConditionExpression: conditions.join(' AND '),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }));
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Re-keys existing items to the index layout in lambda/shared/keys.js.
+//
+//   - Transactions: GSI1PK MONTH#<date> (shared by every user) becomes the per-user,
+//     date-ordered USER#<id>#TRANSACTIONS / <date>#<category>#<id>.
+//   - Template categories written by the auto-created Default template used
+//     USER#<id>#TEMPLATE_CATEGORY#<category>; they move to USER#<id>#TEMPLATE_ALL.
+//   - Recurring items: toggling one never updated its GSI1SK, so items switched off and on
+//     again still sort as INACTIVE#<id> and the due, upcoming, scheduler and forecast queries
+//     skip them. GSI1SK is rebuilt from the stored status (or is_active on older items).
+//
+// Usage:
+//   DYNAMODB_TABLE_NAME=SpendSmart-Data-dev node scripts/migrate-keys.js [--dry-run]
+//   node scripts/migrate-keys.js --table SpendSmart-Data-dev [--dry-run]
+//
+// Safe to re-run: items that already have the expected keys are left alone.
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const { getTransactionIndexKeys, getTemplateIndexKeys, getRecurringIndexKeys } = require('../lambda/shared/keys');
+
+const args = process.argv.slice(2);
+const tableArg = args.indexOf('--table');
+const TABLE_NAME = tableArg >= 0 ? args[tableArg + 1] : process.env.DYNAMODB_TABLE_NAME;
+const DRY_RUN = args.includes('--dry-run');
+
+const dynamodb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TRANSACTION_PK = /^USER#(.+)#TRANSACTION$/;
+const TEMPLATE_PK = /^USER#(.+)#TEMPLATE#(.+)$/;
+const RECURRING_PK = /^USER#(.+)#RECURRING#(.+)$/;
+
+async function main() {
+  if (!TABLE_NAME) {
+    console.error('Table name required: pass --table <name> or set DYNAMODB_TABLE_NAME');
+    process.exit(1);
+  }
+
+  console.log(`Migrating keys in ${TABLE_NAME}${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const counts = { scanned: 0, transactions: 0, templates: 0, recurring: 0, unchanged: 0, failed: 0 };
+  let lastEvaluatedKey;
+
+  // A one-off full pass is the only place a Scan is appropriate
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: TABLE_NAME,
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+
+    for (const item of result.Items || []) {
+      counts.scanned++;
+
+      const migration = getMigration(item);
+      if (!migration) {
+        continue;
+      }
+
+      if (item.GSI1PK === migration.keys.GSI1PK && item.GSI1SK === migration.keys.GSI1SK) {
+        counts.unchanged++;
+        continue;
+      }
+
+      try {
+        await rekey(item, migration.keys);
+        counts[migration.kind]++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`Failed to re-key ${item.PK} / ${item.SK}:`, error.message);
+      }
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log('Done:', JSON.stringify(counts));
+
+  if (counts.failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Expected GSI1 keys for items this migration owns, or null for everything else
+function getMigration(item) {
+  const transactionMatch = TRANSACTION_PK.exec(item.PK);
+  if (transactionMatch && item.SK.startsWith('TRANSACTION#')) {
+    const userId = item.user_id || transactionMatch[1];
+    const date = item.date || (item.created_at || '').split('T')[0];
+    return {
+      kind: 'transactions',
+      keys: getTransactionIndexKeys(userId, { date, category: item.category, id: item.id })
+    };
+  }
+
+  const templateMatch = TEMPLATE_PK.exec(item.PK);
+  if (templateMatch && item.SK.startsWith('CATEGORY#')) {
+    const userId = item.user_id || templateMatch[1];
+    return {
+      kind: 'templates',
+      keys: getTemplateIndexKeys(userId, item.template_name, item.category)
+    };
+  }
+
+  const recurringMatch = RECURRING_PK.exec(item.PK);
+  if (recurringMatch && item.SK === 'METADATA') {
+    const userId = item.user_id || recurringMatch[1];
+    // Items written before status existed only carry is_active
+    const status = item.status || (item.is_active ? 'active' : 'paused');
+    return {
+      kind: 'recurring',
+      keys: getRecurringIndexKeys(userId, { id: item.id, status, next_execution: item.next_execution })
+    };
+  }
+
+  return null;
+}
+
+async function rekey(item, keys) {
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}${item.PK} / ${item.SK}: ${item.GSI1PK} -> ${keys.GSI1PK}, ${keys.GSI1SK}`);
+
+  if (DRY_RUN) {
+    return;
+  }
+
+  await dynamodb.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: {
+      PK: item.PK,
+      SK: item.SK
+    },
+    UpdateExpression: 'SET GSI1PK = :gsi1pk, GSI1SK = :gsi1sk',
+    ConditionExpression: 'attribute_exists(PK)',
+    ExpressionAttributeValues: {
+      ':gsi1pk': keys.GSI1PK,
+      ':gsi1sk': keys.GSI1SK
+    }
+  }));
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+import { generateKeyPairSync, sign } from 'crypto';
+
+const { LOCAL_ISSUER, getAuthenticatedUserId, verifyToken, signLocalToken } = require('../lambda/shared/auth');
+
+const ENV = process.env;
+const LOCAL_KEY = 'local-test-signing-key';
+const USER_POOL_ID = 'eu-west-1_TestPool';
+const CLIENT_ID = 'test-client';
+const ISSUER = `https://cognito-idp.eu-west-1.amazonaws.com/${USER_POOL_ID}`;
+
+const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+beforeEach(() => {
+  process.env = { ...ENV };
+  jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+  process.env = ENV;
+  jest.restoreAllMocks();
+});
+
+describe('local mode', () => {
+  beforeEach(() => {
+    process.env.AUTH_MODE = 'local';
+    process.env.AUTH_LOCAL_SIGNING_KEY = LOCAL_KEY;
+  });
+
+  test('accepts a token signed with the local key', async () => {
+    const claims = await verifyToken(signLocalToken({ sub: 'user-1' }, LOCAL_KEY));
+    expect(claims).toMatchObject({ sub: 'user-1', iss: LOCAL_ISSUER });
+  });
+
+  test('rejects a token signed with another key', async () => {
+    await expect(verifyToken(signLocalToken({ sub: 'user-1' }, 'other-key'))).rejects.toThrow('invalid signature');
+  });
+
+  test('rejects a tampered payload', async () => {
+    const [header, , signature] = signLocalToken({ sub: 'user-1' }, LOCAL_KEY).split('.');
+    const payload = encode({ sub: 'user-2', iss: LOCAL_ISSUER, exp: now() + 3600 });
+    await expect(verifyToken(`${header}.${payload}.${signature}`)).rejects.toThrow('invalid signature');
+  });
+
+  test('rejects another issuer', async () => {
+    await expect(verifyToken(signLocalToken({ sub: 'user-1', iss: 'someone-else' }, LOCAL_KEY)))
+      .rejects.toThrow('unexpected issuer someone-else');
+  });
+
+  test('rejects an expired token', async () => {
+    await expect(verifyToken(signLocalToken({ sub: 'user-1' }, LOCAL_KEY, -1))).rejects.toThrow('token expired');
+  });
+
+  test('rejects a token without a subject', async () => {
+    await expect(verifyToken(signLocalToken({}, LOCAL_KEY))).rejects.toThrow('token has no subject');
+  });
+
+  test('is refused in prod', async () => {
+    process.env.NODE_ENV = 'prod';
+    await expect(verifyToken(signLocalToken({ sub: 'user-1' }, LOCAL_KEY))).rejects.toThrow('not allowed in prod');
+  });
+
+  test('getAuthenticatedUserId returns the subject, or null for a bad token', async () => {
+    const header = (token: string) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+    expect(await getAuthenticatedUserId(header(signLocalToken({ sub: 'user-1' }, LOCAL_KEY)))).toBe('user-1');
+    expect(await getAuthenticatedUserId(header(signLocalToken({ sub: 'user-1' }, 'other-key')))).toBeNull();
+    expect(await getAuthenticatedUserId(header('not-a-token'))).toBeNull();
+    expect(await getAuthenticatedUserId({ headers: {} })).toBeNull();
+  });
+});
+
+describe('Cognito mode', () => {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] };
+
+  const signRs256 = (claims: object, { kid = 'key-1', key = privateKey } = {}) => {
+    const signedData = `${encode({ alg: 'RS256', kid })}.${encode(claims)}`;
+    return `${signedData}.${sign('RSA-SHA256', Buffer.from(signedData), key).toString('base64url')}`;
+  };
+  const idToken = (overrides: object = {}) => ({
+    sub: 'user-1', iss: ISSUER, exp: now() + 3600, token_use: 'id', aud: CLIENT_ID, ...overrides
+  });
+  const accessToken = (overrides: object = {}) => ({
+    sub: 'user-1', iss: ISSUER, exp: now() + 3600, token_use: 'access', client_id: CLIENT_ID, ...overrides
+  });
+
+  beforeEach(() => {
+    delete process.env.AUTH_MODE;
+    process.env.USER_POOL_ID = USER_POOL_ID;
+    process.env.USER_POOL_CLIENT_ID = CLIENT_ID;
+    jest.spyOn(global, 'fetch').mockImplementation(async () => new Response(JSON.stringify(jwks)));
+  });
+
+  test('accepts ID and access tokens for the app client, using the pool JWKS', async () => {
+    await expect(verifyToken(signRs256(idToken()))).resolves.toMatchObject({ sub: 'user-1' });
+    await expect(verifyToken(signRs256(accessToken()))).resolves.toMatchObject({ sub: 'user-1' });
+  });
+
+  test('fetches the JWKS from the pool issuer', async () => {
+    // Keys are cached per issuer, so a second pool forces a fetch whatever ran before
+    process.env.USER_POOL_ID = 'eu-west-1_OtherPool';
+    await expect(verifyToken(signRs256(idToken({ iss: 'https://cognito-idp.eu-west-1.amazonaws.com/eu-west-1_OtherPool' }))))
+      .resolves.toMatchObject({ sub: 'user-1' });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://cognito-idp.eu-west-1.amazonaws.com/eu-west-1_OtherPool/.well-known/jwks.json',
+      expect.anything()
+    );
+  });
+
+  test('rejects a signature from another key', async () => {
+    const { privateKey: otherKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await expect(verifyToken(signRs256(idToken(), { key: otherKey }))).rejects.toThrow('invalid signature');
+  });
+
+  test('rejects an unknown key id', async () => {
+    await expect(verifyToken(signRs256(idToken(), { kid: 'key-2' }))).rejects.toThrow('unknown signing key key-2');
+  });
+
+  test('rejects an HS256 token', async () => {
+    await expect(verifyToken(signLocalToken({ sub: 'user-1' }, LOCAL_KEY))).rejects.toThrow('unexpected algorithm HS256');
+  });
+
+  test('rejects another issuer', async () => {
+    await expect(verifyToken(signRs256(idToken({ iss: 'https://example.com' }))))
+      .rejects.toThrow('unexpected issuer https://example.com');
+  });
+
+  test('rejects an expired token', async () => {
+    await expect(verifyToken(signRs256(idToken({ exp: now() - 1 })))).rejects.toThrow('token expired');
+  });
+
+  test('rejects an ID token for another app client', async () => {
+    await expect(verifyToken(signRs256(idToken({ aud: 'other-client' }))))
+      .rejects.toThrow('token was not issued to this app client');
+  });
+
+  test('rejects an access token for another app client', async () => {
+    await expect(verifyToken(signRs256(accessToken({ client_id: 'other-client' }))))
+      .rejects.toThrow('token was not issued to this app client');
+  });
+
+  test('rejects tokens that are neither ID nor access tokens', async () => {
+    await expect(verifyToken(signRs256(idToken({ token_use: 'refresh' }))))
+      .rejects.toThrow('token was not issued to this app client');
+  });
+});
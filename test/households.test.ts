@@ -0,0 +1,210 @@
+// Households with an in-memory table behind the document client
+type Item = Record<string, any>;
+
+const mockTable = new Map<string, Item>();
+const keyOf = (key: Item) => `${key.PK}|${key.SK}`;
+
+function mockTransactionCanceled(reasons: { Code: string }[]) {
+  return Object.assign(new Error('Transaction cancelled'), { name: 'TransactionCanceledException', CancellationReasons: reasons });
+}
+
+// Enough of DynamoDB for lambda/households.js: key lookups, the member and invitation
+// queries, SET updates and the conditions its transactions use
+async function mockSend(command: { constructor: { name: string }, input: any }) {
+  const input = command.input;
+  switch (command.constructor.name) {
+    case 'GetCommand':
+      return { Item: mockTable.get(keyOf(input.Key)) };
+    case 'PutCommand':
+      mockTable.set(keyOf(input.Item), input.Item);
+      return {};
+    case 'DeleteCommand':
+      mockTable.delete(keyOf(input.Key));
+      return {};
+    case 'UpdateCommand': {
+      const item = { ...mockTable.get(keyOf(input.Key)) };
+      input.UpdateExpression.replace(/^SET /, '').split(', ').forEach((assignment: string) => {
+        const [name, value] = assignment.split(' = ');
+        item[input.ExpressionAttributeNames?.[name] || name] = input.ExpressionAttributeValues[value];
+      });
+      mockTable.set(keyOf(input.Key), item);
+      return { Attributes: item };
+    }
+    case 'QueryCommand': {
+      const values = input.ExpressionAttributeValues;
+      const items = [...mockTable.values()].filter(item => input.IndexName === 'GSI1'
+        ? item.GSI1PK === values[':gsi1pk']
+        : item.PK === values[':pk'] && String(item.SK).startsWith(values[':member']));
+      return { Items: items };
+    }
+    case 'BatchGetCommand': {
+      const [[tableName, { Keys }]] = Object.entries(input.RequestItems) as [string, { Keys: Item[] }][];
+      return { Responses: { [tableName]: Keys.map(key => mockTable.get(keyOf(key))).filter(Boolean) } };
+    }
+    case 'TransactWriteCommand': {
+      const reasons = input.TransactItems.map(({ Put, Delete }: Item) => {
+        const { ConditionExpression: condition } = Put || Delete;
+        const exists = mockTable.has(keyOf(Put ? Put.Item : Delete.Key));
+        const failed = (condition === 'attribute_exists(PK)' && !exists) || (condition === 'attribute_not_exists(PK)' && exists);
+        return { Code: failed ? 'ConditionalCheckFailed' : 'None' };
+      });
+      if (reasons.some((reason: { Code: string }) => reason.Code !== 'None')) {
+        throw mockTransactionCanceled(reasons);
+      }
+      input.TransactItems.forEach(({ Put, Delete }: Item) => {
+        if (Put) mockTable.set(keyOf(Put.Item), Put.Item);
+        else mockTable.delete(keyOf(Delete.Key));
+      });
+      return {};
+    }
+    default:
+      throw new Error(`unexpected ${command.constructor.name}`);
+  }
+}
+
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const actual = jest.requireActual('@aws-sdk/lib-dynamodb');
+  return { ...actual, DynamoDBDocumentClient: { from: () => ({ send: mockSend }) } };
+});
+
+const LOCAL_KEY = 'local-test-signing-key';
+process.env.AUTH_MODE = 'local';
+process.env.AUTH_LOCAL_SIGNING_KEY = LOCAL_KEY;
+process.env.DYNAMODB_TABLE_NAME = 'test-table';
+
+const { signLocalToken } = require('../lambda/shared/auth');
+const { resolveAccess, authorizeRequest, getMemberKeys } = require('../lambda/shared/households');
+const { handler } = require('../lambda/households');
+
+const HOUSEHOLD_ID = `hh_${'a'.repeat(32)}`;
+
+const request = (userId: string | null, httpMethod: string, resource: string, { pathParameters = {}, body }: { pathParameters?: Item, body?: Item } = {}) => ({
+  httpMethod,
+  resource,
+  pathParameters,
+  headers: userId ? { Authorization: `Bearer ${signLocalToken({ sub: userId }, LOCAL_KEY)}` } : {},
+  body: body ? JSON.stringify(body) : null
+});
+
+const call = async (...args: Parameters<typeof request>) => {
+  const response = await handler(request(...args));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+beforeEach(() => {
+  mockTable.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  jest.spyOn(console, 'error').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveAccess', () => {
+  const withHousehold = (httpMethod: string, householdId = HOUSEHOLD_ID) => ({ httpMethod, headers: { 'X-Household-ID': householdId } });
+  const membersWithRole = (role: string) => async (key: Item) =>
+    keyOf(key) === keyOf(getMemberKeys(HOUSEHOLD_ID, 'user-1')) ? { role } : undefined;
+
+  test('uses the caller\'s own data without X-Household-ID', async () => {
+    await expect(resolveAccess({ httpMethod: 'POST', headers: {} }, 'user-1', membersWithRole('viewer')))
+      .resolves.toEqual({ ownerId: 'user-1', memberId: 'user-1', householdId: null, role: 'owner' });
+  });
+
+  test('uses the household\'s data for a member', async () => {
+    await expect(resolveAccess(withHousehold('POST'), 'user-1', membersWithRole('editor')))
+      .resolves.toEqual({ ownerId: HOUSEHOLD_ID, memberId: 'user-1', householdId: HOUSEHOLD_ID, role: 'editor' });
+  });
+
+  test('rejects a malformed household id with 400', async () => {
+    await expect(resolveAccess(withHousehold('GET', 'USER#someone-else'), 'user-1', membersWithRole('owner')))
+      .rejects.toMatchObject({ statusCode: 400, details: [{ field: 'X-Household-ID' }] });
+  });
+
+  test('rejects a non-member with 403', async () => {
+    await expect(resolveAccess(withHousehold('GET'), 'user-2', membersWithRole('owner')))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Not a member of this household' });
+  });
+
+  test('lets viewers read but not write', async () => {
+    await expect(resolveAccess(withHousehold('GET'), 'user-1', membersWithRole('viewer')))
+      .resolves.toMatchObject({ ownerId: HOUSEHOLD_ID, role: 'viewer' });
+
+    for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+      await expect(resolveAccess(withHousehold(method), 'user-1', membersWithRole('viewer')))
+        .rejects.toMatchObject({ statusCode: 403 });
+    }
+  });
+
+  test('authorizeRequest rejects a request without a valid token with 401', async () => {
+    await expect(authorizeRequest({ httpMethod: 'GET', headers: {} }, membersWithRole('owner')))
+      .rejects.toMatchObject({ statusCode: 401 });
+    await expect(authorizeRequest(request('user-1', 'GET', '/api/records'), membersWithRole('owner')))
+      .resolves.toMatchObject({ ownerId: 'user-1' });
+  });
+});
+
+describe('households handler', () => {
+  const MEMBER = '/api/households/{householdId}/members/{memberId}';
+
+  const createHousehold = async (userId: string) =>
+    (await call(userId, 'POST', '/api/households', { body: { name: 'Home' } })).body.id as string;
+
+  const invite = async (householdId: string, ownerId: string, role: string) =>
+    (await call(ownerId, 'POST', '/api/households/{householdId}/invitations', { pathParameters: { householdId }, body: { role } })).body.token as string;
+
+  const accept = (userId: string, token: string) =>
+    call(userId, 'POST', '/api/households/invitations/accept', { body: { token } });
+
+  const setRole = (householdId: string, callerId: string, memberId: string, role: string) =>
+    call(callerId, 'PUT', MEMBER, { pathParameters: { householdId, memberId }, body: { role } });
+
+  const removeMember = (householdId: string, callerId: string, memberId: string) =>
+    call(callerId, 'DELETE', MEMBER, { pathParameters: { householdId, memberId } });
+
+  test('requires a valid token', async () => {
+    expect((await call(null, 'GET', '/api/households')).statusCode).toBe(401);
+  });
+
+  test('hides households from non-members', async () => {
+    const householdId = await createHousehold('owner-1');
+
+    expect(await call('stranger', 'GET', '/api/households/{householdId}', { pathParameters: { householdId } }))
+      .toMatchObject({ statusCode: 404 });
+  });
+
+  test('invitation tokens are single-use', async () => {
+    const householdId = await createHousehold('owner-1');
+    const token = await invite(householdId, 'owner-1', 'editor');
+
+    expect(await accept('user-2', token)).toMatchObject({ statusCode: 200, body: { id: householdId, role: 'editor' } });
+    expect(await accept('user-3', token)).toMatchObject({ statusCode: 404 });
+    expect(mockTable.has(keyOf(getMemberKeys(householdId, 'user-3')))).toBe(false);
+  });
+
+  test('only owners invite', async () => {
+    const householdId = await createHousehold('owner-1');
+    await accept('viewer-1', await invite(householdId, 'owner-1', 'viewer'));
+
+    expect(await call('viewer-1', 'POST', '/api/households/{householdId}/invitations', { pathParameters: { householdId }, body: { role: 'owner' } }))
+      .toMatchObject({ statusCode: 403 });
+  });
+
+  test('the last owner can\'t be demoted or leave', async () => {
+    const householdId = await createHousehold('owner-1');
+
+    expect(await setRole(householdId, 'owner-1', 'owner-1', 'editor'))
+      .toMatchObject({ statusCode: 400, body: { details: [{ field: 'role' }] } });
+    expect(await removeMember(householdId, 'owner-1', 'owner-1'))
+      .toMatchObject({ statusCode: 400, body: { details: [{ field: 'memberId' }] } });
+  });
+
+  test('an owner can step down once another member is an owner', async () => {
+    const householdId = await createHousehold('owner-1');
+    await accept('user-2', await invite(householdId, 'owner-1', 'editor'));
+
+    expect(await setRole(householdId, 'owner-1', 'user-2', 'owner')).toMatchObject({ statusCode: 200 });
+    expect(await setRole(householdId, 'owner-1', 'owner-1', 'viewer')).toMatchObject({ statusCode: 200 });
+    expect(await removeMember(householdId, 'owner-1', 'owner-1')).toMatchObject({ statusCode: 200, body: { message: 'Left household' } });
+  });
+});
@@ -0,0 +1,59 @@
+const { toCents, fromCents, roundMoney, sumCents, divideCents, roundPercentage } = require('../lambda/shared/money');
+
+describe('toCents', () => {
+  test('converts two-decimal amounts exactly', () => {
+    expect(toCents(10.5)).toBe(1050);
+    expect(toCents('1234.99')).toBe(123499);
+    expect(toCents(999999999.99)).toBe(99999999999);
+  });
+
+  test('rounds float artifacts to the nearest cent', () => {
+    expect(toCents(19.990000000000002)).toBe(1999);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+  });
+
+  test('rounds half a cent away from zero', () => {
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(-1.005)).toBe(-101);
+    expect(toCents('2.994')).toBe(299);
+  });
+
+  test('does not produce negative zero', () => {
+    expect(Object.is(toCents(-0.004), 0)).toBe(true);
+  });
+
+  test('treats missing and non-numeric values as 0', () => {
+    expect(toCents(null)).toBe(0);
+    expect(toCents(undefined)).toBe(0);
+    expect(toCents('')).toBe(0);
+    expect(toCents('abc')).toBe(0);
+  });
+});
+
+describe('sums and rounding', () => {
+  test('sums in cents without drift', () => {
+    expect(sumCents([0.1, 0.2, 0.3])).toBe(60);
+    expect(fromCents(sumCents([{ amount: 0.1 }, { amount: 0.2 }], (item: { amount: number }) => item.amount))).toBe(0.3);
+  });
+
+  test('roundMoney normalizes to whole cents', () => {
+    expect(roundMoney(0.1 + 0.2)).toBe(0.3);
+    expect(roundMoney(12.345)).toBe(12.35);
+  });
+
+  test('divideCents rounds once, half away from zero', () => {
+    expect(divideCents(5, 2)).toBe(3);
+    expect(divideCents(-5, 2)).toBe(-3);
+    expect(divideCents(100, 3)).toBe(33);
+    expect(divideCents(200, 3)).toBe(67);
+  });
+
+  test('divideCents by zero is 0', () => {
+    expect(divideCents(1000, 0)).toBe(0);
+  });
+
+  test('roundPercentage keeps two decimals', () => {
+    expect(roundPercentage(100 / 3)).toBe(33.33);
+    expect(roundPercentage(200 / 3)).toBe(66.67);
+  });
+});
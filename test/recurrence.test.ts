@@ -0,0 +1,80 @@
+const {
+  normalizeRecurrence,
+  parseRRule,
+  formatRRule,
+  expandOccurrences,
+  nextOccurrence
+} = require('../lambda/shared/recurrence');
+
+describe('month-end clamping', () => {
+  const monthly = normalizeRecurrence({ frequency: 'monthly' });
+
+  test('the 31st posts on the last day of shorter months without drifting', () => {
+    expect(expandOccurrences(monthly, '2026-01-31', { limit: 4 }))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  test('February clamps to the 29th in leap years', () => {
+    expect(expandOccurrences(monthly, '2028-01-31', { limit: 3 }))
+      .toEqual(['2028-01-31', '2028-02-29', '2028-03-31']);
+  });
+
+  test('semimonthly runs on the 15th and the last day of the month', () => {
+    const semimonthly = normalizeRecurrence({ frequency: 'semimonthly' });
+    expect(expandOccurrences(semimonthly, '2026-02-01', { limit: 4 }))
+      .toEqual(['2026-02-15', '2026-02-28', '2026-03-15', '2026-03-31']);
+  });
+});
+
+describe('BYSETPOS', () => {
+  test('-1 over weekdays picks the last business day of each month', () => {
+    const rule = normalizeRecurrence({ rrule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1' });
+    expect(expandOccurrences(rule, '2026-01-01', { limit: 3 }))
+      .toEqual(['2026-01-30', '2026-02-27', '2026-03-31']);
+  });
+
+  test('needs by_day or by_month_day', () => {
+    expect(() => normalizeRecurrence({ recurrence: { freq: 'MONTHLY', by_set_pos: [1] } }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('COUNT and UNTIL', () => {
+  test('COUNT stops the series after that many occurrences', () => {
+    const rule = normalizeRecurrence({ rrule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3' });
+    expect(expandOccurrences(rule, '2026-01-01')).toEqual(['2026-01-30', '2026-02-27', '2026-03-31']);
+    expect(nextOccurrence(rule, '2026-01-01', '2026-03-31')).toBeNull();
+  });
+
+  test('COUNT is counted from the start of the series, not from the window', () => {
+    const rule = normalizeRecurrence({ recurrence: { freq: 'MONTHLY', count: 3 } });
+    expect(expandOccurrences(rule, '2026-01-10', { from: '2026-02-01' }))
+      .toEqual(['2026-02-10', '2026-03-10']);
+  });
+
+  test('UNTIL is inclusive', () => {
+    const rule = normalizeRecurrence({ rrule: 'FREQ=WEEKLY;UNTIL=20260115' });
+    expect(expandOccurrences(rule, '2026-01-01')).toEqual(['2026-01-01', '2026-01-08', '2026-01-15']);
+  });
+
+  test('COUNT and UNTIL cannot both be set', () => {
+    expect(() => normalizeRecurrence({ recurrence: { freq: 'MONTHLY', count: 3, until: '2026-05-01' } }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('rrule strings', () => {
+  test('round-trip through parseRRule and formatRRule', () => {
+    const rrule = 'FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=12';
+    expect(formatRRule(normalizeRecurrence({ rrule }))).toBe(rrule);
+  });
+
+  test('accept the RRULE: prefix and a timestamped UNTIL', () => {
+    expect(parseRRule('RRULE:FREQ=DAILY;UNTIL=20261231T235959Z'))
+      .toEqual({ freq: 'DAILY', until: '2026-12-31' });
+  });
+
+  test('reject unsupported parts', () => {
+    expect(() => parseRRule('FREQ=DAILY;BYHOUR=9')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
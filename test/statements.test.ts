@@ -0,0 +1,133 @@
+const { readStatement, parseAmount, parseDate } = require('../lambda/shared/statements');
+
+describe('parseAmount', () => {
+  test.each([
+    ['1,234.56', 1234.56],
+    ['-12.30', -12.3],
+    ['(12.30)', -12.3],
+    ['$12.30', 12.3],
+    ['12.30-', -12.3],
+    ['abc', null]
+  ])('%s -> %p', (text, expected) => {
+    expect(parseAmount(text)).toBe(expected);
+  });
+
+  test('reads a comma as the decimal separator when asked', () => {
+    expect(parseAmount('1.234,56', ',')).toBe(1234.56);
+  });
+});
+
+describe('parseDate', () => {
+  test('reads each supported format', () => {
+    expect(parseDate('2026-01-15', 'YYYY-MM-DD')).toBe('2026-01-15');
+    expect(parseDate('1/5/26', 'MM/DD/YYYY')).toBe('2026-01-05');
+    expect(parseDate('05.01.2026', 'DD/MM/YYYY')).toBe('2026-01-05');
+    expect(parseDate('20260115', 'YYYYMMDD')).toBe('2026-01-15');
+  });
+
+  test('rejects dates that do not exist', () => {
+    expect(parseDate('02/30/2026', 'MM/DD/YYYY')).toBeNull();
+  });
+});
+
+describe('CSV statements', () => {
+  test('keeps the bank sign: negative amounts are money out', () => {
+    const csv = 'Date,Description,Amount\n2026-01-15,Coffee,-4.50\n2026-01-16,Salary,2000\n';
+    const { entries, errors } = readStatement('csv', csv);
+
+    expect(errors).toEqual([]);
+    expect(entries.map((entry: { row: number; amount: number }) => [entry.row, entry.amount]))
+      .toEqual([[2, -4.5], [3, 2000]]);
+  });
+
+  test('flips the sign for banks that report expenses as positive', () => {
+    const csv = 'Date,Description,Amount\n01/15/2026,"Coffee, large",4.50\n01/16/2026,Salary,-2000\n';
+    const { entries } = readStatement('csv', csv, {
+      options: { date_format: 'MM/DD/YYYY', amount_sign: 'expense_positive' }
+    });
+
+    expect(entries[0]).toMatchObject({ date: '2026-01-15', amount: -4.5, description: 'Coffee, large' });
+    expect(entries[1]).toMatchObject({ date: '2026-01-16', amount: 2000 });
+  });
+
+  test('signs separate debit and credit columns', () => {
+    const csv = 'Posted Date;Money Out;Money In\n2026-01-02;12,50;\n2026-01-03;;100,00\n';
+    const { entries } = readStatement('csv', csv, { options: { delimiter: ';', decimal_separator: ',' } });
+
+    expect(entries.map((entry: { amount: number }) => entry.amount)).toEqual([-12.5, 100]);
+  });
+
+  test('reports unparseable rows without dropping them, and skips blank lines', () => {
+    const csv = 'Date,Description,Amount\n2026-01-15,Coffee,-4.50\n\n2026-02-30,Bad,x\n';
+    const { entries } = readStatement('csv', csv);
+
+    expect(entries).toHaveLength(2);
+    expect(entries[1].row).toBe(4);
+    expect(entries[1].errors).toEqual([
+      'date "2026-02-30" does not match YYYY-MM-DD',
+      'amount "x" is not a number'
+    ]);
+  });
+
+  test('reports mapped columns that are missing', () => {
+    const { entries, errors } = readStatement('csv', 'When,Amount\n2026-01-02,1\n', { mapping: { date: 'Day' } });
+
+    expect(entries).toEqual([]);
+    expect(errors).toEqual(['mapping.date: no column named "Day"', 'no date column (set mapping.date)']);
+  });
+});
+
+describe('OFX statements', () => {
+  const ofx = [
+    'OFXHEADER:100',
+    '<OFX><BANKMSGSRSV1><STMTRS><CURDEF>EUR',
+    '<BANKACCTFROM><ACCTID>1234</BANKACCTFROM><BANKTRANLIST>',
+    '<STMTTRN>',
+    '<TRNTYPE>DEBIT',
+    '<DTPOSTED>20260105120000[-5:EST]',
+    '<TRNAMT>-42.10',
+    '<FITID>abc1',
+    '<NAME>Grocer &amp; Co',
+    '<MEMO>Card',
+    '</STMTTRN>',
+    '<STMTTRN><TRNAMT>100</TRNAMT><DTPOSTED>20260106</DTPOSTED><FITID>abc2</FITID><NAME>Refund</NAME></STMTTRN>',
+    '</BANKTRANLIST></STMTRS></BANKMSGSRSV1></OFX>'
+  ].join('\n');
+
+  test('reads SGML and XML transactions with their signs', () => {
+    const { entries } = readStatement('ofx', ofx);
+
+    expect(entries[0]).toMatchObject({
+      date: '2026-01-05',
+      amount: -42.1,
+      description: 'Grocer & Co - Card',
+      fitid: 'abc1',
+      account: '1234',
+      currency: 'EUR'
+    });
+    expect(entries[1]).toMatchObject({ date: '2026-01-06', amount: 100, fitid: 'abc2' });
+  });
+
+  test('rejects files that are not OFX', () => {
+    expect(readStatement('qfx', 'hello').errors).toEqual(['not an OFX/QFX file (no <OFX> element)']);
+  });
+});
+
+describe('QIF statements', () => {
+  test('reads transaction sections only, with signs and top-level categories', () => {
+    const qif = [
+      '!Account', 'NChecking', '^',
+      '!Type:Bank', "D1/5'26", 'T-12.34', 'PShop', 'MNote', 'LFood:Groceries', '^',
+      'D01/06/2026', 'U500.00', 'PEmployer', 'L[Savings]', '^'
+    ].join('\n');
+    const { entries } = readStatement('qif', qif);
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({ date: '2026-01-05', amount: -12.34, description: 'Shop - Note', category: 'Food' });
+    expect(entries[1]).toMatchObject({ date: '2026-01-06', amount: 500, description: 'Employer', category: null });
+  });
+});
+
+test('unsupported formats throw', () => {
+  expect(() => readStatement('xls', '')).toThrow('Unsupported statement format: xls');
+});